@@ -1,22 +1,82 @@
 // db.js
-const mysql = require('mysql2');
+const mysql = require('mysql2/promise');
 const dotenv = require('dotenv');
 dotenv.config();
 
-// Create and export DB connection
-const db = mysql.createConnection({
+/**
+ * Data access for the whole API: a connection pool, not a single connection.
+ * A connection that drops (MySQL restarted, idle timeout, network blip) is
+ * thrown away and the next query opens a fresh one, so the API recovers on
+ * its own. Every query gives up after DB_QUERY_TIMEOUT_MS.
+ *
+ *   const rows = await db.query('SELECT * FROM visitors WHERE id = ?', [id]);
+ *   const { insertId } = await db.query('INSERT INTO ...', values);
+ *
+ *   await db.transaction(async (tx) => {
+ *     await tx.query(...);   // same interface as db; commits when the callback
+ *     await tx.query(...);   // resolves, rolls back if it throws
+ *   });
+ *
+ * Helpers that take an optional `conn` (defaulting to db) work the same
+ * inside or outside a transaction.
+ */
+
+const pool = mysql.createPool({
   host: process.env.DB_HOST,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME
+  database: process.env.DB_NAME,
+  connectionLimit: Number(process.env.DB_POOL_SIZE || 10),
+  waitForConnections: true,
+  connectTimeout: 10000,
+  enableKeepAlive: true,
+  keepAliveInitialDelay: 10000
 });
 
-db.connect((err) => {
-  if (err) {
-    console.error('MySQL connection failed:', err.message);
-  } else {
-    console.log('MySQL connected successfully.');
+const QUERY_TIMEOUT_MS = Number(process.env.DB_QUERY_TIMEOUT_MS || 30000);
+
+// Rows for a SELECT, the result header (insertId, affectedRows) for anything else
+const run = (target, sql, values, { timeout = QUERY_TIMEOUT_MS } = {}) => target
+  .query({ sql, values, timeout })
+  .then(([rows]) => rows);
+
+const query = (sql, values, options) => run(pool, sql, values, options);
+
+/**
+ * Run `work(tx)` on one connection inside a transaction. Resolves to whatever
+ * work resolves to. A transaction started inside another one joins it.
+ */
+const transaction = async (work) => {
+  const connection = await pool.getConnection();
+  const tx = {
+    query: (sql, values, options) => run(connection, sql, values, options),
+    transaction: (nested) => nested(tx)
+  };
+  // A connection that cannot even roll back is closed rather than handed out again
+  let broken = false;
+  try {
+    await connection.beginTransaction();
+    const result = await work(tx);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback().catch(() => {
+      broken = true;
+    });
+    throw err;
+  } finally {
+    if (broken) connection.destroy();
+    else connection.release();
   }
-});
+};
+
+// Rows as a readable stream, for exports too big to hold in memory. No timeout:
+// the client downloading the result sets the pace.
+const stream = (sql, values) => pool.pool.query(sql, values).stream();
+
+// A pooled connection of its own (e.g. for GET_LOCK, which belongs to a session); release() it when done
+const getConnection = () => pool.getConnection();
+
+const end = () => pool.end();
 
-module.exports = db;
+module.exports = { pool, query, transaction, stream, getConnection, end, QUERY_TIMEOUT_MS };
@@ -0,0 +1,74 @@
+const db = require('../db');
+const dotenv = require('dotenv');
+const { notifyHost, notifyReception } = require('../notifications');
+dotenv.config();
+
+// Walk-ins waiting on their host are escalated to reception, who are emailed, after
+// APPROVAL_ESCALATE_MINUTES and expire after APPROVAL_EXPIRE_MINUTES, when reception
+// and the host are told (0 disables either step)
+const escalateMinutes = () => Number(process.env.APPROVAL_ESCALATE_MINUTES || 10);
+const expireMinutes = () => Number(process.env.APPROVAL_EXPIRE_MINUTES || 30);
+
+const ESCALATE = {
+  overdue: `
+    SELECT id FROM visitors
+    WHERE status = 'pending_approval' AND escalated_at IS NULL
+      AND created_at <= NOW() - INTERVAL ? MINUTE
+  `,
+  claim: "UPDATE visitors SET escalated_at = NOW() WHERE id = ? AND status = 'pending_approval' AND escalated_at IS NULL",
+  notify: (id) => notifyReception('approval_escalated', id)
+};
+
+const EXPIRE = {
+  overdue: `
+    SELECT id FROM visitors
+    WHERE status = 'pending_approval'
+      AND created_at <= NOW() - INTERVAL ? MINUTE
+  `,
+  claim: "UPDATE visitors SET status = 'expired', decided_at = NOW() WHERE id = ? AND status = 'pending_approval'",
+  notify: (id) => {
+    notifyReception('approval_expired', id);
+    notifyHost('approval_expired', id);
+  }
+};
+
+// Move each overdue visit on and send its emails. A visit is claimed before its
+// emails go out, so two servers running the job do not both send them.
+const claimOverdue = async ({ overdue, claim, notify }, minutes) => {
+  const visits = await db.query(overdue, [minutes]);
+  let claimed = 0;
+  for (const { id } of visits) {
+    const result = await db.query(claim, [id]);
+    if (!result.affectedRows) continue;
+    claimed += 1;
+    notify(id);
+  }
+  return claimed;
+};
+
+// Resolves to { escalated, expired }
+const runApprovalTimeouts = async () => {
+  const escalate = escalateMinutes();
+  const expire = expireMinutes();
+
+  const escalated = escalate ? await claimOverdue(ESCALATE, escalate) : 0;
+  const expired = expire ? await claimOverdue(EXPIRE, expire) : 0;
+  return { escalated, expired };
+};
+
+const startApprovalTimeouts = () => {
+  const intervalMs = Number(process.env.APPROVAL_CHECK_INTERVAL_SECONDS || 60) * 1000;
+  const timer = setInterval(() => {
+    runApprovalTimeouts()
+      .then(counts => {
+        if (counts.escalated || counts.expired) {
+          console.log(`Approval timeouts: ${counts.escalated} escalated, ${counts.expired} expired.`);
+        }
+      })
+      .catch(err => console.error('Approval timeout job failed:', err.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { runApprovalTimeouts, startApprovalTimeouts };
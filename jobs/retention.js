@@ -0,0 +1,189 @@
+const db = require('../db');
+const { discardImages } = require('../utils/storage');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const RETENTION_ACTIONS = ['anonymise', 'delete'];
+const BATCH = 500;
+
+// Companies without their own settings use RETENTION_DAYS / RETENTION_ACTION
+const defaultDays = () => Number(process.env.RETENTION_DAYS || 365);
+const defaultAction = () => process.env.RETENTION_ACTION || 'anonymise';
+
+// Visits past retention; people still on site are never touched
+const EXPIRED = "v.status <> 'checked_in' AND v.created_at < NOW() - INTERVAL ? DAY";
+
+// One scope per company, plus one for visits whose company is unset or gone
+const retentionScopes = async () => {
+  const companies = await db.query('SELECT id, retention_days, retention_action FROM companies');
+  const scopes = companies.map(company => ({
+    company_id: company.id,
+    days: company.retention_days || defaultDays(),
+    action: company.retention_action || defaultAction(),
+    where: 'v.company_id = ?',
+    values: [company.id]
+  }));
+  scopes.push({
+    company_id: null,
+    days: defaultDays(),
+    action: defaultAction(),
+    where: '(v.company_id IS NULL OR v.company_id NOT IN (SELECT id FROM companies))',
+    values: []
+  });
+  return scopes;
+};
+
+// Deleted visits leave their counts behind, so analytics over old periods still add up
+const AGGREGATE_SQL = `
+  INSERT INTO visit_aggregates (
+    visit_date, check_in_hour, company_id, department_id, whom_to_meet,
+    visits, completed, duration_minutes
+  )
+  SELECT DATE(v.created_at), HOUR(v.check_in_at), v.company_id, v.department_id, v.whom_to_meet,
+    COUNT(*),
+    SUM(v.check_in_at IS NOT NULL AND v.check_out_at IS NOT NULL),
+    COALESCE(SUM(TIMESTAMPDIFF(MINUTE, v.check_in_at, v.check_out_at)), 0)
+  FROM visitors v
+  WHERE v.id IN (?)
+  GROUP BY DATE(v.created_at), HOUR(v.check_in_at), v.company_id, v.department_id, v.whom_to_meet
+`;
+
+// Everything that identifies the visitor goes; times, status, host and company stay for analytics
+const ANONYMISE_SQL = `
+  UPDATE visitors SET
+    first_name = 'Anonymised', last_name = '', gender = NULL,
+    email = NULL, phone = NULL, aadhar_no = NULL, address = NULL,
+    email_hash = NULL, phone_hash = NULL, aadhar_no_hash = NULL,
+    image = NULL, screening_matches = NULL, approval_note = NULL,
+    profile_id = NULL, qr_token_id = NULL, anonymised_at = NOW()
+  WHERE id IN (?)
+`;
+
+const purgeVisits = async (ids, action) => {
+  if (action === 'anonymise') {
+    await db.query(ANONYMISE_SQL, [ids]);
+    return;
+  }
+  await db.transaction(async (tx) => {
+    await tx.query(AGGREGATE_SQL, [ids]);
+    await tx.query('DELETE FROM muster_entries WHERE visitor_id IN (?)', [ids]);
+    await tx.query('UPDATE invitations SET visitor_id = NULL WHERE visitor_id IN (?)', [ids]);
+    await tx.query('DELETE FROM visitors WHERE id IN (?)', [ids]);
+  });
+};
+
+const retainScope = async (scope, dryRun, images) => {
+  // Already-anonymised rows only need another pass when the company now deletes
+  const where = `${scope.where} AND ${EXPIRED}${scope.action === 'anonymise' ? ' AND v.anonymised_at IS NULL' : ''}`;
+  const values = [...scope.values, scope.days];
+
+  if (dryRun) {
+    const [counts] = await db.query(`SELECT COUNT(*) AS visits FROM visitors v WHERE ${where}`, values);
+    const files = await db.query(`SELECT DISTINCT v.image FROM visitors v WHERE ${where} AND v.image IS NOT NULL`, values);
+    files.forEach(file => images.add(file.image));
+    return Number(counts.visits);
+  }
+
+  let total = 0;
+  for (;;) {
+    // Purged rows drop out of the WHERE, so the next batch is always the first page
+    const rows = await db.query(`SELECT v.id, v.image FROM visitors v WHERE ${where} ORDER BY v.id LIMIT ?`, [...values, BATCH]);
+    if (!rows.length) break;
+    rows.forEach(row => row.image && images.add(row.image));
+    await purgeVisits(rows.map(row => row.id), scope.action);
+    total += rows.length;
+  }
+  return total;
+};
+
+// The retention period of the company joined in as `c`, or the default when it has none
+const COMPANY_DAYS = 'COALESCE(c.retention_days, ?)';
+
+// Invitations hold the invitee's name and contact details too. They follow
+// their company's period, but are anonymised rather than deleted so no-show
+// rates stay available.
+const retainInvitations = async (dryRun) => {
+  const from = 'invitations i LEFT JOIN companies c ON i.company_id = c.id';
+  const where = `i.visit_date < CURDATE() - INTERVAL ${COMPANY_DAYS} DAY AND i.anonymised_at IS NULL`;
+  if (dryRun) {
+    const [counts] = await db.query(`SELECT COUNT(*) AS invitations FROM ${from} WHERE ${where}`, [defaultDays()]);
+    return Number(counts.invitations);
+  }
+  const result = await db.query(`
+    UPDATE ${from} SET i.first_name = 'Anonymised', i.last_name = '', i.email = NULL, i.phone = NULL,
+      i.email_hash = NULL, i.phone_hash = NULL, i.anonymised_at = NOW()
+    WHERE ${where}
+  `, [defaultDays()]);
+  return result.affectedRows;
+};
+
+// Profiles follow their company's period and only go once none of their visits
+// still carries identifying data
+const retainProfiles = async (dryRun, images) => {
+  const where = `
+    p.last_visit_at < NOW() - INTERVAL ${COMPANY_DAYS} DAY
+    AND NOT EXISTS (SELECT 1 FROM visitors v WHERE v.profile_id = p.id AND v.anonymised_at IS NULL)
+  `;
+  let total = 0;
+  for (;;) {
+    const rows = await db.query(
+      `SELECT p.id, p.image FROM visitor_profiles p LEFT JOIN companies c ON p.company_id = c.id WHERE ${where} ORDER BY p.id LIMIT ? OFFSET ?`,
+      [defaultDays(), BATCH, dryRun ? total : 0]
+    );
+    if (!rows.length) break;
+    rows.forEach(row => row.image && images.add(row.image));
+    total += rows.length;
+    if (dryRun) continue;
+
+    const ids = rows.map(row => row.id);
+    await db.transaction(async (tx) => {
+      await tx.query('UPDATE visitors SET profile_id = NULL WHERE profile_id IN (?)', [ids]);
+      await tx.query('DELETE FROM visitor_profiles WHERE id IN (?)', [ids]);
+    });
+  }
+  return total;
+};
+
+// Photos of purged visits and profiles go once nothing else shows them (see utils/storage)
+const removeImages = async (images, dryRun) => (dryRun ? images.size : discardImages(images));
+
+/**
+ * Apply every company's retention policy once. With `dryRun` nothing is changed
+ * and the counts say what would happen; profile and image counts are then only
+ * estimates, since they depend on the visits being purged first.
+ * Resolves to { dry_run, companies: [{ company_id, days, action, visits }], invitations, profiles, images }.
+ */
+const runRetention = async ({ dryRun = false } = {}) => {
+  const images = new Set();
+  const companies = [];
+  for (const scope of await retentionScopes()) {
+    if (!RETENTION_ACTIONS.includes(scope.action)) {
+      throw new Error(`Unknown retention action "${scope.action}" for company ${scope.company_id}`);
+    }
+    const visits = await retainScope(scope, dryRun, images);
+    companies.push({ company_id: scope.company_id, days: scope.days, action: scope.action, visits });
+  }
+  const invitations = await retainInvitations(dryRun);
+  const profiles = await retainProfiles(dryRun, images);
+  return { dry_run: dryRun, companies, invitations, profiles, images: await removeImages(images, dryRun) };
+};
+
+// Runs every RETENTION_CHECK_INTERVAL_HOURS (default 24; 0 disables)
+const startRetention = () => {
+  const hours = Number(process.env.RETENTION_CHECK_INTERVAL_HOURS ?? 24);
+  if (!hours) return null;
+  const timer = setInterval(() => {
+    runRetention()
+      .then(report => {
+        const visits = report.companies.reduce((sum, company) => sum + company.visits, 0);
+        if (visits || report.invitations || report.profiles) {
+          console.log(`Retention: ${visits} visits, ${report.invitations} invitations, ${report.profiles} profiles, ${report.images} images purged.`);
+        }
+      })
+      .catch(err => console.error('Retention job failed:', err.message));
+  }, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { RETENTION_ACTIONS, runRetention, startRetention };
@@ -0,0 +1,160 @@
+const db = require('../db');
+const { PII_FIELDS, openPii, maskPii } = require('../utils/pii');
+
+// Columns whose values never go into a diff; the log only shows that they changed
+const REDACTED = /^(password|qr_token_id)$|_hash$/;
+const REDACTED_VALUE = '[redacted]';
+// Columns that identify a person. audit_log is append-only, so they would outlive the
+// retention purge there; they are logged masked in every table, as are the PII
+// fields (and the watchlist's `name`) of `pii` tables.
+const PERSONAL = ['first_name', 'last_name', 'email', 'phone'];
+
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'status_change'];
+
+const normalise = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value ?? null;
+};
+
+const maskValue = (field, value) => {
+  if (value === null) return null;
+  if (PII_FIELDS.includes(field)) return maskPii({ [field]: value })[field];
+  return value ? `${String(value)[0]}***` : value;
+};
+
+const isPersonal = (field, pii) => PERSONAL.includes(field) || (pii && (PII_FIELDS.includes(field) || field === 'name'));
+
+/**
+ * Field-level diff between two snapshots of a row (either may be null):
+ * { field: { from, to } } for every column whose value differs.
+ */
+const diffRows = (before, after, { pii = false } = {}) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.forEach(field => {
+    const from = normalise(before?.[field]);
+    const to = normalise(after?.[field]);
+    if (from === to) return;
+    if (REDACTED.test(field)) {
+      changes[field] = { from: from === null ? null : REDACTED_VALUE, to: to === null ? null : REDACTED_VALUE };
+    } else if (isPersonal(field, pii)) {
+      changes[field] = { from: maskValue(field, from), to: maskValue(field, to) };
+    } else {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+};
+
+const actionFor = (before, after, changes) => {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  // Soft delete and restore of master data
+  if (changes.deleted_at) return changes.deleted_at.to ? 'delete' : 'restore';
+  return changes.status ? 'status_change' : 'update';
+};
+
+const snapshot = async (table, key, { pii, conn = db }) => {
+  if (!key) return null;
+  const columns = Object.keys(key);
+  const sql = `SELECT * FROM ${table} WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}`;
+  const [row] = await conn.query(sql, Object.values(key));
+  // PII is compared in the clear, since every encryption of the same value differs
+  return row ? (pii ? openPii(row) : row) : null;
+};
+
+const resolveKey = (resolve, ...args) => {
+  try {
+    const key = resolve(...args);
+    if (!key || Object.values(key).some(value => value === undefined || value === null || value === '')) return null;
+    return key;
+  } catch (err) {
+    return null;
+  }
+};
+
+const writeAudit = (req, { entity, entityId, action, changes }, conn) => {
+  const sql = `
+    INSERT INTO audit_log (entity, entity_id, action, changes, actor_id, actor_role, ip, method, path, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+  `;
+  const values = [
+    entity, String(entityId), action, JSON.stringify(changes),
+    req.user?.id || null, req.user?.role || null, req.ip, req.method, req.originalUrl
+  ];
+  return conn.query(sql, values);
+};
+
+/**
+ * Write one audit record for a row that went from `before` to `after` (null for
+ * a create or hard delete). Nothing is written when no field changed. For
+ * changes made outside `audited`, such as bulk imports. Pass the transaction as
+ * `conn` to have the record commit or roll back together with the change.
+ */
+const recordChange = async (req, entity, before, after, { pii = false, entityId, conn = db } = {}) => {
+  const changes = diffRows(before, after, { pii });
+  if (!Object.keys(changes).length) return;
+  await writeAudit(req, {
+    entity,
+    entityId: entityId ?? (after || before).id,
+    action: actionFor(before, after, changes),
+    changes
+  }, conn);
+};
+
+/**
+ * recordChange for row `id` of `table`, written inside the transaction `conn`:
+ * its new state is read through the same transaction, so the record commits or
+ * rolls back together with the change. For routes that cannot use `audited`
+ * because several rows change at once.
+ */
+const recordRow = async (req, entity, table, id, before, { pii = false, conn = db } = {}) => {
+  const after = await snapshot(table, { id }, { pii, conn });
+  await recordChange(req, entity, before, after, { pii, entityId: id, conn });
+};
+
+/**
+ * Record what a mutating route did to one row of `table` in audit_log: who,
+ * from where, and a field-level before/after diff. The row is read before the
+ * handler runs and again once the response is sent, so routes need no changes
+ * and a failed or no-op request leaves no record.
+ *
+ * Options:
+ *   key     - req => { column: value } locating an existing row (default: params.id)
+ *   created - (body, res) => id of the row a create route inserted; when given,
+ *             there is no "before" row (default: body.id of a successful response)
+ *   pii     - the table holds visitor PII: compare it decrypted, log it masked
+ *             (names, emails and phone numbers are masked in every table)
+ */
+const audited = (entity, table, { key, created, pii = false } = {}) => async (req, res, next) => {
+  const creates = Boolean(created) || !key && !req.params.id;
+  const findKey = key || ((request) => ({ id: request.params.id }));
+  const createdId = created || ((body, response) => (response.statusCode < 400 ? body?.id : null));
+  const beforeKey = creates ? null : resolveKey(findKey, req);
+
+  let body;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  const before = await snapshot(table, beforeKey, { pii });
+
+  res.on('finish', () => {
+    const afterKey = creates ? resolveKey((payload) => ({ id: createdId(payload, res) }), body) : beforeKey;
+    if (!afterKey && !before) return;
+
+    snapshot(table, afterKey, { pii })
+      .then(after => recordChange(req, entity, before, after, {
+        pii,
+        entityId: (after || before)?.id ?? Object.values(afterKey || beforeKey).join(':')
+      }))
+      .catch(err => console.error(`Could not write the audit record for ${entity}:`, err.message));
+  });
+  next();
+};
+
+module.exports = { ACTIONS, audited, diffRows, recordChange, recordRow };
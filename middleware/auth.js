@@ -0,0 +1,25 @@
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Token enforcement is switched on per deployment with AUTH_ENFORCE=true
+const authEnforced = () => process.env.AUTH_ENFORCE === 'true';
+
+const verifyToken = (req, res, next) => {
+  const token = req.headers['authorization']?.split(' ')[1]; // Expecting "Bearer <token>"
+
+  if (!token) {
+    if (!authEnforced()) return next(); // Anonymous access allowed while enforcement is off
+    return res.status(401).json({ message: 'Access Denied. No token provided.' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = decoded;
+    next();
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid Token' });
+  }
+};
+
+module.exports = { verifyToken, authEnforced };
@@ -0,0 +1,45 @@
+const { authEnforced } = require('./auth');
+
+// A super admin runs the deployment: every permission, in every company (see middleware/tenant.js)
+const SUPER_ADMIN = 'super_admin';
+const ROLES = [SUPER_ADMIN, 'admin', 'receptionist', 'host', 'security'];
+
+// Permission -> roles allowed to use it, besides the super admin
+const PERMISSIONS = {
+  'companies:manage': [],
+  'companies:write': ['admin'],
+  'departments:write': ['admin'],
+  'designations:write': ['admin'],
+  'employees:write': ['admin'],
+  'visitors:read': ['admin', 'receptionist', 'host', 'security'],
+  'visitors:read-all': ['admin', 'receptionist', 'security'],
+  'visitors:write': ['admin', 'receptionist'],
+  'visitors:checkinout': ['admin', 'receptionist', 'security'],
+  'visitors:approve-any': ['admin'],
+  'visitors:approve-escalated': ['admin', 'receptionist'],
+  'uploads:write': ['admin', 'receptionist'],
+  'invitations:write': ['admin', 'receptionist', 'host'],
+  'invitations:read-all': ['admin', 'receptionist'],
+  'invitations:redeem': ['admin', 'receptionist', 'security'],
+  'watchlist:read': ['admin', 'security'],
+  'watchlist:manage': ['admin'],
+  'reports:read': ['admin', 'receptionist', 'security'],
+  'analytics:read': ['admin', 'receptionist'],
+  'muster:read': ['admin', 'receptionist', 'security'],
+  'muster:run': ['admin', 'receptionist', 'security'],
+  'pii:reveal': ['admin', 'security'],
+  'audit:read': ['admin']
+};
+
+const hasPermission = (user, permission) => {
+  if (!user) return !authEnforced(); // Anonymous callers only get through while enforcement is off
+  if (user.role === SUPER_ADMIN) return true;
+  return (PERMISSIONS[permission] || []).includes(user.role);
+};
+
+const authorize = (permission) => (req, res, next) => {
+  if (hasPermission(req.user, permission)) return next();
+  return res.status(403).json({ message: 'Forbidden. Insufficient permissions.', permission });
+};
+
+module.exports = { SUPER_ADMIN, ROLES, PERMISSIONS, hasPermission, authorize };
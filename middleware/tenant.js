@@ -0,0 +1,61 @@
+const { SUPER_ADMIN } = require('./rbac');
+
+/**
+ * Tenant isolation. Every employee belongs to one company, the company_id in
+ * their token, and only ever sees that company's departments, designations,
+ * employees, visits, visitor profiles, invitations, musters and watchlist
+ * entries. A super admin works across all of them, as do anonymous
+ * callers while AUTH_ENFORCE is off.
+ *
+ * Scopes have the { sql, values } shape buildListQuery and sendReveal take:
+ *
+ *   const scope = tenantScope(req, 'v.company_id');
+ *   db.query(`SELECT * FROM visitors v WHERE v.id = ?${scope.sql}`, [id, ...scope.values]);
+ *
+ * Another company's rows are filtered out rather than refused, so fetching one
+ * by id gets the same 404 as an id that does not exist.
+ */
+
+const NO_SCOPE = { sql: '', values: [] };
+
+// Column recording the company of each tenant-owned table
+const TENANT_COLUMNS = {
+  companies: 'id',
+  departments: 'company_id',
+  designations: 'company_id',
+  employees: 'company_id',
+  visitors: 'company_id',
+  visitor_profiles: 'company_id',
+  invitations: 'company_id',
+  musters: 'company_id',
+  watchlist: 'company_id'
+};
+
+// The caller's company, or null when they are not confined to one
+const tenantOf = (user) => (user && user.role !== SUPER_ADMIN ? user.company_id : null);
+
+const tenantScope = (req, column = 'company_id') => {
+  const company = tenantOf(req.user);
+  if (company === null) return NO_SCOPE;
+  return { sql: ` AND ${column} = ?`, values: [company] };
+};
+
+// Super admins' own employee rows are hidden from tenants too, so no tenant admin can edit or remove one
+const employeeScope = (req, prefix = '') => {
+  const scope = tenantScope(req, `${prefix}company_id`);
+  if (!scope.sql) return scope;
+  return { sql: `${scope.sql} AND ${prefix}role <> '${SUPER_ADMIN}'`, values: scope.values };
+};
+
+// The scope for an unaliased query on `table`; tables that belong to no tenant are not narrowed
+const tableScope = (req, table) => {
+  if (table === 'employees') return employeeScope(req);
+  return TENANT_COLUMNS[table] ? tenantScope(req, TENANT_COLUMNS[table]) : NO_SCOPE;
+};
+
+const joinScopes = (...scopes) => ({
+  sql: scopes.map(scope => scope.sql).join(''),
+  values: scopes.flatMap(scope => scope.values)
+});
+
+module.exports = { NO_SCOPE, TENANT_COLUMNS, tenantOf, tenantScope, employeeScope, tableScope, joinScopes };
@@ -0,0 +1,216 @@
+const db = require('../db');
+const { SCHEMAS } = require('../utils/schemas');
+const { sendValidationError } = require('../utils/errors');
+const { tenantOf, tableScope } = require('./tenant');
+const { isMasked } = require('../utils/pii');
+
+/**
+ * Request validation against the OpenAPI schemas in utils/schemas.js, the same
+ * ones the Swagger docs show. Supports the subset those schemas use: type,
+ * nullable, enum, format (email, date, date-time, time), pattern, min/max
+ * length and value, items, properties, required and anyOf, plus
+ * x-references for foreign keys (see checkReferences) and x-pii, naming the
+ * PII field whose masked form (utils/pii.js) is refused.
+ *
+ * Every problem is reported, not just the first:
+ *   400 { message: 'Validation failed', errors: [{ in, field, message }] }
+ */
+
+const FORMATS = {
+  email: { test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), message: 'must be a valid email address' },
+  date: { test: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime()), message: 'must be a date (YYYY-MM-DD)' },
+  'date-time': { test: (value) => !Number.isNaN(new Date(value).getTime()), message: 'must be a date and time' },
+  time: { test: (value) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value), message: 'must be a time (HH:MM)' }
+};
+
+const resolve = (schema) => {
+  if (typeof schema === 'string') return SCHEMAS[schema];
+  if (schema && schema.$ref) return SCHEMAS[schema.$ref.split('/').pop()];
+  return schema;
+};
+
+// Query strings, path params and multipart fields are all strings
+const coerce = (value, schema) => {
+  if (typeof value !== 'string') return value;
+  if (value === '' && schema.type !== 'string') return null;
+  if (schema.type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+  if (schema.type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (schema.type === 'boolean' && ['true', 'false', '1', '0'].includes(value)) return value === 'true' || value === '1';
+  return value;
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_NAMES = { string: 'a string', integer: 'a whole number', number: 'a number', boolean: 'true or false', array: 'a list', object: 'an object' };
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check `value` against `schema`, pushing { field, message } onto `errors`.
+ * Returns the value with strings coerced to the schema's types.
+ */
+const checkValue = (input, schemaOrName, field, errors) => {
+  const schema = resolve(schemaOrName);
+  const value = coerce(input, schema);
+  if (value === undefined) return value;
+  if (value === null) {
+    if (!schema.nullable && schema.type) errors.push({ field, message: 'must not be empty' });
+    return value;
+  }
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    errors.push({ field, message: `must be ${TYPE_NAMES[schema.type]}` });
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    // A masked value from a GET response would otherwise be saved over the real one
+    if (schema['x-pii'] && isMasked(schema['x-pii'], value)) {
+      errors.push({ field, message: 'is masked; send the full value or leave it out' });
+      return value;
+    }
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: schema['x-pattern-message'] || `must match ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors.push({ field, message: FORMATS[schema.format].message });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field, message: `must be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field, message: `must be at most ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    return schema.items ? value.map((item, index) => checkValue(item, schema.items, `${field}[${index}]`, errors)) : value;
+  }
+
+  if (schema.type === 'object') return checkObject(value, schema, field, errors);
+  return value;
+};
+
+const checkObject = (value, schema, prefix, errors) => {
+  const result = { ...value };
+  const name = (key) => (prefix ? `${prefix}.${key}` : key);
+
+  (schema.required || []).forEach(key => {
+    if (isMissing(value[key])) errors.push({ field: name(key), message: 'is required' });
+  });
+  Object.entries(schema.properties || {}).forEach(([key, property]) => {
+    // Blank optional fields are fine (forms send them); required ones were reported above
+    if (isMissing(value[key])) {
+      if (value[key] === '' && resolve(property).type !== 'string') result[key] = null;
+      return;
+    }
+    result[key] = checkValue(value[key], property, name(key), errors);
+  });
+
+  // anyOf is only used for "one of these fields is required"
+  if (schema.anyOf && !schema.anyOf.some(option => (option.required || []).every(key => !isMissing(value[key])))) {
+    const options = schema.anyOf.map(option => option.required.join(' and '));
+    errors.push({ field: prefix || null, message: `${options.join(' or ')} is required` });
+  }
+  return result;
+};
+
+/**
+ * Foreign keys declared with x-references on integer properties:
+ *   { table }          - the id must exist (and not be soft-deleted)
+ *   { table, parent }  - and the row's `parent` column must match the body's
+ *                        value for it, e.g. a department of the given company_id
+ * Rows of another tenant (middleware/tenant.js) count as not existing.
+ */
+const SOFT_DELETED = ['companies', 'departments', 'designations', 'employees'];
+
+const checkReferences = async (body, schemaOrName, req = {}) => {
+  const schema = resolve(schemaOrName);
+  const checks = Object.entries(schema.properties || {})
+    .map(([field, property]) => ({ field, ref: resolve(property)['x-references'], value: body[field] }))
+    .filter(check => check.ref && !isMissing(check.value) && Number.isInteger(check.value));
+  if (!checks.length) return [];
+
+  const scopes = checks.map(({ ref }) => tableScope(req, ref.table));
+  const selects = checks.map(({ ref }, index) => {
+    const live = SOFT_DELETED.includes(ref.table) ? ' AND deleted_at IS NULL' : '';
+    const parent = ref.parent ? `, ${ref.parent} AS parent` : ', NULL AS parent';
+    return `SELECT ${index} AS check_index, id${parent} FROM ${ref.table} WHERE id = ?${live}${scopes[index].sql}`;
+  });
+  const values = checks.flatMap((check, index) => [check.value, ...scopes[index].values]);
+  const rows = await db.query(selects.join(' UNION ALL '), values);
+  const found = new Map(rows.map(row => [Number(row.check_index), row]));
+  const errors = [];
+  checks.forEach((check, index) => {
+    const row = found.get(index);
+    const label = check.ref.table.replace(/ies$/, 'y').replace(/s$/, '');
+    if (!row) return errors.push({ in: 'body', field: check.field, message: `${label} ${check.value} does not exist` });
+    const parentValue = body[check.ref.parent];
+    if (check.ref.parent && !isMissing(parentValue) && Number(row.parent) !== Number(parentValue)) {
+      errors.push({ in: 'body', field: check.field, message: `${label} ${check.value} does not belong to ${check.ref.parent} ${parentValue}` });
+    }
+  });
+  return errors;
+};
+
+/**
+ * Middleware validating any of req.params, req.query and req.body against the
+ * named schemas. Coerced params and body replace the originals, so handlers see
+ * numbers and booleans rather than form strings. Mount it after multer on
+ * multipart routes, since the body only exists once the upload is parsed.
+ *
+ * A body with a company_id property gets the caller's own company when it
+ * leaves it out and the caller is confined to one tenant.
+ */
+const validate = ({ params, query, body } = {}) => async (req, res, next) => {
+  const errors = [];
+  const collect = (location, value, schema) => {
+    const found = [];
+    const checked = checkValue(value || {}, schema, '', found);
+    errors.push(...found.map(error => ({ in: location, ...error })));
+    return checked;
+  };
+
+  const company = tenantOf(req.user);
+  const ownCompany = body && company !== null && resolve(body).properties?.company_id && isMissing(req.body?.company_id);
+  const input = ownCompany ? { ...req.body, company_id: company } : req.body;
+
+  const checkedParams = params ? collect('path', req.params, params) : req.params;
+  if (query) collect('query', req.query, query);
+  const checkedBody = body ? collect('body', input, body) : req.body;
+  if (errors.length) return sendValidationError(res, errors);
+
+  if (params) Object.assign(req.params, checkedParams);
+  if (body) req.body = checkedBody;
+  if (!body) return next();
+
+  const referenceErrors = await checkReferences(req.body, body, req);
+  if (referenceErrors.length) return sendValidationError(res, referenceErrors);
+  next();
+};
+
+// router.param handler for numeric ids such as :id
+const idParam = (req, res, next, value, name) => {
+  if (/^[1-9]\d*$/.test(String(value))) return next();
+  sendValidationError(res, [{ in: 'path', field: name, message: 'must be a positive whole number' }]);
+};
+
+module.exports = { validate, idParam, checkValue, checkReferences, sendValidationError };
@@ -0,0 +1,270 @@
+// Every table the API used before migrations existed.
+//
+// Visitor and profile PII (email, phone, aadhar_no, address) is stored encrypted
+// (utils/pii), so those columns are TEXT and lookups go through the *_hash columns.
+// Master data is soft-deleted (deleted_at), which is why the foreign keys never cascade.
+
+const TABLE = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci';
+const STATUS = "ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active'";
+const GENDER = "ENUM('Male', 'Female', 'Other') NULL";
+const SOFT_DELETE = `
+      deleted_at DATETIME NULL,
+      deleted_by INT NULL`;
+
+module.exports = {
+  up: [
+    `CREATE TABLE companies (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      company_name VARCHAR(150) NOT NULL,
+      status ${STATUS},
+      retention_days INT UNSIGNED NULL,
+      retention_action ENUM('anonymise', 'delete') NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,${SOFT_DELETE}
+    ) ${TABLE}`,
+
+    `CREATE TABLE departments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      company_id INT NOT NULL,
+      name VARCHAR(150) NOT NULL,
+      status ${STATUS},
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,${SOFT_DELETE},
+      FOREIGN KEY (company_id) REFERENCES companies (id)
+    ) ${TABLE}`,
+
+    `CREATE TABLE designations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      company_id INT NOT NULL,
+      department_id INT NOT NULL,
+      name VARCHAR(150) NOT NULL,
+      status ${STATUS},
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,${SOFT_DELETE},
+      FOREIGN KEY (company_id) REFERENCES companies (id),
+      FOREIGN KEY (department_id) REFERENCES departments (id)
+    ) ${TABLE}`,
+
+    // password stays NULL until an imported employee accepts their invite
+    `CREATE TABLE employees (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NULL,
+      email VARCHAR(255) NOT NULL,
+      phone VARCHAR(32) NULL,
+      joining_date DATE NULL,
+      gender ${GENDER},
+      company_id INT NOT NULL,
+      department_id INT NOT NULL,
+      designation_id INT NOT NULL,
+      status ${STATUS},
+      role ENUM('admin', 'receptionist', 'host', 'security') NOT NULL DEFAULT 'host',
+      password VARCHAR(255) NULL,
+      invite_token_hash CHAR(64) NULL,
+      invite_expires_at DATETIME NULL,
+      remarks TEXT NULL,
+      image VARCHAR(255) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,${SOFT_DELETE},
+      UNIQUE KEY employees_email (email),
+      UNIQUE KEY employees_invite_token (invite_token_hash),
+      FOREIGN KEY (company_id) REFERENCES companies (id),
+      FOREIGN KEY (department_id) REFERENCES departments (id),
+      FOREIGN KEY (designation_id) REFERENCES designations (id)
+    ) ${TABLE}`,
+
+    `CREATE TABLE visitor_profiles (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NULL,
+      email TEXT NULL,
+      phone TEXT NULL,
+      gender ${GENDER},
+      aadhar_no TEXT NULL,
+      address TEXT NULL,
+      image VARCHAR(255) NULL,
+      email_hash CHAR(64) NULL,
+      phone_hash CHAR(64) NULL,
+      aadhar_no_hash CHAR(64) NULL,
+      last_visit_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY visitor_profiles_email_hash (email_hash),
+      KEY visitor_profiles_phone_hash (phone_hash),
+      KEY visitor_profiles_aadhar_no_hash (aadhar_no_hash),
+      KEY visitor_profiles_last_visit (last_visit_at)
+    ) ${TABLE}`,
+
+    // One row per visit. The *_by columns hold employee ids and *_gate where it happened.
+    `CREATE TABLE visitors (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      profile_id INT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NULL,
+      email TEXT NULL,
+      phone TEXT NULL,
+      gender ${GENDER},
+      aadhar_no TEXT NULL,
+      address TEXT NULL,
+      image VARCHAR(255) NULL,
+      company_id INT NULL,
+      department_id INT NULL,
+      designation_id INT NULL,
+      whom_to_meet INT NULL,
+      purpose VARCHAR(255) NULL,
+      status ENUM('pending_approval', 'expected', 'checked_in', 'checked_out', 'cancelled', 'rejected', 'expired')
+        NOT NULL DEFAULT 'pending_approval',
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      escalated_at DATETIME NULL,
+      decided_at DATETIME NULL,
+      decided_by INT NULL,
+      approval_note VARCHAR(500) NULL,
+      check_in_at DATETIME NULL,
+      checked_in_by INT NULL,
+      check_in_gate VARCHAR(100) NULL,
+      check_out_at DATETIME NULL,
+      checked_out_by INT NULL,
+      check_out_gate VARCHAR(100) NULL,
+      cancelled_at DATETIME NULL,
+      cancelled_by INT NULL,
+      qr_token_id VARCHAR(64) NULL,
+      qr_expires_at DATETIME NULL,
+      qr_status ENUM('active', 'used') NULL,
+      screening_result ENUM('clear', 'flagged', 'blocked') NULL,
+      screening_matches JSON NULL,
+      screened_at DATETIME NULL,
+      email_hash CHAR(64) NULL,
+      phone_hash CHAR(64) NULL,
+      aadhar_no_hash CHAR(64) NULL,
+      anonymised_at DATETIME NULL,
+      KEY visitors_status (status),
+      KEY visitors_created_at (created_at),
+      KEY visitors_check_in_at (check_in_at),
+      KEY visitors_email_hash (email_hash),
+      KEY visitors_phone_hash (phone_hash),
+      KEY visitors_aadhar_no_hash (aadhar_no_hash),
+      FOREIGN KEY (profile_id) REFERENCES visitor_profiles (id),
+      FOREIGN KEY (company_id) REFERENCES companies (id),
+      FOREIGN KEY (department_id) REFERENCES departments (id),
+      FOREIGN KEY (designation_id) REFERENCES designations (id),
+      FOREIGN KEY (whom_to_meet) REFERENCES employees (id)
+    ) ${TABLE}`,
+
+    `CREATE TABLE invitations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      host_id INT NOT NULL,
+      company_id INT NULL,
+      department_id INT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NULL,
+      email VARCHAR(255) NULL,
+      phone VARCHAR(32) NULL,
+      visit_date DATE NOT NULL,
+      window_start TIME NULL,
+      window_end TIME NULL,
+      purpose VARCHAR(255) NULL,
+      invite_code CHAR(8) NOT NULL,
+      status ENUM('pending', 'redeemed', 'cancelled') NOT NULL DEFAULT 'pending',
+      visitor_id INT NULL,
+      created_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      redeemed_at DATETIME NULL,
+      anonymised_at DATETIME NULL,
+      UNIQUE KEY invitations_invite_code (invite_code),
+      KEY invitations_visit_date (visit_date),
+      FOREIGN KEY (host_id) REFERENCES employees (id),
+      FOREIGN KEY (company_id) REFERENCES companies (id),
+      FOREIGN KEY (department_id) REFERENCES departments (id),
+      FOREIGN KEY (visitor_id) REFERENCES visitors (id)
+    ) ${TABLE}`,
+
+    `CREATE TABLE watchlist (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(150) NOT NULL,
+      phone VARCHAR(32) NULL,
+      email VARCHAR(255) NULL,
+      aadhar_no VARCHAR(20) NULL,
+      reason VARCHAR(500) NOT NULL,
+      severity ENUM('block', 'flag') NOT NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ${TABLE}`,
+
+    `CREATE TABLE musters (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      company_id INT NULL,
+      note VARCHAR(255) NULL,
+      started_at DATETIME NOT NULL,
+      started_by INT NULL,
+      closed_at DATETIME NULL,
+      closed_by INT NULL,
+      FOREIGN KEY (company_id) REFERENCES companies (id)
+    ) ${TABLE}`,
+
+    `CREATE TABLE muster_entries (
+      muster_id INT NOT NULL,
+      visitor_id INT NOT NULL,
+      accounted_at DATETIME NULL,
+      accounted_by INT NULL,
+      assembly_point VARCHAR(100) NULL,
+      PRIMARY KEY (muster_id, visitor_id),
+      FOREIGN KEY (muster_id) REFERENCES musters (id) ON DELETE CASCADE,
+      FOREIGN KEY (visitor_id) REFERENCES visitors (id)
+    ) ${TABLE}`,
+
+    `CREATE TABLE pii_reveals (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      entity VARCHAR(50) NOT NULL,
+      entity_id INT NOT NULL,
+      fields JSON NOT NULL,
+      reason VARCHAR(500) NOT NULL,
+      revealed_by INT NULL,
+      ip VARCHAR(45) NULL,
+      revealed_at DATETIME NOT NULL,
+      KEY pii_reveals_entity (entity, entity_id)
+    ) ${TABLE}`,
+
+    // Counts left behind by visits the retention job deleted (jobs/retention)
+    `CREATE TABLE visit_aggregates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      visit_date DATE NOT NULL,
+      check_in_hour TINYINT NULL,
+      company_id INT NULL,
+      department_id INT NULL,
+      whom_to_meet INT NULL,
+      visits INT NOT NULL,
+      completed INT NOT NULL,
+      duration_minutes BIGINT NOT NULL DEFAULT 0,
+      KEY visit_aggregates_visit_date (visit_date)
+    ) ${TABLE}`,
+
+    `CREATE TABLE audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      entity VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(64) NULL,
+      action ENUM('create', 'update', 'delete', 'restore', 'status_change') NOT NULL,
+      changes JSON NULL,
+      actor_id INT NULL,
+      actor_role VARCHAR(32) NULL,
+      ip VARCHAR(45) NULL,
+      method VARCHAR(10) NULL,
+      path VARCHAR(500) NULL,
+      created_at DATETIME NOT NULL,
+      KEY audit_log_entity (entity, entity_id),
+      KEY audit_log_actor (actor_id),
+      KEY audit_log_created_at (created_at)
+    ) ${TABLE}`
+  ],
+
+  down: [
+    'DROP TABLE audit_log',
+    'DROP TABLE visit_aggregates',
+    'DROP TABLE pii_reveals',
+    'DROP TABLE muster_entries',
+    'DROP TABLE musters',
+    'DROP TABLE watchlist',
+    'DROP TABLE invitations',
+    'DROP TABLE visitors',
+    'DROP TABLE visitor_profiles',
+    'DROP TABLE employees',
+    'DROP TABLE designations',
+    'DROP TABLE departments',
+    'DROP TABLE companies'
+  ]
+};
@@ -0,0 +1,13 @@
+// The audit trail can only grow: rows may be inserted, never changed or removed.
+// Creating triggers needs the TRIGGER privilege (and SUPER, or
+// log_bin_trust_function_creators=1, when binary logging is on).
+
+const refuse = (event) => `
+  CREATE TRIGGER audit_log_no_${event.toLowerCase()} BEFORE ${event} ON audit_log
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'
+`;
+
+module.exports = {
+  up: [refuse('UPDATE'), refuse('DELETE')],
+  down: ['DROP TRIGGER audit_log_no_update', 'DROP TRIGGER audit_log_no_delete']
+};
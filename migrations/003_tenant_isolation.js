@@ -0,0 +1,23 @@
+// Tenant isolation (middleware/tenant.js): the super_admin role, which works
+// across companies, and a company on every visit and invitation that predates
+// it, taken from the host. The backfill is not undone on the way down.
+
+const ROLE = (...roles) => `ENUM(${roles.map(role => `'${role}'`).join(', ')}) NOT NULL DEFAULT 'host'`;
+const TENANT_ROLES = ['admin', 'receptionist', 'host', 'security'];
+
+module.exports = {
+  up: [
+    `ALTER TABLE employees MODIFY role ${ROLE('super_admin', ...TENANT_ROLES)}`,
+    `UPDATE visitors v JOIN employees e ON v.whom_to_meet = e.id
+      SET v.company_id = e.company_id
+      WHERE v.company_id IS NULL`,
+    `UPDATE invitations i JOIN employees e ON i.host_id = e.id
+      SET i.company_id = e.company_id
+      WHERE i.company_id IS NULL`
+  ],
+
+  down: [
+    "UPDATE employees SET role = 'admin' WHERE role = 'super_admin'",
+    `ALTER TABLE employees MODIFY role ${ROLE(...TENANT_ROLES)}`
+  ]
+};
@@ -0,0 +1,24 @@
+// Invitee email and phone are encrypted like visitor PII (utils/pii), with
+// keyed hashes for lookups. Rows written before this stay plaintext until
+// `npm run pii:reencrypt` has run. The columns stay TEXT on the way down,
+// since they may hold ciphertext by then.
+
+module.exports = {
+  up: [
+    `ALTER TABLE invitations
+      MODIFY email TEXT NULL,
+      MODIFY phone TEXT NULL,
+      ADD email_hash CHAR(64) NULL AFTER phone,
+      ADD phone_hash CHAR(64) NULL AFTER email_hash,
+      ADD KEY invitations_email_hash (email_hash),
+      ADD KEY invitations_phone_hash (phone_hash)`
+  ],
+
+  down: [
+    `ALTER TABLE invitations
+      DROP KEY invitations_email_hash,
+      DROP KEY invitations_phone_hash,
+      DROP email_hash,
+      DROP phone_hash`
+  ]
+};
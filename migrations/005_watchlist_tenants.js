@@ -0,0 +1,16 @@
+// Watchlist entries belong to a company (middleware/tenant.js) and screen only
+// its visits. Entries without one, including every entry that predates this,
+// apply to the whole deployment and only a super admin can see or change them.
+
+module.exports = {
+  up: [
+    `ALTER TABLE watchlist
+      ADD company_id INT NULL AFTER id,
+      ADD CONSTRAINT watchlist_company FOREIGN KEY (company_id) REFERENCES companies (id)`
+  ],
+
+  down: [
+    'ALTER TABLE watchlist DROP FOREIGN KEY watchlist_company',
+    'ALTER TABLE watchlist DROP company_id'
+  ]
+};
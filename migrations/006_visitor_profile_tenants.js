@@ -0,0 +1,44 @@
+// Visitor profiles belong to one company (middleware/tenant.js), so matching a
+// returning visitor never brings in what another company recorded about them.
+// A profile with visits to several companies is split: each further company
+// gets its own copy for its visits. Profiles nobody has visited with stay
+// without a company. The split is not undone on the way down.
+
+const COPIED = `
+  first_name, last_name, email, phone, gender, aadhar_no, address, image,
+  email_hash, phone_hash, aadhar_no_hash, last_visit_at, created_at
+`;
+
+const splitSharedProfiles = async (connection) => {
+  const [shared] = await connection.query(`
+    SELECT DISTINCT v.profile_id, v.company_id
+    FROM visitors v JOIN visitor_profiles p ON v.profile_id = p.id
+    WHERE v.company_id <> p.company_id
+  `);
+  for (const { profile_id: profileId, company_id: companyId } of shared) {
+    const [copy] = await connection.query(
+      `INSERT INTO visitor_profiles (company_id, ${COPIED}) SELECT ?, ${COPIED} FROM visitor_profiles WHERE id = ?`,
+      [companyId, profileId]
+    );
+    await connection.query(
+      'UPDATE visitors SET profile_id = ? WHERE profile_id = ? AND company_id = ?',
+      [copy.insertId, profileId, companyId]
+    );
+  }
+};
+
+module.exports = {
+  up: [
+    `ALTER TABLE visitor_profiles
+      ADD company_id INT NULL AFTER id,
+      ADD CONSTRAINT visitor_profiles_company FOREIGN KEY (company_id) REFERENCES companies (id)`,
+    `UPDATE visitor_profiles p
+      SET p.company_id = (SELECT MIN(v.company_id) FROM visitors v WHERE v.profile_id = p.id)`,
+    splitSharedProfiles
+  ],
+
+  down: [
+    'ALTER TABLE visitor_profiles DROP FOREIGN KEY visitor_profiles_company',
+    'ALTER TABLE visitor_profiles DROP company_id'
+  ]
+};
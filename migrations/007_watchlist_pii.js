@@ -0,0 +1,24 @@
+// Watchlist phone numbers, emails and Aadhaar numbers are encrypted like visitor
+// PII (utils/pii), with keyed hashes that screening matches on. Rows written
+// before this stay plaintext until `npm run pii:reencrypt` has run; screening
+// hashes their identifiers itself meanwhile. The columns stay TEXT on the way
+// down, since they may hold ciphertext by then.
+
+module.exports = {
+  up: [
+    `ALTER TABLE watchlist
+      MODIFY phone TEXT NULL,
+      MODIFY email TEXT NULL,
+      MODIFY aadhar_no TEXT NULL,
+      ADD phone_hash CHAR(64) NULL AFTER aadhar_no,
+      ADD email_hash CHAR(64) NULL AFTER phone_hash,
+      ADD aadhar_no_hash CHAR(64) NULL AFTER email_hash`
+  ],
+
+  down: [
+    `ALTER TABLE watchlist
+      DROP phone_hash,
+      DROP email_hash,
+      DROP aadhar_no_hash`
+  ]
+};
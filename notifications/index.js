@@ -0,0 +1,190 @@
+const db = require('../db');
+const dotenv = require('dotenv');
+const { createTransport } = require('./transports');
+const { renderTemplate } = require('./templates');
+const { publicUrl } = require('../utils/publicUrl');
+const { photoUrl } = require('../utils/storage');
+dotenv.config();
+
+let transport;
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// Swap the transport at runtime, e.g. a memory transport in local scripts
+const setTransport = (next) => {
+  transport = next;
+};
+
+const maxAttempts = () => Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+const retryDelayMs = (attempt) => Number(process.env.MAIL_RETRY_BASE_MS || 2000) * 2 ** (attempt - 1);
+const queueLimit = () => Number(process.env.MAIL_QUEUE_LIMIT || 1000);
+
+const queue = [];
+// Failed messages waiting out their backoff; they count against the queue limit too
+let retrying = 0;
+let sending = false;
+
+// Sends one message at a time; failures are retried with exponential backoff
+// and finally logged. Nothing here ever reaches the HTTP request that queued it.
+const drain = () => {
+  if (sending || !queue.length) return;
+  const job = queue.shift();
+  let sender;
+  try {
+    sender = getTransport();
+  } catch (err) {
+    console.error(`Mail to ${job.message.to} not sent:`, err.message);
+    return drain();
+  }
+  sending = true;
+
+  sender.sendMail(job.message, (err) => {
+    sending = false;
+    if (err) {
+      job.attempts += 1;
+      if (job.attempts < maxAttempts()) {
+        retrying += 1;
+        setTimeout(() => {
+          retrying -= 1;
+          queue.push(job);
+          drain();
+        }, retryDelayMs(job.attempts)).unref();
+      } else {
+        console.error(`Mail to ${job.message.to} failed after ${job.attempts} attempts:`, err.message);
+      }
+    }
+    drain();
+  });
+};
+
+// Queue a message; while MAIL_QUEUE_LIMIT messages are already waiting (e.g. the
+// mail server is down) it is dropped and logged instead, so memory stays bounded.
+// Returns whether it was queued.
+const enqueueMail = (message) => {
+  if (queue.length + retrying >= queueLimit()) {
+    console.error(`Mail queue is full (${queueLimit()} waiting); dropped mail to ${message.to}`);
+    return false;
+  }
+  queue.push({
+    message: { from: process.env.MAIL_FROM || 'VMS <no-reply@localhost>', ...message },
+    attempts: 0
+  });
+  drain();
+  return true;
+};
+
+const HOST_SQL = `
+  SELECT e.email, CONCAT_WS(' ', e.first_name, e.last_name) AS host_name
+  FROM employees e WHERE e.id = ?
+`;
+
+const send = (template, host, data) => {
+  if (!host || !host.email) return;
+  try {
+    enqueueMail({ to: host.email, ...renderTemplate(template, { ...data, host_name: host.host_name }) });
+  } catch (err) {
+    console.error('Notification render failed:', err.message);
+  }
+};
+
+// Email the host a visitor came to meet. Fire-and-forget: lookup or mail
+// errors are logged, never passed back to the caller.
+const notifyHost = (template, visitorId) => {
+  (async () => {
+    const [visitor] = await db.query('SELECT * FROM visitors WHERE id = ?', [visitorId]);
+    if (!visitor) return console.error('Notification lookup failed for visitor', visitorId);
+    const [host] = await db.query(HOST_SQL, [visitor.whom_to_meet]);
+    send(template, host, {
+      visitor_name: [visitor.first_name, visitor.last_name].filter(Boolean).join(' '),
+      purpose: visitor.purpose || '-',
+      photo_url: photoUrl(visitor.image),
+      visit_url: publicUrl(`/api/visitors/${visitor.id}`),
+      visit_date: new Date().toDateString()
+    });
+  })().catch(err => console.error('Notification lookup failed for visitor', visitorId, err.message));
+};
+
+// Alert the security staff of the visit's company (and SECURITY_ALERT_EMAIL) about a watchlist hit
+const notifySecurity = (visitorId, screening) => {
+  const sql = `
+    SELECT e.email, CONCAT_WS(' ', e.first_name, e.last_name) AS host_name
+    FROM employees e
+    WHERE e.role = 'security' AND e.status = 'Active' AND e.deleted_at IS NULL AND e.company_id = ?
+  `;
+  (async () => {
+    const [visitor] = await db.query('SELECT * FROM visitors WHERE id = ?', [visitorId]);
+    if (!visitor) return console.error('Security alert lookup failed for visitor', visitorId);
+    const recipients = [...await db.query(sql, [visitor.company_id])];
+    if (process.env.SECURITY_ALERT_EMAIL) {
+      recipients.push({ email: process.env.SECURITY_ALERT_EMAIL, host_name: 'Security' });
+    }
+    recipients.forEach(recipient => send('watchlist_alert', recipient, {
+      visitor_name: [visitor.first_name, visitor.last_name].filter(Boolean).join(' '),
+      purpose: visitor.purpose || '-',
+      photo_url: photoUrl(visitor.image),
+      visit_url: publicUrl(`/api/visitors/${visitor.id}`),
+      screening_result: screening.result,
+      matches: screening.matches.map(m => `#${m.watchlist_id} ${m.field} (${m.match}, ${m.severity})`).join('; ')
+    }));
+  })().catch(err => console.error('Security alert lookup failed for visitor', visitorId, err.message));
+};
+
+// Tell the receptionists and admins of the visit's company that a walk-in's approval is overdue or has expired
+const notifyReception = (template, visitorId) => {
+  const sql = `
+    SELECT e.email, CONCAT_WS(' ', e.first_name, e.last_name) AS host_name
+    FROM employees e
+    WHERE e.role IN ('receptionist', 'admin') AND e.status = 'Active' AND e.deleted_at IS NULL AND e.company_id = ?
+  `;
+  (async () => {
+    const [visitor] = await db.query('SELECT * FROM visitors WHERE id = ?', [visitorId]);
+    if (!visitor) return console.error('Reception notification lookup failed for visitor', visitorId);
+    const [host] = await db.query(HOST_SQL, [visitor.whom_to_meet]);
+    const recipients = await db.query(sql, [visitor.company_id]);
+    recipients.forEach(recipient => send(template, recipient, {
+      visitor_name: [visitor.first_name, visitor.last_name].filter(Boolean).join(' '),
+      visit_host: host?.host_name || 'their host',
+      purpose: visitor.purpose || '-',
+      photo_url: photoUrl(visitor.image),
+      visit_url: publicUrl(`/api/visitors/${visitor.id}`),
+      registered_at: new Date(visitor.created_at).toLocaleTimeString('en-IN')
+    }));
+  })().catch(err => console.error('Reception notification lookup failed for visitor', visitorId, err.message));
+};
+
+// Pre-registration confirmation for the inviting host
+const notifyInvitationHost = (template, invitationId) => {
+  (async () => {
+    const [invitation] = await db.query('SELECT * FROM invitations WHERE id = ?', [invitationId]);
+    if (!invitation) return console.error('Notification lookup failed for invitation', invitationId);
+    const [host] = await db.query(HOST_SQL, [invitation.host_id]);
+    send(template, host, {
+      visitor_name: [invitation.first_name, invitation.last_name].filter(Boolean).join(' '),
+      purpose: invitation.purpose || '-',
+      photo_url: '',
+      visit_url: publicUrl(`/api/invitations/${invitation.id}`),
+      visit_date: new Date(invitation.visit_date).toDateString()
+    });
+  })().catch(err => console.error('Notification lookup failed for invitation', invitationId, err.message));
+};
+
+// Link for a new employee to set their own password
+const notifyEmployeeInvite = (employee, inviteUrl, expiresHours) => {
+  send('employee_invite', {
+    email: employee.email,
+    host_name: [employee.first_name, employee.last_name].filter(Boolean).join(' ')
+  }, { invite_url: inviteUrl, expires_hours: expiresHours });
+};
+
+module.exports = {
+  enqueueMail,
+  notifyHost,
+  notifyInvitationHost,
+  notifySecurity,
+  notifyReception,
+  notifyEmployeeInvite,
+  setTransport,
+  getTransport
+};
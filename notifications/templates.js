@@ -0,0 +1,70 @@
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fill = (template, data, escape = (v) => String(v ?? '')) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => escape(data[key]));
+
+const layout = (body) => `
+  <div style="font-family: Arial, sans-serif; font-size: 14px;">
+    ${body}
+    <p>Purpose: {{purpose}}</p>
+    {{photo_block}}
+    <p style="color: #888;">Visitor Management System</p>
+  </div>
+`;
+
+// Each template gets visitor_name, host_name, purpose, photo_url and visit_url
+const TEMPLATES = {
+  visitor_registered: {
+    subject: 'Visit registered: {{visitor_name}}',
+    text: 'Hi {{host_name}},\n\n{{visitor_name}} has been registered to visit you on {{visit_date}}.\nPurpose: {{purpose}}\n{{photo_url}}',
+    html: layout('<p>Hi {{host_name}},</p><p><strong>{{visitor_name}}</strong> has been registered to visit you on {{visit_date}}.</p>')
+  },
+  approval_requested: {
+    subject: 'Approval needed: {{visitor_name}} is at reception',
+    text: 'Hi {{host_name}},\n\n{{visitor_name}} is at reception asking to meet you.\nPurpose: {{purpose}}\nApprove or reject: {{visit_url}}\n{{photo_url}}',
+    html: layout('<p>Hi {{host_name}},</p><p><strong>{{visitor_name}}</strong> is at reception asking to meet you.</p><p><a href="{{visit_url}}">Approve or reject this visit</a></p>')
+  },
+  approval_escalated: {
+    subject: 'Approval overdue: {{visitor_name}} is still waiting',
+    text: 'Hi {{host_name}},\n\n{{visitor_name}} has been waiting since {{registered_at}} for {{visit_host}} to approve their visit.\nPlease follow up with the host or decide at the desk: {{visit_url}}\nPurpose: {{purpose}}\n{{photo_url}}',
+    html: layout('<p>Hi {{host_name}},</p><p><strong>{{visitor_name}}</strong> has been waiting since {{registered_at}} for {{visit_host}} to approve their visit.</p><p><a href="{{visit_url}}">Follow up or decide at the desk</a></p>')
+  },
+  approval_expired: {
+    subject: 'Visit request expired: {{visitor_name}}',
+    text: 'Hi {{host_name}},\n\nThe visit request from {{visitor_name}} was not approved in time and has expired. They will need to register again to come in.\nVisit: {{visit_url}}\nPurpose: {{purpose}}\n{{photo_url}}',
+    html: layout('<p>Hi {{host_name}},</p><p>The visit request from <strong>{{visitor_name}}</strong> was not approved in time and has expired. They will need to register again to come in.</p><p><a href="{{visit_url}}">Open visit</a></p>')
+  },
+  visitor_checked_in: {
+    subject: '{{visitor_name}} has arrived',
+    text: 'Hi {{host_name}},\n\n{{visitor_name}} has checked in and is on the way to you.\nPurpose: {{purpose}}\n{{photo_url}}',
+    html: layout('<p>Hi {{host_name}},</p><p><strong>{{visitor_name}}</strong> has checked in and is on the way to you.</p>')
+  },
+  employee_invite: {
+    subject: 'Your visitor management account',
+    text: 'Hi {{host_name}},\n\nAn account has been created for you. Set your password here within {{expires_hours}} hours:\n{{invite_url}}',
+    html: '<div style="font-family: Arial, sans-serif; font-size: 14px;"><p>Hi {{host_name}},</p><p>An account has been created for you.</p><p><a href="{{invite_url}}">Set your password</a> within {{expires_hours}} hours.</p><p style="color: #888;">Visitor Management System</p></div>'
+  },
+  watchlist_alert: {
+    subject: 'Watchlist {{screening_result}}: {{visitor_name}}',
+    text: 'Security alert\n\n{{visitor_name}} (visit {{visit_url}}) matched the watchlist and was {{screening_result}}.\nMatches: {{matches}}\nPurpose: {{purpose}}\n{{photo_url}}',
+    html: layout('<p><strong>Security alert</strong></p><p><strong>{{visitor_name}}</strong> matched the watchlist and was <strong>{{screening_result}}</strong>.</p><p>Matches: {{matches}}</p><p><a href="{{visit_url}}">Open visit</a></p>')
+  }
+};
+
+const renderTemplate = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown notification template: ${name}`);
+
+  const photoBlock = data.photo_url ? `<p><img src="${escapeHtml(data.photo_url)}" alt="Visitor photo" width="120"></p>` : '';
+  return {
+    subject: fill(template.subject, data),
+    text: fill(template.text, data),
+    html: fill(template.html.replace('{{photo_block}}', photoBlock), data, escapeHtml)
+  };
+};
+
+module.exports = { TEMPLATES, renderTemplate };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// In-memory transport keeps the latest `limit` messages in `outbox`. For tests and
+// local scripts only (MAIL_TRANSPORT=memory); nothing is delivered.
+const createMemoryTransport = (limit = 100) => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const outbox = [];
+  return {
+    outbox,
+    sendMail: (message, cb) => transport.sendMail(message, (err, info) => {
+      if (err) return cb(err);
+      outbox.push(JSON.parse(info.message));
+      if (outbox.length > limit) outbox.splice(0, outbox.length - limit);
+      cb(null, info);
+    })
+  };
+};
+
+// File transport writes each message as an .eml file into MAIL_FILE_DIR
+const createFileTransport = (dir) => {
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    sendMail: (message, cb) => transport.sendMail(message, (err, info) => {
+      if (err) return cb(err);
+      fs.mkdir(dir, { recursive: true }, (err) => {
+        if (err) return cb(err);
+        const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`);
+        fs.writeFile(file, info.message, (err) => cb(err, { ...info, file }));
+      });
+    })
+  };
+};
+
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+});
+
+const TRANSPORTS = ['smtp', 'file', 'memory'];
+
+class MailConfigError extends Error {}
+
+// MAIL_TRANSPORT=smtp | file | memory. There is no default, so a deployment never
+// quietly keeps its mail on disk; file and memory deliver nothing and are refused
+// when NODE_ENV=production.
+const transportKind = (kind = process.env.MAIL_TRANSPORT) => {
+  if (!kind) throw new MailConfigError(`MAIL_TRANSPORT is not configured; use one of: ${TRANSPORTS.join(', ')}`);
+  if (!TRANSPORTS.includes(kind)) throw new MailConfigError(`Unknown MAIL_TRANSPORT: ${kind}`);
+  if (kind !== 'smtp' && process.env.NODE_ENV === 'production') {
+    throw new MailConfigError(`MAIL_TRANSPORT=${kind} delivers no mail; use smtp in production`);
+  }
+  return kind;
+};
+
+// Fail fast at startup rather than on the first notification
+const checkMailTransport = () => {
+  transportKind();
+};
+
+const createTransport = (kind) => {
+  switch (transportKind(kind)) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || 'mail-outbox');
+    default:
+      return createMemoryTransport();
+  }
+};
+
+module.exports = {
+  MailConfigError,
+  checkMailTransport,
+  createTransport,
+  createMemoryTransport,
+  createFileTransport,
+  createSmtpTransport
+};
@@ -0,0 +1,459 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authorize } = require('../middleware/rbac');
+const { sendValidationError } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { buildListQuery, ListQueryError } = require('../utils/listQuery');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: Front-desk metrics, shaped for charts
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     analyticsCompany:
+ *       in: query
+ *       name: company_id
+ *       description: Callers confined to a tenant only ever get their own company's figures
+ *       schema: { type: string }
+ *     analyticsFrom:
+ *       in: query
+ *       name: from
+ *       description: Start date (inclusive); defaults to 30 days ago
+ *       schema: { type: string, format: date }
+ *     analyticsTo:
+ *       in: query
+ *       name: to
+ *       description: End date (inclusive); defaults to today
+ *       schema: { type: string, format: date }
+ *   schemas:
+ *     MetricSeries:
+ *       type: object
+ *       properties:
+ *         metric: { type: string, example: visits }
+ *         filters:
+ *           type: object
+ *           properties:
+ *             company_id: { type: string, nullable: true }
+ *             from: { type: string, format: date }
+ *             to: { type: string, format: date }
+ *         data:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               label: { type: string, example: "2026-01-05" }
+ *               value: { type: number, example: 42 }
+ */
+
+const DEFAULT_DAYS = 30;
+const INTERVALS = {
+  day: '%Y-%m-%d',
+  week: '%Y-%m-%d', // Labelled with the Monday the week starts on
+  month: '%Y-%m'
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Visits plus the counts the retention job keeps for visits it deleted, one row
+// per visit or per aggregate bucket; sum `visits` rather than counting rows
+const VISIT_FACTS = `(
+  SELECT v.company_id, v.department_id, v.whom_to_meet, v.created_at AS visited_at, v.check_in_at,
+    1 AS visits,
+    (v.check_in_at IS NOT NULL AND v.check_out_at IS NOT NULL) AS completed,
+    COALESCE(TIMESTAMPDIFF(MINUTE, v.check_in_at, v.check_out_at), 0) AS duration_minutes
+  FROM visitors v
+  UNION ALL
+  SELECT a.company_id, a.department_id, a.whom_to_meet, a.visit_date,
+    a.visit_date + INTERVAL a.check_in_hour HOUR,
+    a.visits, a.completed, a.duration_minutes
+  FROM visit_aggregates a
+) f`;
+
+// company_id and from/to for one metric, as SQL on `dateColumn`. Ranges default to the last 30 days.
+const metricFilters = (req, dateColumn, companyColumn) => {
+  const filters = {
+    company_id: req.query.company_id || null,
+    from: req.query.from || isoDate(new Date(Date.now() - DEFAULT_DAYS * 24 * 60 * 60 * 1000)),
+    to: req.query.to || isoDate(new Date())
+  };
+  const list = buildListQuery(
+    { company_id: filters.company_id || undefined, from: filters.from, to: filters.to },
+    { id: 'id', filters: { company_id: companyColumn }, date: dateColumn, scope: tenantScope(req, companyColumn) }
+  );
+  return { filters, where: list.where, values: list.values };
+};
+
+const topLimit = (req) => Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+// Run a metric query and reply with { metric, filters, data }, plus any
+// overall figures `summary` derives from the shaped data
+const sendMetric = async (req, res, name, build) => {
+  let query;
+  try {
+    query = build();
+  } catch (err) {
+    if (err instanceof ListQueryError) return sendValidationError(res, err.errors);
+    throw err;
+  }
+  const rows = await db.query(query.sql, query.values);
+  const data = query.shape ? query.shape(rows) : rows;
+  res.json({ metric: name, filters: query.filters, ...(query.summary ? query.summary(data) : {}), data });
+};
+
+const labelled = (rows) => rows.map(row => ({ label: row.label, value: Number(row.value) }));
+
+/**
+ * @swagger
+ * /api/analytics/on-site:
+ *   get:
+ *     summary: Visitors currently on site, by department
+ *     description: Everyone checked in and not yet checked out. from/to narrow by check-in time and default to no limit.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/analyticsCompany'
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       200:
+ *         description: Total on site and the per-department split
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MetricSeries'
+ *                 - type: object
+ *                   properties:
+ *                     total: { type: integer, example: 17 }
+ */
+router.get('/on-site', authorize('analytics:read'), async (req, res) => {
+  let list;
+  try {
+    list = buildListQuery(
+      { company_id: req.query.company_id, from: req.query.from, to: req.query.to },
+      { id: 'v.id', filters: { company_id: 'v.company_id' }, date: 'v.check_in_at', scope: tenantScope(req, 'v.company_id') }
+    );
+  } catch (err) {
+    if (err instanceof ListQueryError) return sendValidationError(res, err.errors);
+    throw err;
+  }
+
+  const sql = `
+    SELECT COALESCE(d.name, 'Unassigned') AS label, COUNT(*) AS value
+    FROM visitors v
+    LEFT JOIN departments d ON v.department_id = d.id
+    WHERE v.status = 'checked_in' AND ${list.where}
+    GROUP BY label
+    ORDER BY value DESC
+  `;
+  const rows = await db.query(sql, list.values);
+  const data = labelled(rows);
+  res.json({
+    metric: 'on_site',
+    filters: { company_id: req.query.company_id || null, from: req.query.from || null, to: req.query.to || null },
+    total: data.reduce((sum, row) => sum + row.value, 0),
+    data
+  });
+});
+
+/**
+ * @swagger
+ * /api/analytics/visits:
+ *   get:
+ *     summary: Visits per day, week or month
+ *     description: Counts visits by registration time. Weeks start on Monday and are labelled with that date.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema: { type: string, enum: [day, week, month], default: day }
+ *       - $ref: '#/components/parameters/analyticsCompany'
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       200:
+ *         description: One point per period that had visits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MetricSeries'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/visits', authorize('analytics:read'), (req, res) => {
+  const interval = req.query.interval || 'day';
+  if (!INTERVALS[interval]) {
+    return sendValidationError(res, [{ in: 'query', field: 'interval', message: `must be one of: ${Object.keys(INTERVALS).join(', ')}` }]);
+  }
+
+  return sendMetric(req, res, 'visits', () => {
+    const { filters, where, values } = metricFilters(req, 'f.visited_at', 'f.company_id');
+    const period = interval === 'week' ? 'DATE_SUB(DATE(f.visited_at), INTERVAL WEEKDAY(f.visited_at) DAY)' : 'f.visited_at';
+    return {
+      filters: { ...filters, interval },
+      sql: `
+        SELECT DATE_FORMAT(${period}, ?) AS label, SUM(f.visits) AS value
+        FROM ${VISIT_FACTS}
+        WHERE ${where}
+        GROUP BY label
+        ORDER BY label
+      `,
+      values: [INTERVALS[interval], ...values],
+      shape: labelled
+    };
+  });
+});
+
+/**
+ * @swagger
+ * /api/analytics/peak-hours:
+ *   get:
+ *     summary: Arrivals by hour of day
+ *     description: Check-ins per hour (0-23) across the range; every hour is present, with 0 when nobody arrived.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/analyticsCompany'
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       200:
+ *         description: 24 points labelled "00" to "23"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MetricSeries'
+ */
+router.get('/peak-hours', authorize('analytics:read'), (req, res) => {
+  return sendMetric(req, res, 'peak_hours', () => {
+    const { filters, where, values } = metricFilters(req, 'f.check_in_at', 'f.company_id');
+    return {
+      filters,
+      sql: `
+        SELECT HOUR(f.check_in_at) AS hour, SUM(f.visits) AS value
+        FROM ${VISIT_FACTS}
+        WHERE f.check_in_at IS NOT NULL AND ${where}
+        GROUP BY hour
+      `,
+      values,
+      shape: (rows) => {
+        const counts = Object.fromEntries(rows.map(row => [row.hour, Number(row.value)]));
+        return Array.from({ length: 24 }, (_, hour) => ({
+          label: String(hour).padStart(2, '0'),
+          value: counts[hour] || 0
+        }));
+      }
+    };
+  });
+});
+
+/**
+ * @swagger
+ * /api/analytics/visit-duration:
+ *   get:
+ *     summary: Average visit duration, overall and by department
+ *     description: Minutes from check-in to check-out, for completed visits that checked in within the range.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/analyticsCompany'
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       200:
+ *         description: Per-department averages in minutes, plus the overall figures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MetricSeries'
+ *                 - type: object
+ *                   properties:
+ *                     average_minutes: { type: number, example: 48.5 }
+ *                     visits: { type: integer, example: 310 }
+ */
+router.get('/visit-duration', authorize('analytics:read'), (req, res) => {
+  return sendMetric(req, res, 'visit_duration', () => {
+    const { filters, where, values } = metricFilters(req, 'f.check_in_at', 'f.company_id');
+    return {
+      filters,
+      sql: `
+        SELECT COALESCE(d.name, 'Unassigned') AS label,
+          SUM(f.duration_minutes) / SUM(f.completed) AS value,
+          SUM(f.completed) AS visits,
+          SUM(f.duration_minutes) AS minutes
+        FROM ${VISIT_FACTS}
+        LEFT JOIN departments d ON f.department_id = d.id
+        WHERE f.completed > 0 AND ${where}
+        GROUP BY label
+        ORDER BY value DESC
+      `,
+      values,
+      shape: (rows) => rows.map(row => ({
+        label: row.label,
+        value: Math.round(Number(row.value) * 10) / 10,
+        visits: Number(row.visits),
+        minutes: Number(row.minutes)
+      })),
+      // Weighted by visits, so taken from the department totals rather than averaged again
+      summary: (data) => {
+        const visits = data.reduce((sum, row) => sum + row.visits, 0);
+        const minutes = data.reduce((sum, row) => sum + row.minutes, 0);
+        return { average_minutes: visits ? Math.round((minutes / visits) * 10) / 10 : 0, visits };
+      }
+    };
+  });
+});
+
+/**
+ * @swagger
+ * /api/analytics/top-hosts:
+ *   get:
+ *     summary: Hosts with the most visits
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *       - $ref: '#/components/parameters/analyticsCompany'
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       200:
+ *         description: Hosts by visit count, highest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MetricSeries'
+ */
+router.get('/top-hosts', authorize('analytics:read'), (req, res) => {
+  return sendMetric(req, res, 'top_hosts', () => {
+    const { filters, where, values } = metricFilters(req, 'f.visited_at', 'f.company_id');
+    return {
+      filters,
+      sql: `
+        SELECT e.id, CONCAT_WS(' ', e.first_name, e.last_name) AS label, SUM(f.visits) AS value
+        FROM ${VISIT_FACTS}
+        JOIN employees e ON f.whom_to_meet = e.id
+        WHERE ${where}
+        GROUP BY e.id, label
+        ORDER BY value DESC
+        LIMIT ?
+      `,
+      values: [...values, topLimit(req)],
+      shape: (rows) => rows.map(row => ({ id: row.id, label: row.label, value: Number(row.value) }))
+    };
+  });
+});
+
+/**
+ * @swagger
+ * /api/analytics/top-departments:
+ *   get:
+ *     summary: Departments with the most visits
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *       - $ref: '#/components/parameters/analyticsCompany'
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       200:
+ *         description: Departments by visit count, highest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MetricSeries'
+ */
+router.get('/top-departments', authorize('analytics:read'), (req, res) => {
+  return sendMetric(req, res, 'top_departments', () => {
+    const { filters, where, values } = metricFilters(req, 'f.visited_at', 'f.company_id');
+    return {
+      filters,
+      sql: `
+        SELECT d.id, d.name AS label, SUM(f.visits) AS value
+        FROM ${VISIT_FACTS}
+        JOIN departments d ON f.department_id = d.id
+        WHERE ${where}
+        GROUP BY d.id, label
+        ORDER BY value DESC
+        LIMIT ?
+      `,
+      values: [...values, topLimit(req)],
+      shape: (rows) => rows.map(row => ({ id: row.id, label: row.label, value: Number(row.value) }))
+    };
+  });
+});
+
+/**
+ * @swagger
+ * /api/analytics/no-show-rate:
+ *   get:
+ *     summary: Share of pre-registered visitors who never arrived
+ *     description: |
+ *       Invitations whose visit date falls in the range and has passed. Redeemed invitations
+ *       count as shows, ones still pending as no-shows; cancelled invitations are left out.
+ *       One point per day plus the overall rate.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/analyticsCompany'
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       200:
+ *         description: Daily no-show rates (0-1) and the overall rate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MetricSeries'
+ *                 - type: object
+ *                   properties:
+ *                     rate: { type: number, example: 0.12 }
+ *                     invited: { type: integer, example: 250 }
+ *                     no_shows: { type: integer, example: 30 }
+ */
+router.get('/no-show-rate', authorize('analytics:read'), async (req, res) => {
+  let query;
+  try {
+    query = metricFilters(req, 'i.visit_date', 'i.company_id');
+  } catch (err) {
+    if (err instanceof ListQueryError) return sendValidationError(res, err.errors);
+    throw err;
+  }
+
+  const sql = `
+    SELECT DATE_FORMAT(i.visit_date, '%Y-%m-%d') AS label,
+      COUNT(*) AS invited,
+      SUM(i.status = 'pending') AS no_shows
+    FROM invitations i
+    WHERE i.status IN ('pending', 'redeemed') AND i.visit_date < CURDATE() AND ${query.where}
+    GROUP BY label
+    ORDER BY label
+  `;
+  const rows = await db.query(sql, query.values);
+  const rate = (noShows, invited) => (invited ? Math.round((noShows / invited) * 1000) / 1000 : 0);
+  const invited = rows.reduce((sum, row) => sum + Number(row.invited), 0);
+  const noShows = rows.reduce((sum, row) => sum + Number(row.no_shows), 0);
+  res.json({
+    metric: 'no_show_rate',
+    filters: query.filters,
+    rate: rate(noShows, invited),
+    invited,
+    no_shows: noShows,
+    data: rows.map(row => ({
+      label: row.label,
+      value: rate(Number(row.no_shows), Number(row.invited)),
+      invited: Number(row.invited),
+      no_shows: Number(row.no_shows)
+    }))
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authorize } = require('../middleware/rbac');
+const { ACTIONS } = require('../middleware/audit');
+const { idParam, sendValidationError } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { sendList } = require('../utils/listQuery');
+
+router.param('id', idParam);
+
+// Records carry no company, so tenants see the changes their own employees made
+const auditScope = (req) => {
+  const tenant = tenantScope(req);
+  if (!tenant.sql) return tenant;
+  return { sql: ` AND a.actor_id IN (SELECT id FROM employees WHERE 1 = 1${tenant.sql})`, values: tenant.values };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Append-only record of every change made through the API
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditRecord:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 812 }
+ *         entity:
+ *           type: string
+ *           enum: [company, department, designation, employee, visitor, visitor_profile, invitation, watchlist, muster, muster_entry]
+ *         entity_id: { type: string, example: "42", description: "Row id; muster_id:visitor_id for muster entries" }
+ *         action: { type: string, enum: [create, update, delete, restore, status_change] }
+ *         changes:
+ *           type: object
+ *           description: Changed fields as { from, to }. Passwords and tokens show as [redacted]; names, contact details and visitor PII masked.
+ *           example: { status: { from: expected, to: checked_in }, check_in_gate: { from: null, to: Main Gate } }
+ *         actor_id: { type: integer, nullable: true, example: 3 }
+ *         actor_role: { type: string, nullable: true, example: receptionist }
+ *         ip: { type: string, example: "10.0.0.12" }
+ *         method: { type: string, example: POST }
+ *         path: { type: string, example: /api/visitors/42/check-in }
+ *         created_at: { type: string, format: date-time }
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: Callers confined to a tenant only see changes made by their own company's employees.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         description: Comma-separated entity names, e.g. employee,visitor
+ *         schema: { type: string }
+ *       - in: query
+ *         name: entity_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, enum: [create, update, delete, restore, status_change] }
+ *       - in: query
+ *         name: actor
+ *         description: Employee ID of whoever made the change
+ *         schema: { type: integer }
+ *       - $ref: '#/components/parameters/from'
+ *       - $ref: '#/components/parameters/to'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *     responses:
+ *       200:
+ *         description: One page of audit records, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditRecord'
+ *                 pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/', authorize('audit:read'), (req, res) => {
+  const actions = String(req.query.action || '').split(',').filter(Boolean);
+  if (actions.some(action => !ACTIONS.includes(action))) {
+    return sendValidationError(res, [{ in: 'query', field: 'action', message: `must be one of: ${ACTIONS.join(', ')}` }]);
+  }
+  return sendList(req, res, {
+    select: 'a.*',
+    from: 'FROM audit_log a',
+    id: 'a.id',
+    scope: auditScope(req),
+    filters: {
+      entity: 'a.entity',
+      entity_id: 'a.entity_id',
+      action: 'a.action',
+      actor: 'a.actor_id'
+    },
+    date: 'a.created_at',
+    sortable: { created_at: 'a.created_at' },
+    defaultSort: '-created_at'
+  });
+});
+
+/**
+ * @swagger
+ * /api/audit/{id}:
+ *   get:
+ *     summary: Get one audit record
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The audit record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditRecord'
+ *       404:
+ *         description: Audit record not found
+ */
+router.get('/:id', authorize('audit:read'), async (req, res) => {
+  const scope = auditScope(req);
+  const [record] = await db.query(`SELECT * FROM audit_log a WHERE a.id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!record) return res.status(404).json({ message: 'Audit record not found' });
+  res.json(record);
+});
+
+// Records are never edited or removed, so there are no write routes
+
+module.exports = router;
@@ -1,27 +1,168 @@
+const express = require('express');
+const router = express.Router();
 const jwt = require('jsonwebtoken');
-const dotenv = require('dotenv');
-dotenv.config();
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const { verifyToken } = require('../middleware/auth');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { hashToken } = require('../utils/employeeImport');
 
-const verifyToken = (req, res, next) => {
-  // TOGGLE: Enable/disable token enforcement
-  const enforceToken = false;
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Employee login and token endpoints
+ */
 
-  if (!enforceToken) {
-    return next(); // Skip auth for now
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in as an employee and receive a JWT
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginInput'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 employee:
+ *                   type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         description: Invalid email or password
+ *       403:
+ *         description: Employee account is inactive
+ *       500:
+ *         description: Server error
+ */
+router.post('/login', validate({ body: 'LoginInput' }), async (req, res) => {
+  const { email, password } = req.body;
+
+  const [employee] = await db.query('SELECT * FROM employees WHERE email = ? AND deleted_at IS NULL', [email]);
+  const match = employee && employee.password ? await bcrypt.compare(password, employee.password) : false;
+  if (!match) {
+    return res.status(401).json({ message: 'Invalid email or password' });
+  }
+  if (employee.status !== 'Active') {
+    return res.status(403).json({ message: 'Employee account is inactive' });
   }
 
-  const token = req.headers['authorization']?.split(' ')[1]; // Expecting "Bearer <token>"
-  if (!token) {
-    return res.status(401).json({ message: 'Access Denied. No token provided.' });
+  const payload = {
+    id: employee.id,
+    email: employee.email,
+    role: employee.role || 'host',
+    company_id: employee.company_id,
+    department_id: employee.department_id
+  };
+  const token = jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '8h'
+  });
+
+  res.json({
+    token,
+    employee: {
+      ...payload,
+      first_name: employee.first_name,
+      last_name: employee.last_name
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Set the password of an imported employee from their invite link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcceptInviteInput'
+ *     responses:
+ *       200:
+ *         description: Password set; the employee can now log in
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       410:
+ *         description: Invite link is invalid, already used or expired
+ */
+router.post('/accept-invite', validate({ body: 'AcceptInviteInput' }), async (req, res) => {
+  const { token, password, confirm_password } = req.body;
+  if (password !== confirm_password) {
+    return sendValidationError(res, [{ in: 'body', field: 'confirm_password', message: 'must match password' }]);
   }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ message: 'Invalid Token' });
+  const hashedPassword = await bcrypt.hash(password, 10);
+  // Single use: the token is cleared in the same statement that sets the password
+  const sql = `
+    UPDATE employees SET password = ?, invite_token_hash = NULL, invite_expires_at = NULL
+    WHERE invite_token_hash = ? AND invite_expires_at > NOW() AND deleted_at IS NULL
+  `;
+  const result = await db.query(sql, [hashedPassword, hashToken(String(token))]);
+  if (!result.affectedRows) return res.status(410).json({ message: 'Invite link is invalid or has expired' });
+  res.json({ message: 'Password set. You can now log in.' });
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the employee the current token belongs to
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current employee
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Employee'
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: Employee no longer exists
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', verifyToken, async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Access Denied. No token provided.' });
   }
-};
 
-module.exports = verifyToken;
+  const sql = `
+    SELECT e.id, e.first_name, e.last_name, e.email, e.phone, e.gender, e.company_id,
+      e.department_id, e.designation_id, e.role, e.status, e.image
+    FROM employees e
+    WHERE e.id = ? AND e.deleted_at IS NULL
+  `;
+  const [employee] = await db.query(sql, [req.user.id]);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  res.json(employee);
+});
+
+module.exports = router;
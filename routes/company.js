@@ -1,7 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-// const verifyToken = require('../middleware/auth'); // Uncomment to enable token protection
+const { authorize } = require('../middleware/rbac');
+const { audited } = require('../middleware/audit');
+const { validate, idParam } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { sendList } = require('../utils/listQuery');
+const { LIVE, OPEN_VISITS, PENDING_INVITATIONS, sendSoftDelete, sendRestore } = require('../utils/softDelete');
+
+const COMPANY = {
+  table: 'companies',
+  entity: 'Company',
+  children: [
+    { table: 'departments', column: 'company_id', label: 'departments', where: LIVE },
+    { table: 'designations', column: 'company_id', label: 'designations', where: LIVE },
+    { table: 'employees', column: 'company_id', label: 'employees', where: LIVE },
+    { table: 'visitors', column: 'company_id', label: 'visits', where: OPEN_VISITS },
+    { table: 'invitations', column: 'company_id', label: 'invitations', where: PENDING_INVITATIONS }
+  ]
+};
+
+router.param('id', idParam);
 
 /**
  * @swagger
@@ -14,22 +33,45 @@ const db = require('../db');
  * @swagger
  * /companies:
  *   get:
- *     summary: Get all companies
+ *     summary: Get companies, paged
+ *     description: Callers confined to a tenant only see their own company.
  *     tags: [Companies]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [Active, Inactive] }
+ *       - $ref: '#/components/parameters/deleted'
+ *       - $ref: '#/components/parameters/q'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
  *     responses:
  *       200:
- *         description: A list of all companies
+ *         description: One page of companies
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  */
 router.get('/', (req, res) => {
-  db.query('SELECT * FROM companies', (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
+  return sendList(req, res, {
+    select: 'c.*',
+    from: 'FROM companies c',
+    id: 'c.id',
+    filters: { status: 'c.status' },
+    scope: tenantScope(req, 'c.id'),
+    deleted: 'c.deleted_at',
+    search: ['c.company_name'],
+    sortable: { company_name: 'c.company_name', status: 'c.status' },
+    defaultSort: 'company_name'
   });
 });
 
@@ -52,12 +94,14 @@ router.get('/', (req, res) => {
  *           application/json:
  *             schema:
  *               type: object
+ *       404:
+ *         description: Company not found
  */
-router.get('/:id', (req, res) => {
-  db.query('SELECT * FROM companies WHERE id = ?', [req.params.id], (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results[0]);
-  });
+router.get('/:id', async (req, res) => {
+  const scope = tenantScope(req, 'id');
+  const [company] = await db.query(`SELECT * FROM companies WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!company) return res.status(404).json({ message: 'Company not found' });
+  res.json(company);
 });
 
 /**
@@ -65,31 +109,24 @@ router.get('/:id', (req, res) => {
  * /companies:
  *   post:
  *     summary: Add a new company
+ *     description: Companies are tenants, so only a super admin can add one.
  *     tags: [Companies]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - status
- *             properties:
- *               name:
- *                 type: string
- *               status:
- *                 type: string
+ *             $ref: '#/components/schemas/CompanyInput'
  *     responses:
  *       201:
  *         description: Company created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.post('/', (req, res) => {
+router.post('/', authorize('companies:manage'), validate({ body: 'CompanyInput' }), audited('company', 'companies'), async (req, res) => {
   const { name, status } = req.body;
-  db.query('INSERT INTO companies (company_name, status) VALUES (?, ?)', [name, status], (err, result) => {
-    if (err) return res.status(500).json(err);
-    res.status(201).json({ id: result.insertId });
-  });
+  const result = await db.query('INSERT INTO companies (company_name, status) VALUES (?, ?)', [name, status]);
+  res.status(201).json({ id: result.insertId });
 });
 
 /**
@@ -109,25 +146,116 @@ router.post('/', (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - status
- *             properties:
- *               name:
- *                 type: string
- *               status:
- *                 type: string
+ *             $ref: '#/components/schemas/CompanyInput'
  *     responses:
  *       200:
  *         description: Company updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Company not found
  */
-router.put('/:id', (req, res) => {
+router.put('/:id', authorize('companies:write'), validate({ body: 'CompanyInput' }), audited('company', 'companies'), async (req, res) => {
   const { name, status } = req.body;
-  db.query('UPDATE companies SET company_name = ?, status = ? WHERE id = ?', [name, status, req.params.id], (err) => {
-    if (err) return res.status(500).json(err);
-    res.json({ message: 'Company updated successfully' });
-  });
+  const scope = tenantScope(req, 'id');
+  const sql = `UPDATE companies SET company_name = ?, status = ? WHERE id = ?${scope.sql}`;
+  const result = await db.query(sql, [name, status, req.params.id, ...scope.values]);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Company not found' });
+  res.json({ message: 'Company updated successfully' });
+});
+
+/**
+ * @swagger
+ * /companies/{id}/retention:
+ *   put:
+ *     summary: Set how long a company keeps visitor PII
+ *     description: Visits older than retention_days are anonymised or deleted by the retention job; the company's invitations and visitor profiles are anonymised or removed after the same period. Null falls back to RETENTION_DAYS / RETENTION_ACTION.
+ *     tags: [Companies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RetentionPolicy'
+ *     responses:
+ *       200:
+ *         description: Retention policy updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Company not found
+ */
+router.put('/:id/retention', authorize('companies:write'), validate({ body: 'RetentionPolicy' }), audited('company', 'companies'), async (req, res) => {
+  const retention_days = req.body.retention_days ?? null;
+  const retention_action = req.body.retention_action || null;
+
+  const scope = tenantScope(req, 'id');
+  const sql = `UPDATE companies SET retention_days = ?, retention_action = ? WHERE id = ?${scope.sql}`;
+  const result = await db.query(sql, [retention_days, retention_action, req.params.id, ...scope.values]);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Company not found' });
+  res.json({ message: 'Retention policy updated' });
+});
+
+/**
+ * @swagger
+ * /companies/{id}:
+ *   delete:
+ *     summary: Soft-delete a company
+ *     description: Super admins only. Blocked while the company still has departments, designations, employees, open visits or pending invitations, unless reassign_to names another company to move them to.
+ *     tags: [Companies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: reassign_to
+ *         description: Company that takes over the active children
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Company deleted, with what was reassigned
+ *       400:
+ *         description: reassign_to is not another live company
+ *       404:
+ *         description: Company not found
+ *       409:
+ *         description: Company is already deleted, or still has active children (counts in `children`)
+ */
+router.delete('/:id', authorize('companies:manage'), validate({ query: 'ReassignQuery' }), audited('company', 'companies'), (req, res) => {
+  return sendSoftDelete(req, res, COMPANY);
+});
+
+/**
+ * @swagger
+ * /companies/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted company
+ *     tags: [Companies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Company restored
+ *       404:
+ *         description: Company not found
+ *       409:
+ *         description: Company is not deleted
+ */
+router.post('/:id/restore', authorize('companies:manage'), audited('company', 'companies'), (req, res) => {
+  return sendRestore(req, res, COMPANY);
 });
 
 module.exports = router;
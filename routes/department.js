@@ -1,6 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { authorize } = require('../middleware/rbac');
+const { audited } = require('../middleware/audit');
+const { validate, idParam } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { sendList } = require('../utils/listQuery');
+const { LIVE, OPEN_VISITS, sendSoftDelete, sendRestore } = require('../utils/softDelete');
+
+const DEPARTMENT = {
+  table: 'departments',
+  entity: 'Department',
+  children: [
+    { table: 'designations', column: 'department_id', label: 'designations', where: LIVE },
+    { table: 'employees', column: 'department_id', label: 'employees', where: LIVE },
+    { table: 'visitors', column: 'department_id', label: 'visits', where: OPEN_VISITS }
+  ],
+  sameAs: ['company_id'],
+  parents: [{ table: 'companies', column: 'company_id', entity: 'Company' }]
+};
+
+router.param('id', idParam);
 
 /**
  * @swagger
@@ -13,40 +33,65 @@ const db = require('../db');
  * @swagger
  * /api/departments:
  *   get:
- *     summary: Get all departments with company name
+ *     summary: Get departments with company name, paged
  *     tags: [Departments]
+ *     parameters:
+ *       - in: query
+ *         name: company_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [Active, Inactive] }
+ *       - $ref: '#/components/parameters/deleted'
+ *       - $ref: '#/components/parameters/q'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
  *     responses:
  *       200:
- *         description: List of departments with company name
+ *         description: One page of departments with company name
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   company_id:
- *                     type: integer
- *                   name:
- *                     type: string
- *                   status:
- *                     type: string
- *                   company_name:
- *                     type: string
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       company_id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       company_name:
+ *                         type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error
  */
 router.get('/', (req, res) => {
-  const sql = `
-    SELECT d.*, c.name as company_name
-    FROM departments d
-    JOIN companies c ON d.company_id = c.id
-  `;
-  db.query(sql, (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
+  return sendList(req, res, {
+    select: 'd.*, c.company_name',
+    from: `
+      FROM departments d
+      JOIN companies c ON d.company_id = c.id
+    `,
+    id: 'd.id',
+    filters: { company_id: 'd.company_id', status: 'd.status' },
+    scope: tenantScope(req, 'd.company_id'),
+    deleted: 'd.deleted_at',
+    search: ['d.name'],
+    sortable: { name: 'd.name', status: 'd.status' },
+    defaultSort: 'name'
   });
 });
 
@@ -79,14 +124,16 @@ router.get('/', (req, res) => {
  *                   type: string
  *                 status:
  *                   type: string
+ *       404:
+ *         description: Department not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', (req, res) => {
-  db.query('SELECT * FROM departments WHERE id = ?', [req.params.id], (err, result) => {
-    if (err) return res.status(500).json(err);
-    res.json(result[0]);
-  });
+router.get('/:id', async (req, res) => {
+  const scope = tenantScope(req);
+  const [department] = await db.query(`SELECT * FROM departments WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!department) return res.status(404).json({ message: 'Department not found' });
+  res.json(department);
 });
 
 /**
@@ -101,19 +148,7 @@ router.get('/:id', (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - company_id
- *               - name
- *               - status
- *             properties:
- *               company_id:
- *                 type: integer
- *               name:
- *                 type: string
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive]
+ *             $ref: '#/components/schemas/DepartmentInput'
  *     responses:
  *       200:
  *         description: Department created successfully
@@ -124,15 +159,15 @@ router.get('/:id', (req, res) => {
  *               properties:
  *                 id:
  *                   type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error
  */
-router.post('/', (req, res) => {
+router.post('/', authorize('departments:write'), validate({ body: 'DepartmentInput' }), audited('department', 'departments'), async (req, res) => {
   const { company_id, name, status } = req.body;
-  db.query('INSERT INTO departments (company_id, name, status) VALUES (?, ?, ?)', [company_id, name, status], (err, result) => {
-    if (err) return res.status(500).json(err);
-    res.json({ id: result.insertId });
-  });
+  const result = await db.query('INSERT INTO departments (company_id, name, status) VALUES (?, ?, ?)', [company_id, name, status]);
+  res.json({ id: result.insertId });
 });
 
 /**
@@ -154,19 +189,7 @@ router.post('/', (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - company_id
- *               - name
- *               - status
- *             properties:
- *               company_id:
- *                 type: integer
- *               name:
- *                 type: string
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive]
+ *             $ref: '#/components/schemas/DepartmentInput'
  *     responses:
  *       200:
  *         description: Department updated successfully
@@ -177,15 +200,78 @@ router.post('/', (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Department not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', (req, res) => {
+router.put('/:id', authorize('departments:write'), validate({ body: 'DepartmentInput' }), audited('department', 'departments'), async (req, res) => {
   const { company_id, name, status } = req.body;
-  db.query('UPDATE departments SET company_id = ?, name = ?, status = ? WHERE id = ?', [company_id, name, status, req.params.id], (err) => {
-    if (err) return res.status(500).json(err);
-    res.json({ message: 'Department updated' });
-  });
+  const scope = tenantScope(req);
+  const sql = `UPDATE departments SET company_id = ?, name = ?, status = ? WHERE id = ?${scope.sql}`;
+  const result = await db.query(sql, [company_id, name, status, req.params.id, ...scope.values]);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Department not found' });
+  res.json({ message: 'Department updated' });
+});
+
+/**
+ * @swagger
+ * /api/departments/{id}:
+ *   delete:
+ *     summary: Soft-delete a department
+ *     description: Blocked while the department still has designations, employees or open visits, unless reassign_to names another department of the same company to move them to.
+ *     tags: [Departments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Department ID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: reassign_to
+ *         description: Department that takes over the active children
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Department deleted, with what was reassigned
+ *       400:
+ *         description: reassign_to is not another live department of the same company
+ *       404:
+ *         description: Department not found
+ *       409:
+ *         description: Department is already deleted, or still has active children (counts in `children`)
+ */
+router.delete('/:id', authorize('departments:write'), validate({ query: 'ReassignQuery' }), audited('department', 'departments'), (req, res) => {
+  return sendSoftDelete(req, res, DEPARTMENT);
+});
+
+/**
+ * @swagger
+ * /api/departments/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted department
+ *     tags: [Departments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Department ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Department restored
+ *       404:
+ *         description: Department not found
+ *       409:
+ *         description: Department is not deleted, or its company is deleted
+ */
+router.post('/:id/restore', authorize('departments:write'), audited('department', 'departments'), (req, res) => {
+  return sendRestore(req, res, DEPARTMENT);
 });
 
 module.exports = router;
@@ -1,6 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { authorize } = require('../middleware/rbac');
+const { audited } = require('../middleware/audit');
+const { validate, idParam } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { sendList } = require('../utils/listQuery');
+const { LIVE, sendSoftDelete, sendRestore } = require('../utils/softDelete');
+
+const DESIGNATION = {
+  table: 'designations',
+  entity: 'Designation',
+  children: [
+    { table: 'employees', column: 'designation_id', label: 'employees', where: LIVE }
+  ],
+  sameAs: ['department_id'],
+  parents: [
+    { table: 'companies', column: 'company_id', entity: 'Company' },
+    { table: 'departments', column: 'department_id', entity: 'Department' }
+  ]
+};
+
+router.param('id', idParam);
+router.param('companyId', idParam);
 
 /**
  * @swagger
@@ -44,30 +66,58 @@ const db = require('../db');
  * @swagger
  * /api/designations:
  *   get:
- *     summary: Get all designations with company and department names
+ *     summary: Get designations with company and department names, paged
  *     tags: [Designations]
+ *     parameters:
+ *       - in: query
+ *         name: company_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: department_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [Active, Inactive] }
+ *       - $ref: '#/components/parameters/deleted'
+ *       - $ref: '#/components/parameters/q'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
  *     responses:
  *       200:
- *         description: List of designations
+ *         description: One page of designations
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Designation'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Designation'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error
  */
 router.get('/', (req, res) => {
-  const sql = `
-    SELECT d.*, c.name AS company_name, dept.name AS department_name
-    FROM designations d
-    JOIN companies c ON d.company_id = c.id
-    JOIN departments dept ON d.department_id = dept.id
-  `;
-  db.query(sql, (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
+  return sendList(req, res, {
+    select: 'd.*, c.company_name, dept.name AS department_name',
+    from: `
+      FROM designations d
+      JOIN companies c ON d.company_id = c.id
+      JOIN departments dept ON d.department_id = dept.id
+    `,
+    id: 'd.id',
+    filters: { company_id: 'd.company_id', department_id: 'd.department_id', status: 'd.status' },
+    scope: tenantScope(req, 'd.company_id'),
+    deleted: 'd.deleted_at',
+    search: ['d.name'],
+    sortable: { name: 'd.name', status: 'd.status' },
+    defaultSort: 'name'
   });
 });
 
@@ -91,15 +141,17 @@ router.get('/', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Designation'
+ *       404:
+ *         description: Designation not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', (req, res) => {
-  const sql = `SELECT * FROM designations WHERE id = ?`;
-  db.query(sql, [req.params.id], (err, result) => {
-    if (err) return res.status(500).json(err);
-    res.json(result[0]);
-  });
+router.get('/:id', async (req, res) => {
+  const scope = tenantScope(req);
+  const sql = `SELECT * FROM designations WHERE id = ?${scope.sql}`;
+  const [designation] = await db.query(sql, [req.params.id, ...scope.values]);
+  if (!designation) return res.status(404).json({ message: 'Designation not found' });
+  res.json(designation);
 });
 
 /**
@@ -132,12 +184,11 @@ router.get('/:id', (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/departments/:companyId', (req, res) => {
-  const sql = `SELECT id, name FROM departments WHERE company_id = ? AND status = 'Active'`;
-  db.query(sql, [req.params.companyId], (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
-  });
+router.get('/departments/:companyId', async (req, res) => {
+  const scope = tenantScope(req);
+  const sql = `SELECT id, name FROM departments WHERE company_id = ? AND status = 'Active' AND deleted_at IS NULL${scope.sql}`;
+  const results = await db.query(sql, [req.params.companyId, ...scope.values]);
+  res.json(results);
 });
 
 /**
@@ -151,26 +202,7 @@ router.get('/departments/:companyId', (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - company_id
- *               - department_id
- *               - name
- *               - status
- *             properties:
- *               company_id:
- *                 type: integer
- *                 example: 1
- *               department_id:
- *                 type: integer
- *                 example: 2
- *               name:
- *                 type: string
- *                 example: "Team Lead"
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive]
- *                 example: Active
+ *             $ref: '#/components/schemas/DesignationInput'
  *     responses:
  *       200:
  *         description: Designation created successfully
@@ -182,16 +214,16 @@ router.get('/departments/:companyId', (req, res) => {
  *                 id:
  *                   type: integer
  *                   example: 5
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error
  */
-router.post('/', (req, res) => {
+router.post('/', authorize('designations:write'), validate({ body: 'DesignationInput' }), audited('designation', 'designations'), async (req, res) => {
   const { company_id, department_id, name, status } = req.body;
   const sql = `INSERT INTO designations (company_id, department_id, name, status) VALUES (?, ?, ?, ?)`;
-  db.query(sql, [company_id, department_id, name, status], (err, result) => {
-    if (err) return res.status(500).json(err);
-    res.json({ id: result.insertId });
-  });
+  const result = await db.query(sql, [company_id, department_id, name, status]);
+  res.json({ id: result.insertId });
 });
 
 /**
@@ -212,26 +244,7 @@ router.post('/', (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - company_id
- *               - department_id
- *               - name
- *               - status
- *             properties:
- *               company_id:
- *                 type: integer
- *                 example: 1
- *               department_id:
- *                 type: integer
- *                 example: 2
- *               name:
- *                 type: string
- *                 example: "Senior Manager"
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive]
- *                 example: Active
+ *             $ref: '#/components/schemas/DesignationInput'
  *     responses:
  *       200:
  *         description: Designation updated successfully
@@ -243,16 +256,78 @@ router.post('/', (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Designation updated"
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Designation not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', (req, res) => {
+router.put('/:id', authorize('designations:write'), validate({ body: 'DesignationInput' }), audited('designation', 'designations'), async (req, res) => {
   const { company_id, department_id, name, status } = req.body;
-  const sql = `UPDATE designations SET company_id = ?, department_id = ?, name = ?, status = ? WHERE id = ?`;
-  db.query(sql, [company_id, department_id, name, status, req.params.id], (err) => {
-    if (err) return res.status(500).json(err);
-    res.json({ message: 'Designation updated' });
-  });
+  const scope = tenantScope(req);
+  const sql = `UPDATE designations SET company_id = ?, department_id = ?, name = ?, status = ? WHERE id = ?${scope.sql}`;
+  const result = await db.query(sql, [company_id, department_id, name, status, req.params.id, ...scope.values]);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Designation not found' });
+  res.json({ message: 'Designation updated' });
+});
+
+/**
+ * @swagger
+ * /api/designations/{id}:
+ *   delete:
+ *     summary: Soft-delete a designation
+ *     description: Blocked while employees still hold the designation, unless reassign_to names another designation of the same department to move them to.
+ *     tags: [Designations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Designation ID
+ *       - in: query
+ *         name: reassign_to
+ *         description: Designation that takes over the employees
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Designation deleted, with what was reassigned
+ *       400:
+ *         description: reassign_to is not another live designation of the same department
+ *       404:
+ *         description: Designation not found
+ *       409:
+ *         description: Designation is already deleted, or still has employees (counts in `children`)
+ */
+router.delete('/:id', authorize('designations:write'), validate({ query: 'ReassignQuery' }), audited('designation', 'designations'), (req, res) => {
+  return sendSoftDelete(req, res, DESIGNATION);
+});
+
+/**
+ * @swagger
+ * /api/designations/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted designation
+ *     tags: [Designations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Designation ID
+ *     responses:
+ *       200:
+ *         description: Designation restored
+ *       404:
+ *         description: Designation not found
+ *       409:
+ *         description: Designation is not deleted, or its company or department is deleted
+ */
+router.post('/:id/restore', authorize('designations:write'), audited('designation', 'designations'), (req, res) => {
+  return sendRestore(req, res, DESIGNATION);
 });
 
 module.exports = router;
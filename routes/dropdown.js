@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { tenantScope } = require('../middleware/tenant');
 
 /**
  * @swagger
@@ -14,6 +15,7 @@ const db = require('../db');
  * /api/open/companies:
  *   get:
  *     summary: Get all active companies for dropdown
+ *     description: Only the caller's own company, unless they are a super admin.
  *     tags: [OpenData]
  *     responses:
  *       200:
@@ -34,11 +36,9 @@ const db = require('../db');
  *       500:
  *         description: Server error
  */
-router.get('/companies', (req, res) => {
-  db.query('SELECT id, company_name FROM companies WHERE status = "Active"', (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
-  });
+router.get('/companies', async (req, res) => {
+  const scope = tenantScope(req, 'id');
+  res.json(await db.query(`SELECT id, company_name FROM companies WHERE status = "Active" AND deleted_at IS NULL${scope.sql}`, scope.values));
 });
 
 /**
@@ -46,6 +46,7 @@ router.get('/companies', (req, res) => {
  * /api/open/departments:
  *   get:
  *     summary: Get all active departments for dropdown
+ *     description: Only the caller's own company's departments, unless they are a super admin.
  *     tags: [OpenData]
  *     responses:
  *       200:
@@ -66,11 +67,9 @@ router.get('/companies', (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/departments', (req, res) => {
-  db.query('SELECT id, name FROM departments WHERE status = "Active"', (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
-  });
+router.get('/departments', async (req, res) => {
+  const scope = tenantScope(req);
+  res.json(await db.query(`SELECT id, name FROM departments WHERE status = "Active" AND deleted_at IS NULL${scope.sql}`, scope.values));
 });
 
 module.exports = router;
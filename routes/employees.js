@@ -4,16 +4,54 @@ const db = require('../db');
 const multer = require('multer');
 const path = require('path');
 const bcrypt = require('bcrypt');
+const { SUPER_ADMIN, authorize, hasPermission } = require('../middleware/rbac');
+const { tenantScope, employeeScope } = require('../middleware/tenant');
+const { audited } = require('../middleware/audit');
+const { validate, idParam, sendValidationError } = require('../middleware/validate');
+const { sendList } = require('../utils/listQuery');
+const { OPEN_VISITS, PENDING_INVITATIONS, sendSoftDelete, sendRestore } = require('../utils/softDelete');
+const { IMPORT_FORMATS, ImportError, importEmployees } = require('../utils/employeeImport');
+const { imageUpload, discardLater, withPhotoUrl } = require('../utils/storage');
 
-// Multer setup for image upload
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, 'uploads/employees/'), // Ensure folder exists
-  filename: (req, file, cb) => {
-    const uniqueName = Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname);
-    cb(null, uniqueName);
-  }
-});
-const upload = multer({ storage });
+// Visits and invitations hosted by the employee move with reassign_to
+const EMPLOYEE = {
+  table: 'employees',
+  entity: 'Employee',
+  children: [
+    { table: 'visitors', column: 'whom_to_meet', label: 'visits', where: OPEN_VISITS },
+    { table: 'invitations', column: 'host_id', label: 'invitations', where: PENDING_INVITATIONS }
+  ],
+  sameAs: ['company_id'],
+  parents: [
+    { table: 'companies', column: 'company_id', entity: 'Company' },
+    { table: 'departments', column: 'department_id', entity: 'Department' },
+    { table: 'designations', column: 'designation_id', entity: 'Designation' }
+  ]
+};
+
+router.param('id', idParam);
+router.param('companyId', idParam);
+router.param('departmentId', idParam);
+
+// Form fields arrive as strings, so this check stays with the route
+const passwordMismatch = (res) => sendValidationError(res, [{ in: 'body', field: 'confirm_password', message: 'must match password' }]);
+
+// Only a super admin can make another one
+const grantsSuperAdmin = (req) => req.body.role === SUPER_ADMIN && !hasPermission(req.user, 'companies:manage');
+const superAdminForbidden = (res) => res.status(403).json({ message: `Forbidden. Only a super admin can give the ${SUPER_ADMIN} role.` });
+
+const upload = imageUpload('image', 'employees');
+
+// Everything but the credentials: the password hash and the invite token
+const EMPLOYEE_COLUMNS = [
+  'id', 'first_name', 'last_name', 'email', 'phone', 'joining_date', 'gender',
+  'company_id', 'department_id', 'designation_id', 'status', 'role', 'remarks', 'image',
+  'created_at', 'deleted_at', 'deleted_by'
+];
+const employeeColumns = (prefix = '') => EMPLOYEE_COLUMNS.map(column => `${prefix}${column}`).join(', ');
+
+// Import sheets are parsed in memory and never kept
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
 /**
  * @swagger
@@ -65,55 +103,113 @@ const upload = multer({ storage });
  *           type: string
  *           enum: [Active, Inactive]
  *           example: Active
+ *         role:
+ *           type: string
+ *           enum: [admin, receptionist, host, security]
+ *           example: host
  *         remarks:
  *           type: string
  *           example: "Good employee"
  *         image:
  *           type: string
- *           example: "uploads/employees/123456789.jpg"
+ *           description: Photo key, downloadable from /api/files/{image}
+ *           example: "employees/3f9c0a6d1e2b4c5a8f7e6d5c4b3a2918.jpg"
+ *         photo_url:
+ *           type: string
+ *           description: Signed, time-limited link to the photo; needs no token
  */
 
 /**
  * @swagger
  * /api/employees:
  *   get:
- *     summary: Get all employees with company, department, and designation names
+ *     summary: Get employees with company, department, and designation names, paged
  *     tags: [Employees]
+ *     parameters:
+ *       - in: query
+ *         name: company_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: department_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: designation_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [Active, Inactive] }
+ *       - in: query
+ *         name: role
+ *         schema: { type: string, example: host }
+ *       - $ref: '#/components/parameters/from'
+ *       - $ref: '#/components/parameters/to'
+ *       - $ref: '#/components/parameters/deleted'
+ *       - $ref: '#/components/parameters/q'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
  *     responses:
  *       200:
- *         description: List of employees
+ *         description: One page of employees
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 allOf:
- *                   - $ref: '#/components/schemas/Employee'
- *                   - type: object
- *                     properties:
- *                       company_name:
- *                         type: string
- *                         example: Acme Corp
- *                       department_name:
- *                         type: string
- *                         example: Engineering
- *                       designation_name:
- *                         type: string
- *                         example: Senior Developer
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Employee'
+ *                       - type: object
+ *                         properties:
+ *                           company_name:
+ *                             type: string
+ *                             example: Acme Corp
+ *                           department_name:
+ *                             type: string
+ *                             example: Engineering
+ *                           designation_name:
+ *                             type: string
+ *                             example: Senior Developer
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error
  */
 router.get('/', (req, res) => {
-  const sql = `
-    SELECT e.*, c.name AS company_name, d.name AS department_name, des.name AS designation_name
-    FROM employees e
-    JOIN companies c ON e.company_id = c.id
-    JOIN departments d ON e.department_id = d.id
-    JOIN designations des ON e.designation_id = des.id
-  `;
-  db.query(sql, (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
+  return sendList(req, res, {
+    select: `${employeeColumns('e.')}, c.company_name, d.name AS department_name, des.name AS designation_name`,
+    from: `
+      FROM employees e
+      JOIN companies c ON e.company_id = c.id
+      JOIN departments d ON e.department_id = d.id
+      JOIN designations des ON e.designation_id = des.id
+    `,
+    id: 'e.id',
+    filters: {
+      company_id: 'e.company_id',
+      department_id: 'e.department_id',
+      designation_id: 'e.designation_id',
+      status: 'e.status',
+      role: 'e.role'
+    },
+    scope: employeeScope(req, 'e.'),
+    deleted: 'e.deleted_at',
+    date: 'e.joining_date',
+    mapRow: withPhotoUrl,
+    search: ['e.first_name', 'e.last_name', "CONCAT_WS(' ', e.first_name, e.last_name)", 'e.email', 'e.phone'],
+    sortable: {
+      first_name: 'e.first_name',
+      last_name: 'e.last_name',
+      email: 'e.email',
+      joining_date: 'e.joining_date',
+      status: 'e.status'
+    },
+    defaultSort: 'first_name'
   });
 });
 
@@ -137,15 +233,17 @@ router.get('/', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Employee'
+ *       404:
+ *         description: Employee not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', (req, res) => {
-  const sql = 'SELECT * FROM employees WHERE id = ?';
-  db.query(sql, [req.params.id], (err, result) => {
-    if (err) return res.status(500).json(err);
-    res.json(result[0]);
-  });
+router.get('/:id', async (req, res) => {
+  const scope = employeeScope(req);
+  const sql = `SELECT ${employeeColumns()} FROM employees WHERE id = ?${scope.sql}`;
+  const [employee] = await db.query(sql, [req.params.id, ...scope.values]);
+  if (!employee) return res.status(404).json({ message: 'Employee not found' });
+  res.json(withPhotoUrl(employee));
 });
 
 /**
@@ -161,50 +259,7 @@ router.get('/:id', (req, res) => {
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             required:
- *               - first_name
- *               - last_name
- *               - email
- *               - password
- *               - confirm_password
- *               - company_id
- *               - department_id
- *               - designation_id
- *               - status
- *             properties:
- *               first_name:
- *                 type: string
- *               last_name:
- *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
- *               joining_date:
- *                 type: string
- *                 format: date
- *               gender:
- *                 type: string
- *                 enum: [Male, Female, Other]
- *               company_id:
- *                 type: integer
- *               department_id:
- *                 type: integer
- *               designation_id:
- *                 type: integer
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive]
- *               password:
- *                 type: string
- *               confirm_password:
- *                 type: string
- *               remarks:
- *                 type: string
- *               image:
- *                 type: string
- *                 format: binary
+ *             $ref: '#/components/schemas/EmployeeInput'
  *     responses:
  *       200:
  *         description: Employee created successfully
@@ -217,61 +272,159 @@ router.get('/:id', (req, res) => {
  *                   type: integer
  *                   example: 7
  *       400:
- *         description: Passwords do not match
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       403:
+ *         description: Forbidden
  *       500:
  *         description: Server error
  */
-router.post('/', upload.single('image'), async (req, res) => {
-  try {
-    const {
-      first_name,
-      last_name,
-      email,
-      phone,
-      joining_date,
-      gender,
-      company_id,
-      department_id,
-      designation_id,
-      status,
-      password,
-      confirm_password,
-      remarks
-    } = req.body;
-
-    if (password !== confirm_password) {
-      return res.status(400).json({ message: "Passwords do not match" });
-    }
+router.post('/', authorize('employees:write'), audited('employee', 'employees'), upload, validate({ body: 'EmployeeInput' }), async (req, res) => {
+  const {
+    first_name,
+    last_name,
+    email,
+    phone,
+    joining_date,
+    gender,
+    company_id,
+    department_id,
+    designation_id,
+    status,
+    role = 'host',
+    password,
+    confirm_password,
+    remarks
+  } = req.body;
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const image = req.file ? req.file.path.replace(/\\/g, "/") : null;
-
-    const sql = `INSERT INTO employees 
-      (first_name, last_name, email, phone, joining_date, gender, company_id, department_id, designation_id, status, password, remarks, image) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-    const values = [
-      first_name,
-      last_name,
-      email,
-      phone,
-      joining_date,
-      gender,
-      company_id,
-      department_id,
-      designation_id,
-      status,
-      hashedPassword,
-      remarks,
-      image
-    ];
-
-    db.query(sql, values, (err, result) => {
-      if (err) return res.status(500).json(err);
-      res.json({ id: result.insertId });
-    });
-  } catch (error) {
-    res.status(500).json(error);
+  if (password !== confirm_password) return passwordMismatch(res);
+  if (grantsSuperAdmin(req)) return superAdminForbidden(res);
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const image = req.file?.key || null;
+
+  const sql = `INSERT INTO employees 
+    (first_name, last_name, email, phone, joining_date, gender, company_id, department_id, designation_id, status, role, password, remarks, image) 
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const values = [
+    first_name,
+    last_name,
+    email,
+    phone,
+    joining_date,
+    gender,
+    company_id,
+    department_id,
+    designation_id,
+    status,
+    role,
+    hashedPassword,
+    remarks,
+    image
+  ];
+
+  const result = await db.query(sql, values);
+  res.json({ id: result.insertId });
+});
+
+/**
+ * @swagger
+ * /api/employees/import:
+ *   post:
+ *     summary: Bulk import employees from a CSV or XLSX sheet
+ *     description: |
+ *       One employee per row, headed first_name, last_name, email, phone, joining_date, gender,
+ *       company, department, designation, status, role and remarks. Company, department and
+ *       designation are matched by name. Every row is validated first; if any row fails, nothing
+ *       is written and the report lists the errors. Otherwise all rows are imported in one transaction.
+ *     tags: [Employees]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 required:
+ *                   - file
+ *                 properties:
+ *                   file:
+ *                     type: string
+ *                     format: binary
+ *               - $ref: '#/components/schemas/EmployeeImportOptions'
+ *     responses:
+ *       200:
+ *         description: Import report with the outcome of every row (generated passwords are only shown here, once)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dry_run:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 skipped:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         example: 2
+ *                       email:
+ *                         type: string
+ *                       action:
+ *                         type: string
+ *                         enum: [create, update, skip, error]
+ *                       id:
+ *                         type: integer
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       password:
+ *                         type: string
+ *                       invite_url:
+ *                         type: string
+ *       400:
+ *         description: Unreadable file, missing columns, bad options, or rows with errors (nothing imported)
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+const importOptions = validate({ query: 'EmployeeImportOptions', body: 'EmployeeImportOptions' });
+
+router.post('/import', authorize('employees:write'), importUpload.single('file'), importOptions, async (req, res) => {
+  const fileError = (message) => sendValidationError(res, [{ in: 'body', field: 'file', message }]);
+  if (!req.file) return fileError('is required');
+  const format = path.extname(req.file.originalname).slice(1).toLowerCase();
+  if (!IMPORT_FORMATS.includes(format)) return fileError(`must be one of: ${IMPORT_FORMATS.join(', ')}`);
+
+  const options = { ...req.query, ...req.body };
+  const duplicates = options.duplicates || 'skip';
+  const credentials = options.credentials || 'password';
+  const dryRun = ['true', '1'].includes(String(options.dry_run));
+
+  let report;
+  try {
+    report = await importEmployees(req, { buffer: req.file.buffer, format, dryRun, duplicates, credentials });
+  } catch (err) {
+    if (err instanceof ImportError) return fileError(err.message);
+    throw err;
+  }
+  if (report.failed && !dryRun) {
+    return res.status(400).json({ message: `${report.failed} of ${report.total} rows have errors; nothing was imported`, ...report });
   }
+  res.json(report);
 });
 
 /**
@@ -294,116 +447,86 @@ router.post('/', upload.single('image'), async (req, res) => {
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             properties:
- *               first_name:
- *                 type: string
- *               last_name:
- *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
- *               joining_date:
- *                 type: string
- *                 format: date
- *               gender:
- *                 type: string
- *                 enum: [Male, Female, Other]
- *               company_id:
- *                 type: integer
- *               department_id:
- *                 type: integer
- *               designation_id:
- *                 type: integer
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive]
- *               password:
- *                 type: string
- *               confirm_password:
- *                 type: string
- *               remarks:
- *                 type: string
- *               image:
- *                 type: string
- *                 format: binary
+ *             $ref: '#/components/schemas/EmployeeUpdate'
  *     responses:
  *       200:
  *         description: Employee updated successfully
  *       400:
- *         description: Passwords do not match
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Employee not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', upload.single('image'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const {
-      first_name,
-      last_name,
-      email,
-      phone,
-      joining_date,
-      gender,
-      company_id,
-      department_id,
-      designation_id,
-      status,
-      password,
-      confirm_password,
-      remarks
-    } = req.body;
-
-    if (password && password !== confirm_password) {
-      return res.status(400).json({ message: "Passwords do not match" });
-    }
+router.put('/:id', authorize('employees:write'), audited('employee', 'employees'), upload, validate({ body: 'EmployeeUpdate' }), async (req, res) => {
+  const { id } = req.params;
+  const {
+    first_name,
+    last_name,
+    email,
+    phone,
+    joining_date,
+    gender,
+    company_id,
+    department_id,
+    designation_id,
+    status,
+    password,
+    confirm_password,
+    remarks
+  } = req.body;
 
-    const fields = [
-      'first_name', 'last_name', 'email', 'phone', 'joining_date',
-      'gender', 'company_id', 'department_id', 'designation_id',
-      'status', 'remarks'
-    ];
-    let updates = [];
-    let values = [];
-
-    fields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updates.push(`${field} = ?`);
-        values.push(req.body[field]);
-      }
-    });
-
-    if (password) {
-      const hashedPassword = await bcrypt.hash(password, 10);
-      updates.push('password = ?');
-      values.push(hashedPassword);
-    }
+  if (password && password !== confirm_password) return passwordMismatch(res);
+  if (grantsSuperAdmin(req)) return superAdminForbidden(res);
 
-    if (req.file) {
-      const imagePath = req.file.path.replace(/\\/g, "/");
-      updates.push('image = ?');
-      values.push(imagePath);
-    }
+  const fields = [
+    'first_name', 'last_name', 'email', 'phone', 'joining_date',
+    'gender', 'company_id', 'department_id', 'designation_id',
+    'status', 'role', 'remarks'
+  ];
+  let updates = [];
+  let values = [];
 
-    values.push(id);
+  fields.forEach(field => {
+    if (req.body[field] !== undefined) {
+      updates.push(`${field} = ?`);
+      values.push(req.body[field]);
+    }
+  });
 
-    const sql = `UPDATE employees SET ${updates.join(', ')} WHERE id = ?`;
+  if (password) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    updates.push('password = ?');
+    values.push(hashedPassword);
+  }
 
-    db.query(sql, values, (err, result) => {
-      if (err) return res.status(500).json(err);
-      res.json({ message: 'Employee updated successfully' });
-    });
-  } catch (error) {
-    res.status(500).json(error);
+  if (req.file) {
+    updates.push('image = ?');
+    values.push(req.file.key);
   }
+
+  if (!updates.length) return res.status(400).json({ message: 'Nothing to update' });
+  const scope = employeeScope(req);
+  values.push(id, ...scope.values);
+
+  const sql = `UPDATE employees SET ${updates.join(', ')} WHERE id = ?${scope.sql}`;
+
+  // A replaced photo is deleted once the new one is saved
+  const [previous] = await db.query(`SELECT image FROM employees WHERE id = ?${scope.sql}`, [id, ...scope.values]);
+  if (!previous) return res.status(404).json({ message: 'Employee not found' });
+  await db.query(sql, values);
+  if (req.file) discardLater(previous?.image);
+  res.json({ message: 'Employee updated successfully' });
 });
 
 /**
  * @swagger
  * /api/employees/{id}:
  *   delete:
- *     summary: Delete an employee
+ *     summary: Soft-delete an employee
+ *     description: The employee can no longer log in or be chosen as a host. Blocked while they host open visits or pending invitations, unless reassign_to names another employee of the same company to hand them to.
  *     tags: [Employees]
  *     parameters:
  *       - in: path
@@ -412,30 +535,65 @@ router.put('/:id', upload.single('image'), async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Employee ID
+ *       - in: query
+ *         name: reassign_to
+ *         description: Employee who takes over the open visits and invitations
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Employee deleted successfully
+ *         description: Employee deleted, with what was reassigned
+ *       400:
+ *         description: reassign_to is not another live employee of the same company
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Employee not found
+ *       409:
+ *         description: Employee is already deleted, or still hosts open visits or invitations (counts in `children`)
  *       500:
  *         description: Server error
  */
-router.delete('/:id', (req, res) => {
-  const sql = 'DELETE FROM employees WHERE id = ?';
-  db.query(sql, [req.params.id], (err, result) => {
-    if (err) return res.status(500).json(err);
-    res.json({ message: 'Employee deleted successfully' });
-  });
+router.delete('/:id', authorize('employees:write'), validate({ query: 'ReassignQuery' }), audited('employee', 'employees'), (req, res) => {
+  return sendSoftDelete(req, res, EMPLOYEE);
+});
+
+/**
+ * @swagger
+ * /api/employees/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted employee
+ *     tags: [Employees]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Employee ID
+ *     responses:
+ *       200:
+ *         description: Employee restored
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Employee not found
+ *       409:
+ *         description: Employee is not deleted, or their company, department or designation is deleted
+ */
+router.post('/:id/restore', authorize('employees:write'), audited('employee', 'employees'), (req, res) => {
+  return sendRestore(req, res, EMPLOYEE);
 });
 
 //Dropwndowns company>deparment>designation
 // Get all departments for a specific company
-router.get('/departments/:companyId', (req, res) => {
+router.get('/departments/:companyId', async (req, res) => {
   const { companyId } = req.params;
-  const sql = 'SELECT * FROM departments WHERE company_id = ?';
+  const scope = tenantScope(req);
+  const sql = `SELECT * FROM departments WHERE company_id = ? AND deleted_at IS NULL${scope.sql}`;
 
-  db.query(sql, [companyId], (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
-  });
+  const results = await db.query(sql, [companyId, ...scope.values]);
+  res.json(results);
 });
 
 /**
@@ -472,14 +630,13 @@ router.get('/departments/:companyId', (req, res) => {
  */
 
 // Get all designations for a specific department
-router.get('/designations/:departmentId', (req, res) => {
+router.get('/designations/:departmentId', async (req, res) => {
   const { departmentId } = req.params;
-  const sql = 'SELECT * FROM designations WHERE department_id = ?';
+  const scope = tenantScope(req);
+  const sql = `SELECT * FROM designations WHERE department_id = ? AND deleted_at IS NULL${scope.sql}`;
 
-  db.query(sql, [departmentId], (err, results) => {
-    if (err) return res.status(500).json(err);
-    res.json(results);
-  });
+  const results = await db.query(sql, [departmentId, ...scope.values]);
+  res.json(results);
 });
 
 /**
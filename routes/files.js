@@ -0,0 +1,141 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const db = require('../db');
+const { verifyToken } = require('../middleware/auth');
+const { hasPermission } = require('../middleware/rbac');
+const { tenantOf, tenantScope, employeeScope } = require('../middleware/tenant');
+const { validate } = require('../middleware/validate');
+const { KINDS, imageKey, imageKind, thumbKey, readImage, verifyImageUrl } = require('../utils/storage');
+const { sendServerError } = require('../utils/errors');
+
+// Stored files never change (see utils/storage), but they are personal data, so only the browser may cache them
+const CACHE_CONTROL = 'private, max-age=31536000, immutable';
+
+// The rows that may show each kind of file, narrowed to the caller's tenant
+const OWNERS = {
+  visitors: (req) => [
+    { from: 'visitors v', column: 'v.image', scope: tenantScope(req, 'v.company_id') },
+    { from: 'visitor_profiles p', column: 'p.image', scope: tenantScope(req, 'p.company_id') }
+  ],
+  employees: (req) => [{ from: 'employees e', column: 'e.image', scope: employeeScope(req, 'e.') }]
+};
+
+// Whether a row of the caller's company shows the file. Older rows store
+// the key with an uploads/ path in front (see utils/storage).
+const ownsFile = async (req, key) => {
+  if (tenantOf(req.user) === null) return true;
+  const stored = [key, `uploads/${key}`, `/uploads/${key}`];
+  const owners = OWNERS[imageKind(key)](req);
+  const sql = owners.map(owner => `SELECT 1 FROM ${owner.from} WHERE ${owner.column} IN (?)${owner.scope.sql}`).join(' UNION ALL ');
+  const rows = await db.query(`${sql} LIMIT 1`, owners.flatMap(owner => [stored, ...owner.scope.values]));
+  return rows.length > 0;
+};
+
+// A signed link (photo_url) stands in for the token, permission and tenant checks.
+// Another company's file gets the same 404 as one that does not exist.
+const authorizeFile = (req, res, next) => {
+  const key = imageKey(req.params.kind ? `${req.params.kind}/${req.params.name}` : req.params.name);
+  if (!key) return res.status(404).json({ message: 'File not found' });
+  req.fileKey = key;
+
+  const { expires, signature } = req.query;
+  if (signature !== undefined) {
+    if (verifyImageUrl(key, expires, signature)) return next();
+    return res.status(403).json({ message: 'Link is invalid or has expired' });
+  }
+
+  verifyToken(req, res, async () => {
+    const permission = KINDS[imageKind(key)];
+    if (permission && !hasPermission(req.user, permission)) {
+      return res.status(403).json({ message: 'Forbidden. Insufficient permissions.', permission });
+    }
+    try {
+      if (!await ownsFile(req, key)) return res.status(404).json({ message: 'File not found' });
+    } catch (err) {
+      return sendServerError(res, err);
+    }
+    next();
+  });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Files
+ *   description: Stored visitor and employee photos
+ */
+
+/**
+ * @swagger
+ * /api/files/{kind}/{name}:
+ *   get:
+ *     summary: Download a stored photo
+ *     description: |
+ *       The path is the image value stored on the visitor or employee, e.g. visitors/3f9c0a….jpg.
+ *       Either send a token (visitor photos need visitors:read, and only files of the caller's
+ *       company are served) or use the signed, time-limited photo_url returned alongside the
+ *       image, which needs no token. Responses carry an ETag
+ *       and may be cached privately.
+ *     tags: [Files]
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema: { type: string, enum: [visitors, employees] }
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string, example: 3f9c0a6d1e2b4c5a8f7e6d5c4b3a2918.jpg }
+ *       - in: query
+ *         name: size
+ *         description: thumb is a 200px square; photos stored before thumbnails existed come back full size
+ *         schema: { type: string, enum: [full, thumb], default: full }
+ *       - in: query
+ *         name: expires
+ *         description: Part of a signed photo_url
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: signature
+ *         description: Part of a signed photo_url
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/jpeg: {}
+ *           image/png: {}
+ *       304:
+ *         description: Not modified since the cached copy
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       401:
+ *         description: No token and no signature
+ *       403:
+ *         description: Forbidden, or the signed link is invalid or has expired
+ *       404:
+ *         description: File not found
+ */
+const sendImage = async (req, res) => {
+  const key = req.fileKey;
+  try {
+    const image = (req.query.size === 'thumb' && await readImage(thumbKey(key))) || await readImage(key);
+    if (!image) return res.status(404).json({ message: 'File not found' });
+    // A signed link must not outlive its expiry in the cache either
+    const maxAge = req.query.expires ? Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000)) : null;
+    res.set({
+      'Cache-Control': maxAge === null ? CACHE_CONTROL : `private, max-age=${maxAge}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.type(path.extname(key) || 'application/octet-stream').send(image);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+};
+
+router.get('/:kind/:name', validate({ query: 'FileQuery' }), authorizeFile, sendImage);
+
+// Visitor photos stored before per-kind folders are a bare file name
+router.get('/:name', validate({ query: 'FileQuery' }), authorizeFile, sendImage);
+
+module.exports = router;
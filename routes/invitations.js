@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const db = require('../db');
+const { authorize, hasPermission } = require('../middleware/rbac');
+const { audited, recordRow } = require('../middleware/audit');
+const { validate, idParam, sendValidationError } = require('../middleware/validate');
+const { tenantScope, employeeScope, joinScopes } = require('../middleware/tenant');
+const { visitQr } = require('../utils/qrToken');
+const { notifyHost, notifyInvitationHost, notifySecurity } = require('../notifications');
+const { screenVisitor } = require('../utils/screening');
+const { sealPii, openPii, maskPii } = require('../utils/pii');
+const { resolveProfile, touchProfile } = require('../utils/visitorProfiles');
+const { discardLater } = require('../utils/storage');
+
+// Unambiguous characters only, so codes can be read out or typed at the desk
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generateInviteCode = () =>
+  Array.from(crypto.randomBytes(8), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+// Callers only see their own company's invitations, and hosts only the ones they sent
+const inviteScope = (req) => {
+  const tenant = tenantScope(req, 'i.company_id');
+  if (!req.user || hasPermission(req.user, 'invitations:read-all')) return tenant;
+  return joinScopes(tenant, { sql: ' AND i.host_id = ?', values: [req.user.id] });
+};
+
+router.param('id', idParam);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invitations
+ *   description: Host pre-registration of expected visitors
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 1 }
+ *         host_id: { type: integer, example: 4 }
+ *         company_id: { type: integer, example: 1 }
+ *         department_id: { type: integer, example: 2 }
+ *         first_name: { type: string, example: Priya }
+ *         last_name: { type: string, example: Sharma }
+ *         email: { type: string, example: p***@example.com, description: Masked }
+ *         phone: { type: string, example: XXXXXX3210, description: Masked }
+ *         visit_date: { type: string, format: date, example: 2025-06-01 }
+ *         window_start: { type: string, example: "10:00" }
+ *         window_end: { type: string, example: "12:00" }
+ *         purpose: { type: string, example: Interview }
+ *         invite_code: { type: string, example: K7QM2XPA }
+ *         status: { type: string, enum: [pending, redeemed, cancelled] }
+ *         visitor_id: { type: integer, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations (hosts only see their own)
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, redeemed, cancelled] }
+ *       - in: query
+ *         name: date
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: List of invitations with host name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/', validate({ query: 'InvitationQuery' }), async (req, res) => {
+  const scope = inviteScope(req);
+  let sql = `
+    SELECT i.*, CONCAT(e.first_name, ' ', e.last_name) AS host_name
+    FROM invitations i
+    JOIN employees e ON i.host_id = e.id
+    WHERE 1 = 1${scope.sql}
+  `;
+  const values = [...scope.values];
+
+  if (req.query.status) {
+    sql += ' AND i.status = ?';
+    values.push(req.query.status);
+  }
+  if (req.query.date) {
+    sql += ' AND i.visit_date = ?';
+    values.push(req.query.date);
+  }
+  sql += ' ORDER BY i.visit_date, i.window_start';
+
+  const results = await db.query(sql, values);
+  res.json(results.map(maskPii));
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   get:
+ *     summary: Get an invitation with its invite QR code
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Invitation, with email and phone masked, and QR code (base64 image of the invite code)
+ *       404:
+ *         description: Invitation not found
+ */
+router.get('/:id', async (req, res) => {
+  const scope = inviteScope(req);
+  const [invitation] = await db.query(`SELECT i.* FROM invitations i WHERE i.id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!invitation) return res.status(404).json({ message: 'Invitation not found' });
+
+  const qr = await QRCode.toDataURL(invitation.invite_code);
+  res.json({ ...maskPii(invitation), qr });
+});
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Pre-register an expected visitor
+ *     description: The host is the logged-in employee. Admins and receptionists may invite on behalf of another host via host_id.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvitationInput'
+ *     responses:
+ *       201:
+ *         description: Invitation created with invite code and QR
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Host not found
+ */
+router.post('/', authorize('invitations:write'), validate({ body: 'InvitationInput' }), audited('invitation', 'invitations', { pii: true }), async (req, res) => {
+  const {
+    first_name,
+    last_name,
+    email,
+    phone,
+    visit_date,
+    window_start,
+    window_end,
+    purpose
+  } = req.body;
+
+  const onBehalf = req.body.host_id && (!req.user || hasPermission(req.user, 'invitations:read-all'));
+  const host_id = onBehalf ? req.body.host_id : req.user?.id;
+
+  if (!host_id) {
+    return sendValidationError(res, [{ in: 'body', field: 'host_id', message: 'is required' }]);
+  }
+  if (window_start && window_end && window_start >= window_end) {
+    return sendValidationError(res, [{ in: 'body', field: 'window_end', message: 'must be after window_start' }]);
+  }
+
+  const hostScope = employeeScope(req);
+  const hostSql = `SELECT id, company_id, department_id FROM employees WHERE id = ? AND deleted_at IS NULL${hostScope.sql}`;
+  const [host] = await db.query(hostSql, [host_id, ...hostScope.values]);
+  if (!host) return res.status(404).json({ message: 'Host not found' });
+
+  const invite_code = generateInviteCode();
+  const pii = sealPii({ email, phone });
+  const sql = `
+    INSERT INTO invitations (
+      host_id, company_id, department_id, first_name, last_name, email, phone, email_hash, phone_hash,
+      visit_date, window_start, window_end, purpose, invite_code, status, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+  `;
+  const values = [
+    host.id, host.company_id, host.department_id, first_name, last_name,
+    pii.email, pii.phone, pii.email_hash, pii.phone_hash,
+    visit_date, window_start || null, window_end || null, purpose, invite_code, req.user?.id || null
+  ];
+
+  const result = await db.query(sql, values);
+  notifyInvitationHost('visitor_registered', result.insertId);
+  const qr = await QRCode.toDataURL(invite_code);
+  res.status(201).json({ id: result.insertId, invite_code, qr });
+});
+
+/**
+ * @swagger
+ * /api/invitations/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending invitation
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Invitation cancelled
+ *       404:
+ *         description: No pending invitation with this ID
+ */
+router.post('/:id/cancel', authorize('invitations:write'), audited('invitation', 'invitations', { pii: true }), async (req, res) => {
+  const scope = inviteScope(req);
+  const sql = `UPDATE invitations i SET i.status = 'cancelled' WHERE i.id = ? AND i.status = 'pending'${scope.sql}`;
+  const result = await db.query(sql, [req.params.id, ...scope.values]);
+  if (!result.affectedRows) return res.status(404).json({ message: 'No pending invitation with this ID' });
+  res.json({ message: 'Invitation cancelled' });
+});
+
+/**
+ * @swagger
+ * /api/invitations/redeem:
+ *   post:
+ *     summary: Turn an invitation into a checked-in visit
+ *     description: Reception scans or types the invite code. The visit is created with the inviting host as whom_to_meet and checked in straight away.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RedeemInput'
+ *     responses:
+ *       200:
+ *         description: Visit created and checked in, with its visitor card QR
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       403:
+ *         description: WATCHLIST_BLOCKED - visitor matched a blocking watchlist entry; the visit is stored as rejected
+ *       404:
+ *         description: Unknown invite code
+ *       409:
+ *         description: Invitation already redeemed, cancelled, or outside its visit window
+ */
+router.post('/redeem', authorize('invitations:redeem'), validate({ body: 'RedeemInput' }), async (req, res) => {
+  const { invite_code, gate } = req.body;
+  const scope = tenantScope(req, 'i.company_id');
+
+  const sql = `
+    SELECT i.*,
+      NOW() >= TIMESTAMP(i.visit_date, COALESCE(i.window_start, '00:00:00')) - INTERVAL ? MINUTE AS window_open,
+      NOW() > TIMESTAMP(i.visit_date, COALESCE(i.window_end, '23:59:59')) AS window_over
+    FROM invitations i
+    WHERE i.invite_code = ?${scope.sql}
+  `;
+  const earlyMinutes = Number(process.env.INVITE_EARLY_ARRIVAL_MINUTES || 30);
+  const [found] = await db.query(sql, [earlyMinutes, String(invite_code).toUpperCase(), ...scope.values]);
+  if (!found) return res.status(404).json({ message: 'Unknown invite code' });
+  const { window_open, window_over, ...stored } = found;
+  const invitation = openPii(stored);
+  if (invitation.status !== 'pending') {
+    return res.status(409).json({ message: `Invitation is already ${invitation.status}`, status: invitation.status });
+  }
+  if (!window_open) return res.status(409).json({ message: 'Invitation visit window has not started yet' });
+  if (window_over) return res.status(409).json({ message: 'Invitation visit window has passed' });
+
+  // The invitation, the visit, its QR token and both audit records commit together
+  const redeemed = await db.transaction(async (tx) => {
+    // Claim the invitation first so a double scan cannot create two visits
+    const claim = await tx.query("UPDATE invitations SET status = 'redeemed', redeemed_at = NOW() WHERE id = ? AND status = 'pending'", [invitation.id]);
+    if (!claim.affectedRows) return null;
+
+    const guest = {
+      company_id: invitation.company_id,
+      first_name: invitation.first_name,
+      last_name: invitation.last_name,
+      email: invitation.email,
+      phone: invitation.phone
+    };
+    const resolved = await resolveProfile(guest, tx);
+    const visitor = resolved.details;
+    const screening = await screenVisitor({ ...visitor, whom_to_meet: invitation.host_id }, tx);
+    const blocked = screening.result === 'blocked';
+
+    const insert = `
+      INSERT INTO visitors (
+        profile_id, first_name, last_name, email, phone, gender, aadhar_no, address, image,
+        company_id, department_id, whom_to_meet, purpose,
+        status, check_in_at, checked_in_by, check_in_gate,
+        screening_result, screening_matches, screened_at,
+        email_hash, phone_hash, aadhar_no_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, IF(? = 'checked_in', NOW(), NULL), ?, ?, ?, ?, NOW(), ?, ?, ?)
+    `;
+    const status = blocked ? 'rejected' : 'checked_in';
+    const pii = sealPii({
+      email: visitor.email || null,
+      phone: visitor.phone || null,
+      aadhar_no: visitor.aadhar_no || null,
+      address: visitor.address || null
+    });
+    const values = [
+      resolved.profileId, visitor.first_name, visitor.last_name, pii.email, pii.phone,
+      visitor.gender || null, pii.aadhar_no, pii.address, visitor.image || null,
+      invitation.company_id, invitation.department_id, invitation.host_id, invitation.purpose,
+      status, status, blocked ? null : req.user?.id || null, blocked ? null : gate || null,
+      screening.result, JSON.stringify(screening.matches),
+      pii.email_hash, pii.phone_hash, pii.aadhar_no_hash
+    ];
+
+    const result = await tx.query(insert, values);
+    const visitorId = result.insertId;
+    await touchProfile(resolved.profileId, tx);
+    await tx.query('UPDATE invitations SET visitor_id = ? WHERE id = ?', [visitorId, invitation.id]);
+    const card = blocked ? null : await visitQr({ id: visitorId }, tx);
+
+    await recordRow(req, 'invitation', 'invitations', invitation.id, invitation, { pii: true, conn: tx });
+    await recordRow(req, 'visitor', 'visitors', visitorId, null, { pii: true, conn: tx });
+    return { visitorId, status, screening, card, replacedImage: resolved.replacedImage };
+  });
+  if (!redeemed) return res.status(409).json({ message: 'Invitation is already redeemed' });
+
+  const { visitorId, status, screening, card } = redeemed;
+  discardLater(redeemed.replacedImage);
+  if (screening.result !== 'clear') notifySecurity(visitorId, screening);
+  if (!card) {
+    return res.status(403).json({
+      message: 'Visitor is on the watchlist and cannot be admitted',
+      code: 'WATCHLIST_BLOCKED',
+      visitorId
+    });
+  }
+
+  notifyHost('visitor_checked_in', visitorId);
+  res.json({ visitorId, invitation_id: invitation.id, status, screening_result: screening.result, ...card });
+});
+
+module.exports = router;
@@ -0,0 +1,430 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authorize } = require('../middleware/rbac');
+const { audited } = require('../middleware/audit');
+const { validate, idParam } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { photoUrl } = require('../utils/storage');
+const { decrypt, logReveals } = require('../utils/pii');
+const { renderMusterPdf } = require('../utils/musterPdf');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Muster
+ *   description: Evacuation roll call of everyone on site
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MusterList:
+ *       type: object
+ *       properties:
+ *         muster:
+ *           type: object
+ *           nullable: true
+ *           description: The roll call, or null for the live on-site list
+ *         generated_at: { type: string, format: date-time }
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total: { type: integer, example: 23 }
+ *             accounted: { type: integer, example: 20 }
+ *             missing: { type: integer, example: 3 }
+ *         groups:
+ *           type: array
+ *           description: Departments, each with its hosts and their visitors
+ *           items:
+ *             type: object
+ *             properties:
+ *               department_id: { type: integer, nullable: true }
+ *               department_name: { type: string, example: Engineering }
+ *               count: { type: integer, example: 4 }
+ *               hosts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     host_id: { type: integer, nullable: true }
+ *                     host_name: { type: string }
+ *                     host_phone: { type: string }
+ *                     visitors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MusterVisitor'
+ *         missing:
+ *           type: array
+ *           description: Everyone not yet accounted for
+ *           items:
+ *             $ref: '#/components/schemas/MusterVisitor'
+ *     MusterVisitor:
+ *       type: object
+ *       properties:
+ *         id: { type: integer }
+ *         name: { type: string }
+ *         phone: { type: string, description: In full; every list sent is recorded in the PII access log }
+ *         photo_url: { type: string }
+ *         check_in_at: { type: string, format: date-time }
+ *         check_in_gate: { type: string }
+ *         accounted_at: { type: string, format: date-time, nullable: true }
+ *         accounted_by: { type: integer, nullable: true }
+ *         assembly_point: { type: string, nullable: true }
+ */
+
+const VISITOR_COLUMNS = `
+  v.id, v.first_name, v.last_name, v.phone, v.image, v.check_in_at, v.check_in_gate,
+  v.whom_to_meet AS host_id, CONCAT_WS(' ', e.first_name, e.last_name) AS host_name, e.phone AS host_phone,
+  v.department_id, d.name AS department_name
+`;
+const VISITOR_JOINS = `
+  LEFT JOIN employees e ON v.whom_to_meet = e.id
+  LEFT JOIN departments d ON v.department_id = d.id
+`;
+const ORDER = 'ORDER BY department_name, host_name, v.first_name, v.last_name';
+
+router.param('id', idParam);
+router.param('visitorId', idParam);
+
+// Guards need to be able to call people, so phone numbers are shown in full here,
+// and logged as a reveal (see sendMuster)
+const visitorPhone = (row) => {
+  try {
+    return decrypt(row.phone);
+  } catch (err) {
+    console.error(`Could not decrypt phone of visitor ${row.id}:`, err.message);
+    return null;
+  }
+};
+
+// Department -> host -> visitors, in the order the rows arrive
+const groupOnSite = (rows) => {
+  const departments = new Map();
+  rows.forEach(row => {
+    const departmentKey = row.department_id ?? 'none';
+    if (!departments.has(departmentKey)) {
+      departments.set(departmentKey, {
+        department_id: row.department_id ?? null,
+        department_name: row.department_name || 'Unassigned',
+        count: 0,
+        hosts: new Map()
+      });
+    }
+    const department = departments.get(departmentKey);
+    const hostKey = row.host_id ?? 'none';
+    if (!department.hosts.has(hostKey)) {
+      department.hosts.set(hostKey, {
+        host_id: row.host_id ?? null,
+        host_name: row.host_name || 'Unknown host',
+        host_phone: row.host_phone || '',
+        visitors: []
+      });
+    }
+    department.count += 1;
+    department.hosts.get(hostKey).visitors.push({
+      id: row.id,
+      name: [row.first_name, row.last_name].filter(Boolean).join(' '),
+      phone: visitorPhone(row),
+      image: row.image,
+      photo_url: photoUrl(row.image),
+      check_in_at: row.check_in_at,
+      check_in_gate: row.check_in_gate,
+      accounted_at: row.accounted_at || null,
+      accounted_by: row.accounted_by || null,
+      assembly_point: row.assembly_point || null
+    });
+  });
+  return [...departments.values()].map(department => ({ ...department, hosts: [...department.hosts.values()] }));
+};
+
+// JSON by default, the printable PDF with ?format=pdf
+const sendMuster = async (req, res, muster, rows) => {
+  const groups = groupOnSite(rows);
+  const visitors = groups.flatMap(department => department.hosts.flatMap(host => host.visitors));
+  const missing = visitors.filter(visitor => !visitor.accounted_at);
+  await logReveals(req, {
+    entity: 'visitor',
+    ids: visitors.filter(visitor => visitor.phone).map(visitor => visitor.id),
+    fields: ['phone'],
+    reason: muster ? `Evacuation muster #${muster.id}` : 'Evacuation on-site list'
+  });
+  const list = {
+    muster,
+    generated_at: new Date(),
+    summary: { total: visitors.length, accounted: visitors.length - missing.length, missing: missing.length },
+    groups,
+    missing
+  };
+
+  if (req.query.format !== 'pdf') return res.json(list);
+  const title = muster ? `Muster #${muster.id} - started ${new Date(muster.started_at).toLocaleString('en-IN')}` : 'On-site list';
+  const buffer = await renderMusterPdf({ title, generatedAt: list.generated_at, summary: list.summary, groups });
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${muster ? `muster-${muster.id}` : 'on-site'}.pdf"`);
+  res.send(buffer);
+};
+
+/**
+ * @swagger
+ * /api/muster/on-site:
+ *   get:
+ *     summary: Everyone currently on site
+ *     description: Live list of checked-in visitors grouped by department and host. Nobody is marked accounted for here; start a muster for that.
+ *     tags: [Muster]
+ *     parameters:
+ *       - in: query
+ *         name: company_id
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, pdf], default: json }
+ *     responses:
+ *       200:
+ *         description: The on-site list, or a printable PDF
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MusterList'
+ *           application/pdf: {}
+ */
+router.get('/on-site', authorize('muster:read'), validate({ query: 'MusterQuery' }), async (req, res) => {
+  const scope = tenantScope(req, 'v.company_id');
+  let sql = `SELECT ${VISITOR_COLUMNS} FROM visitors v ${VISITOR_JOINS} WHERE v.status = 'checked_in'${scope.sql}`;
+  const values = [...scope.values];
+  if (req.query.company_id) {
+    sql += ' AND v.company_id = ?';
+    values.push(req.query.company_id);
+  }
+  const rows = await db.query(`${sql} ${ORDER}`, values);
+  return sendMuster(req, res, null, rows);
+});
+
+/**
+ * @swagger
+ * /api/muster:
+ *   get:
+ *     summary: Recent musters, open ones first
+ *     tags: [Muster]
+ *     responses:
+ *       200:
+ *         description: Up to 50 musters with their counts
+ */
+router.get('/', authorize('muster:read'), async (req, res) => {
+  const scope = tenantScope(req, 'm.company_id');
+  const sql = `
+    SELECT m.*, COUNT(me.visitor_id) AS total, COUNT(me.accounted_at) AS accounted
+    FROM musters m
+    LEFT JOIN muster_entries me ON me.muster_id = m.id
+    WHERE 1 = 1${scope.sql}
+    GROUP BY m.id
+    ORDER BY m.closed_at IS NULL DESC, m.started_at DESC
+    LIMIT 50
+  `;
+  const results = await db.query(sql, scope.values);
+  res.json(results);
+});
+
+/**
+ * @swagger
+ * /api/muster:
+ *   post:
+ *     summary: Start a muster
+ *     description: Snapshots everyone checked in right now, so people stay on the roll call even if they are checked out during the evacuation. Only one muster can be open at a time in each company, and none beside a deployment-wide one; callers confined to a tenant always muster their own company.
+ *     tags: [Muster]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MusterStart'
+ *     responses:
+ *       201:
+ *         description: Muster started
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       409:
+ *         description: A muster is already open
+ */
+router.post('/', authorize('muster:run'), validate({ body: 'MusterStart' }), audited('muster', 'musters'), async (req, res) => {
+  const { company_id = null, note = null } = req.body;
+  // A muster for one company clashes with an open one for it or for the whole
+  // deployment; a deployment-wide muster clashes with any open one
+  const clash = company_id
+    ? { sql: ' AND (company_id IS NULL OR company_id = ?)', values: [company_id] }
+    : { sql: '', values: [] };
+
+  // The muster and its snapshot of who is on site land together or not at all
+  const started = await db.transaction(async (tx) => {
+    // A locking read, so two musters started at once cannot both find none open
+    const [open] = await tx.query(`SELECT id FROM musters WHERE closed_at IS NULL${clash.sql} LIMIT 1 FOR UPDATE`, clash.values);
+    if (open) return { open };
+
+    const sql = 'INSERT INTO musters (company_id, note, started_at, started_by) VALUES (?, ?, NOW(), ?)';
+    const { insertId } = await tx.query(sql, [company_id, note, req.user?.id || null]);
+
+    let snapshot = `
+      INSERT INTO muster_entries (muster_id, visitor_id)
+      SELECT ?, v.id FROM visitors v WHERE v.status = 'checked_in'
+    `;
+    const values = [insertId];
+    if (company_id) {
+      snapshot += ' AND v.company_id = ?';
+      values.push(company_id);
+    }
+    const entries = await tx.query(snapshot, values);
+    return { musterId: insertId, total: entries.affectedRows };
+  });
+  if (started.open) return res.status(409).json({ message: 'A muster is already open', id: started.open.id });
+
+  const { musterId, total } = started;
+  res.status(201).json({ id: musterId, total });
+});
+
+/**
+ * @swagger
+ * /api/muster/{id}:
+ *   get:
+ *     summary: Roll call for a muster
+ *     description: Everyone on the muster, grouped by department and host, with who is accounted for and who is still missing.
+ *     tags: [Muster]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, pdf], default: json }
+ *     responses:
+ *       200:
+ *         description: The roll call, or a printable PDF
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MusterList'
+ *           application/pdf: {}
+ *       404:
+ *         description: Muster not found
+ */
+router.get('/:id', authorize('muster:read'), validate({ query: 'MusterQuery' }), async (req, res) => {
+  const scope = tenantScope(req);
+  const [muster] = await db.query(`SELECT * FROM musters WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!muster) return res.status(404).json({ message: 'Muster not found' });
+
+  const sql = `
+    SELECT ${VISITOR_COLUMNS}, me.accounted_at, me.accounted_by, me.assembly_point
+    FROM muster_entries me
+    JOIN visitors v ON me.visitor_id = v.id
+    ${VISITOR_JOINS}
+    WHERE me.muster_id = ?
+    ${ORDER}
+  `;
+  const rows = await db.query(sql, [req.params.id]);
+  return sendMuster(req, res, muster, rows);
+});
+
+const auditEntry = audited('muster_entry', 'muster_entries', {
+  key: req => ({ muster_id: req.params.id, visitor_id: req.params.visitorId })
+});
+
+// Mark or unmark one person on an open muster
+const setAccounted = (accounted) => async (req, res) => {
+  const { id, visitorId } = req.params;
+  const scope = tenantScope(req);
+  const [muster] = await db.query(`SELECT closed_at FROM musters WHERE id = ?${scope.sql}`, [id, ...scope.values]);
+  if (!muster) return res.status(404).json({ message: 'Muster not found' });
+  if (muster.closed_at) return res.status(409).json({ message: 'Muster is closed' });
+
+  const sql = accounted
+    ? 'UPDATE muster_entries SET accounted_at = NOW(), accounted_by = ?, assembly_point = ? WHERE muster_id = ? AND visitor_id = ?'
+    : 'UPDATE muster_entries SET accounted_at = NULL, accounted_by = NULL, assembly_point = NULL WHERE muster_id = ? AND visitor_id = ?';
+  const values = accounted
+    ? [req.user?.id || null, req.body?.assembly_point || null, id, visitorId]
+    : [id, visitorId];
+  const result = await db.query(sql, values);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Visitor is not on this muster' });
+  res.json({ message: accounted ? 'Visitor accounted for' : 'Visitor marked missing' });
+};
+
+/**
+ * @swagger
+ * /api/muster/{id}/visitors/{visitorId}/accounted:
+ *   post:
+ *     summary: Mark a visitor as accounted for
+ *     tags: [Muster]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: visitorId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountedInput'
+ *     responses:
+ *       200:
+ *         description: Marked
+ *       404:
+ *         description: Muster not found, or visitor not on it
+ *       409:
+ *         description: Muster is closed
+ *   delete:
+ *     summary: Undo an accounted-for mark
+ *     tags: [Muster]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: visitorId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Visitor is back on the missing list
+ *       404:
+ *         description: Muster not found, or visitor not on it
+ *       409:
+ *         description: Muster is closed
+ */
+router.post('/:id/visitors/:visitorId/accounted', authorize('muster:run'), validate({ body: 'AccountedInput' }), auditEntry, setAccounted(true));
+router.delete('/:id/visitors/:visitorId/accounted', authorize('muster:run'), auditEntry, setAccounted(false));
+
+/**
+ * @swagger
+ * /api/muster/{id}/close:
+ *   post:
+ *     summary: Close a muster
+ *     description: Ends the roll call; marks can no longer change.
+ *     tags: [Muster]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Muster closed
+ *       404:
+ *         description: Muster not found
+ *       409:
+ *         description: Muster already closed
+ */
+router.post('/:id/close', authorize('muster:run'), audited('muster', 'musters'), async (req, res) => {
+  const scope = tenantScope(req);
+  const sql = `UPDATE musters SET closed_at = NOW(), closed_by = ? WHERE id = ? AND closed_at IS NULL${scope.sql}`;
+  const result = await db.query(sql, [req.user?.id || null, req.params.id, ...scope.values]);
+  if (result.affectedRows) return res.json({ message: 'Muster closed' });
+  const [muster] = await db.query(`SELECT id FROM musters WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!muster) return res.status(404).json({ message: 'Muster not found' });
+  res.status(409).json({ message: 'Muster is already closed' });
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authorize } = require('../middleware/rbac');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { buildListQuery, ListQueryError } = require('../utils/listQuery');
+const { streamTable } = require('../utils/tableExport');
+const { maskPii } = require('../utils/pii');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Compliance reports over visitor data
+ */
+
+const REGISTER_COLUMNS = [
+  { header: 'Visit ID', key: 'id', width: 10 },
+  { header: 'Visitor', key: 'visitor_name', width: 24 },
+  { header: 'Phone', key: 'phone', width: 14 },
+  { header: 'Email', key: 'email', width: 26 },
+  { header: 'Purpose', key: 'purpose', width: 24 },
+  { header: 'Host', key: 'host_name', width: 22 },
+  { header: 'Host designation', key: 'host_designation', width: 20 },
+  { header: 'Company', key: 'company_name', width: 22 },
+  { header: 'Department', key: 'department_name', width: 20 },
+  { header: 'Status', key: 'status', width: 14 },
+  { header: 'Screening', key: 'screening_result', width: 12 },
+  { header: 'Registered at', key: 'created_at', width: 20 },
+  { header: 'Checked in at', key: 'check_in_at', width: 20 },
+  { header: 'Check-in gate', key: 'check_in_gate', width: 14 },
+  { header: 'Checked out at', key: 'check_out_at', width: 20 },
+  { header: 'Check-out gate', key: 'check_out_gate', width: 14 }
+];
+
+const REGISTER_SPEC = {
+  id: 'v.id',
+  filters: {
+    company_id: 'v.company_id',
+    department_id: 'v.department_id',
+    host: 'v.whom_to_meet',
+    status: 'v.status'
+  },
+  date: 'v.created_at',
+  defaultSort: 'created_at',
+  sortable: { created_at: 'v.created_at' }
+};
+
+/**
+ * @swagger
+ * /api/reports/visitor-register:
+ *   get:
+ *     summary: Visitor register for a date range
+ *     description: |
+ *       One row per visit registered in the range, with host, designation, company and
+ *       department as names, and phone and email masked. CSV and XLSX are downloads;
+ *       all formats are streamed, so large ranges are fine.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema: { type: string, format: date, example: 2026-01-01 }
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         description: Inclusive end date
+ *         schema: { type: string, format: date, example: 2026-01-31 }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv, xlsx], default: json }
+ *       - in: query
+ *         name: company_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: department_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: host
+ *         description: Employee ID of the host
+ *         schema: { type: string }
+ *       - in: query
+ *         name: purpose
+ *         description: Matches any purpose containing this text
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The register as a JSON array, CSV or XLSX file
+ *         content:
+ *           application/json: {}
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/visitor-register', authorize('reports:read'), validate({ query: 'RegisterQuery' }), (req, res) => {
+  const { from, to, format = 'json' } = req.query;
+
+  let list;
+  try {
+    list = buildListQuery({ ...req.query, sort: undefined, q: undefined }, { ...REGISTER_SPEC, scope: tenantScope(req, 'v.company_id') });
+  } catch (err) {
+    if (err instanceof ListQueryError) return sendValidationError(res, err.errors);
+    throw err;
+  }
+  // Purpose is free text, so match on a substring rather than a value list
+  let where = list.where;
+  const values = [...list.values];
+  if (req.query.purpose) {
+    where += ' AND v.purpose LIKE ?';
+    values.push(`%${String(req.query.purpose).replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  const sql = `
+    SELECT v.id, CONCAT_WS(' ', v.first_name, v.last_name) AS visitor_name, v.phone, v.email, v.purpose,
+      CONCAT_WS(' ', e.first_name, e.last_name) AS host_name, des.name AS host_designation,
+      c.company_name, d.name AS department_name,
+      v.status, v.screening_result, v.created_at,
+      v.check_in_at, v.check_in_gate, v.check_out_at, v.check_out_gate
+    FROM visitors v
+    LEFT JOIN employees e ON v.whom_to_meet = e.id
+    LEFT JOIN designations des ON e.designation_id = des.id
+    LEFT JOIN companies c ON v.company_id = c.id
+    LEFT JOIN departments d ON v.department_id = d.id
+    WHERE ${where}
+    ORDER BY ${list.orderBy}
+  `;
+  return streamTable(res, db.stream(sql, values), {
+    columns: REGISTER_COLUMNS,
+    format,
+    filename: `visitor-register-${from}-to-${to}`.replace(/[^\w.-]/g, '_'),
+    sheetName: 'Visitor register',
+    mapRow: maskPii
+  });
+});
+
+module.exports = router;
@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const upload = require('../utils/upload'); 
+const { imageUpload, photoUrl } = require('../utils/storage');
+const { authorize } = require('../middleware/rbac');
+const { sendValidationError } = require('../middleware/validate');
 
 
-router.post('/upload', upload.single('image'), (req, res) => {
+router.post('/upload', authorize('uploads:write'), imageUpload('image', 'visitors'), (req, res) => {
   if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded or invalid file type.' });
+    return sendValidationError(res, [{ in: 'body', field: 'image', message: 'is required' }]);
   }
-  res.json({ filename: req.file.filename });
+  res.json({ filename: req.file.key, url: photoUrl(req.file.key) });
 });
 
 module.exports = router;
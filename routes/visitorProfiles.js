@@ -0,0 +1,212 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authorize, hasPermission } = require('../middleware/rbac');
+const { audited } = require('../middleware/audit');
+const { validate, idParam } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { PROFILE_FIELDS, profileColumns, findProfiles } = require('../utils/visitorProfiles');
+const { maskPii, sendReveal } = require('../utils/pii');
+const { withPhotoUrl } = require('../utils/storage');
+
+router.param('id', idParam);
+
+/**
+ * @swagger
+ * tags:
+ *   name: VisitorProfiles
+ *   description: Reusable identities of returning visitors and their visit history
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VisitorProfile:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 12 }
+ *         company_id: { type: integer, example: 1, description: Profiles belong to the company they visited }
+ *         first_name: { type: string, example: Anil }
+ *         last_name: { type: string, example: Mehta }
+ *         email: { type: string, example: anil@vendor.com }
+ *         phone: { type: string, example: "9876543210" }
+ *         gender: { type: string, enum: [Male, Female, Other] }
+ *         aadhar_no: { type: string, example: "123412341234" }
+ *         address: { type: string }
+ *         image: { type: string, example: "visitors/3f9c0a6d1e2b4c5a8f7e6d5c4b3a2918.jpg", description: "Photo key, downloadable from /api/files/{image}" }
+ *         photo_url: { type: string, description: "Signed, time-limited link to the photo; needs no token" }
+ *         last_visit_at: { type: string, format: date-time }
+ */
+
+/**
+ * @swagger
+ * /api/visitor-profiles/lookup:
+ *   get:
+ *     summary: Find existing visitor profiles by phone, email or Aadhaar number
+ *     description: Reception uses this to start a new visit for a returning visitor; pass the returned id as profile_id to POST /api/visitors.
+ *     tags: [VisitorProfiles]
+ *     parameters:
+ *       - in: query
+ *         name: phone
+ *         schema: { type: string }
+ *       - in: query
+ *         name: email
+ *         schema: { type: string }
+ *       - in: query
+ *         name: aadhar_no
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Matching profiles, best match first, with PII masked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VisitorProfile'
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/lookup', authorize('visitors:write'), validate({ query: 'ProfileLookupQuery' }), async (req, res) => {
+  const profiles = await findProfiles(req.query, db, tenantScope(req));
+  res.json(profiles.map(profile => withPhotoUrl(maskPii(profile))));
+});
+
+/**
+ * @swagger
+ * /api/visitor-profiles/{id}:
+ *   get:
+ *     summary: Get a visitor profile by ID
+ *     tags: [VisitorProfiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Visitor profile, with PII masked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VisitorProfile'
+ *       404:
+ *         description: Profile not found
+ */
+router.get('/:id', authorize('visitors:write'), async (req, res) => {
+  const scope = tenantScope(req);
+  const [profile] = await db.query(`SELECT * FROM visitor_profiles WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!profile) return res.status(404).json({ message: 'Visitor profile not found' });
+  res.json(withPhotoUrl(maskPii(profile)));
+});
+
+/**
+ * @swagger
+ * /api/visitor-profiles/{id}/visits:
+ *   get:
+ *     summary: Visit history of one person
+ *     description: Hosts only see the visits made to them.
+ *     tags: [VisitorProfiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Visits, newest first, with host name
+ */
+router.get('/:id/visits', authorize('visitors:read'), async (req, res) => {
+  const tenant = tenantScope(req, 'v.company_id');
+  let sql = `
+    SELECT v.id, v.status, v.purpose, v.whom_to_meet, v.company_id, v.department_id,
+      CONCAT_WS(' ', e.first_name, e.last_name) AS host_name,
+      v.created_at, v.check_in_at, v.check_out_at
+    FROM visitors v
+    LEFT JOIN employees e ON v.whom_to_meet = e.id
+    WHERE v.profile_id = ?${tenant.sql}
+  `;
+  const values = [req.params.id, ...tenant.values];
+  if (req.user && !hasPermission(req.user, 'visitors:read-all')) {
+    sql += ' AND v.whom_to_meet = ?';
+    values.push(req.user.id);
+  }
+  sql += ' ORDER BY v.created_at DESC';
+
+  res.json(await db.query(sql, values));
+});
+
+/**
+ * @swagger
+ * /api/visitor-profiles/{id}:
+ *   put:
+ *     summary: Correct a visitor profile
+ *     tags: [VisitorProfiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitorProfileUpdate'
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Invalid fields (see ValidationError), or nothing to update
+ *       404:
+ *         description: Profile not found
+ */
+router.put('/:id', authorize('visitors:write'), validate({ body: 'VisitorProfileUpdate' }), audited('visitor_profile', 'visitor_profiles', { pii: true }), async (req, res) => {
+  const fields = PROFILE_FIELDS.filter(field => field !== 'image' && req.body[field] !== undefined);
+  if (!fields.length) return res.status(400).json({ message: 'Nothing to update' });
+
+  const { names, values } = profileColumns(Object.fromEntries(fields.map(field => [field, req.body[field]])));
+  const scope = tenantScope(req);
+  const sql = `UPDATE visitor_profiles SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?${scope.sql}`;
+  const result = await db.query(sql, [...values, req.params.id, ...scope.values]);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Visitor profile not found' });
+  res.json({ message: 'Visitor profile updated' });
+});
+
+/**
+ * @swagger
+ * /api/visitor-profiles/{id}/reveal:
+ *   post:
+ *     summary: Show a profile's PII in full
+ *     description: Every call is recorded in the PII access log with the caller, reason and fields.
+ *     tags: [VisitorProfiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PiiRevealRequest'
+ *     responses:
+ *       200:
+ *         description: The requested fields, unmasked
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Profile not found
+ */
+router.post('/:id/reveal', authorize('pii:reveal'), validate({ body: 'PiiRevealRequest' }), (req, res) => {
+  return sendReveal(req, res, {
+    table: 'visitor_profiles',
+    entity: 'visitor_profile',
+    notFound: 'Visitor profile not found',
+    scope: tenantScope(req)
+  });
+});
+
+module.exports = router;
@@ -1,16 +1,66 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const QRCode = require('qrcode');
 const db = require('../db');
+const { authorize, hasPermission } = require('../middleware/rbac');
+const { tenantScope, joinScopes } = require('../middleware/tenant');
+const { audited, recordRow } = require('../middleware/audit');
+const { validate, idParam } = require('../middleware/validate');
+const { BADGE_STATES, TransitionError, transitionVisit } = require('../utils/visitLifecycle');
+const { QR_ERRORS, verifyQrToken, visitToken, qrCard } = require('../utils/qrToken');
+const { notifyHost, notifySecurity } = require('../notifications');
+const { screenVisitor } = require('../utils/screening');
+const { resolveProfile, touchProfile } = require('../utils/visitorProfiles');
+const { renderBadge } = require('../utils/badge');
+const { sendList } = require('../utils/listQuery');
+const { PII_FIELDS, HASHED_FIELDS, blindIndex, sealPii, openPii, maskPii, sendReveal } = require('../utils/pii');
+const { imageUpload, discardLater, withPhotoUrl } = require('../utils/storage');
 
-// Multer config for file uploads (images)
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, 'uploads/'),
-  filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname))
+const upload = imageUpload('image', 'visitors');
+
+// Callers only see their own company's visits, and hosts only the visitors who came to meet them
+const visitScope = (req, prefix = '') => {
+  const tenant = tenantScope(req, `${prefix}company_id`);
+  if (!req.user || hasPermission(req.user, 'visitors:read-all')) return tenant;
+  return joinScopes(tenant, { sql: ` AND ${prefix}whom_to_meet = ?`, values: [req.user.id] });
+};
+
+// A visit belongs to the company it names, or else to its host's, so none falls outside every tenant
+const VISIT_COMPANY = 'COALESCE(?, (SELECT host.company_id FROM employees host WHERE host.id = ?))';
+
+// The company VISIT_COMPANY gives a new visit, which its profile has to belong to as well
+const visitCompany = async (details, conn) => {
+  if (details.company_id) return details.company_id;
+  const [host] = await conn.query('SELECT company_id FROM employees WHERE id = ?', [details.whom_to_meet]);
+  return host ? host.company_id : null;
+};
+
+const sendTransitionError = (res, err) => res.status(err.status).json({ message: err.message, status: err.current });
+
+// Make the move and send the visit, or the reason it could not move
+const sendTransition = async (res, ...args) => {
+  let visit;
+  try {
+    visit = await transitionVisit(...args);
+  } catch (err) {
+    if (err instanceof TransitionError) return sendTransitionError(res, err);
+    throw err;
+  }
+  // Let the host know once their visitor is through the gate
+  if (visit.status === 'checked_in') notifyHost('visitor_checked_in', visit.id);
+  res.json(visit);
+};
+
+const sendBlocked = (res, visitorId) => res.status(403).json({
+  message: 'Visitor is on the watchlist and cannot be admitted',
+  code: 'WATCHLIST_BLOCKED',
+  visitorId: Number(visitorId)
 });
-const upload = multer({ storage });
+
+const sendQrError = (res, err) => res.status(err.status).json({ message: err.message, code: err.code });
+
+const auditVisitor = (options = {}) => audited('visitor', 'visitors', { pii: true, ...options });
+
+router.param('id', idParam);
 
 /**
  * @swagger
@@ -23,16 +73,80 @@ const upload = multer({ storage });
  * @swagger
  * /api/visitors:
  *   get:
- *     summary: Get all visitors
+ *     summary: Get visitors, paged
+ *     description: |
+ *       Filters take comma-separated values; from/to apply to the registration time.
+ *       q matches names partially, and phone, email or Aadhaar number only in full.
+ *       PII is masked; see POST /api/visitors/{id}/reveal.
  *     tags: [Visitors]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, example: "expected,checked_in" }
+ *       - in: query
+ *         name: company_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: department_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: host
+ *         description: Employee ID of the host (whom_to_meet)
+ *         schema: { type: string }
+ *       - in: query
+ *         name: profile_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: screening_result
+ *         schema: { type: string, example: flagged }
+ *       - $ref: '#/components/parameters/from'
+ *       - $ref: '#/components/parameters/to'
+ *       - $ref: '#/components/parameters/q'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
  *     responses:
  *       200:
- *         description: List of all visitors
+ *         description: One page of visitors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { type: array, items: { type: object } }
+ *                 pagination: { $ref: '#/components/schemas/Pagination' }
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
  */
-router.get('/', (req, res) => {
-  db.query('SELECT * FROM visitors', (err, result) => {
-    if (err) return res.status(500).send(err);
-    res.json(result);
+router.get('/', authorize('visitors:read'), (req, res) => {
+  return sendList(req, res, {
+    select: 'v.*',
+    from: 'FROM visitors v',
+    id: 'v.id',
+    scope: visitScope(req, 'v.'),
+    filters: {
+      status: 'v.status',
+      company_id: 'v.company_id',
+      department_id: 'v.department_id',
+      host: 'v.whom_to_meet',
+      profile_id: 'v.profile_id',
+      screening_result: 'v.screening_result'
+    },
+    date: 'v.created_at',
+    search: ['v.first_name', 'v.last_name', "CONCAT_WS(' ', v.first_name, v.last_name)"],
+    // Phone, email and Aadhaar are encrypted, so they only match exactly, via their keyed hashes
+    searchExact: (q) => Object.fromEntries(HASHED_FIELDS.map(field => [`v.${field}_hash`, blindIndex(field, q)])),
+    mapRow: row => withPhotoUrl(maskPii(row)),
+    sortable: {
+      created_at: 'v.created_at',
+      check_in_at: 'v.check_in_at',
+      check_out_at: 'v.check_out_at',
+      first_name: 'v.first_name',
+      last_name: 'v.last_name',
+      status: 'v.status'
+    },
+    defaultSort: '-created_at'
   });
 });
 
@@ -49,48 +163,48 @@ router.get('/', (req, res) => {
  *         schema: { type: integer }
  *     responses:
  *       200:
- *         description: Visitor data
+ *         description: Visitor data, with Aadhaar number, phone, email and address masked and a signed photo_url
  */
-router.get('/:id', (req, res) => {
+router.get('/:id', authorize('visitors:read'), async (req, res) => {
   const { id } = req.params;
-  db.query('SELECT * FROM visitors WHERE id = ?', [id], (err, result) => {
-    if (err) return res.status(500).send(err);
-    res.json(result[0]);
-  });
+  const scope = visitScope(req);
+  const [visitor] = await db.query(`SELECT * FROM visitors WHERE id = ?${scope.sql}`, [id, ...scope.values]);
+  if (!visitor) return res.status(404).json({ message: 'Visitor not found' });
+  res.json(withPhotoUrl(maskPii(visitor)));
 });
 
 /**
  * @swagger
- * /api/visitors:
+ * /api/visitors/{id}/reveal:
  *   post:
- *     summary: Add new visitor
+ *     summary: Show a visitor's PII in full
+ *     description: Every call is recorded in the PII access log with the caller, reason and fields.
  *     tags: [Visitors]
- *     consumes:
- *       - multipart/form-data
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
  *     requestBody:
+ *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               first_name: { type: string }
- *               last_name: { type: string }
- *               email: { type: string }
- *               phone: { type: string }
- *               gender: { type: string, enum: [Male, Female, Other] }
- *               company_id: { type: integer }
- *               department_id: { type: integer }
- *               designation_id: { type: integer }
- *               whom_to_meet: { type: integer }
- *               purpose: { type: string }
- *               aadhar_no: { type: string }
- *               address: { type: string }
- *               image: { type: string, format: binary }
+ *             $ref: '#/components/schemas/PiiRevealRequest'
  *     responses:
  *       200:
- *         description: Visitor added with QR
+ *         description: The requested fields, unmasked
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Visitor not found
  */
-router.post('/', upload.single('image'), async (req, res) => {
+router.post('/:id/reveal', authorize('pii:reveal'), validate({ body: 'PiiRevealRequest' }), (req, res) => {
+  return sendReveal(req, res, { table: 'visitors', entity: 'visitor', notFound: 'Visitor not found', scope: visitScope(req) });
+});
+
+// Screen and store one visit for a resolved profile. Resolves to { visitorId, status, screening }.
+const registerVisit = async (profileId, details, conn) => {
   const {
     first_name,
     last_name,
@@ -103,31 +217,79 @@ router.post('/', upload.single('image'), async (req, res) => {
     whom_to_meet,
     purpose,
     aadhar_no,
-    address
-  } = req.body;
+    address,
+    image
+  } = details;
 
-  const image = req.file?.filename || null;
+  const screening = await screenVisitor(details, conn);
+  const status = screening.result === 'blocked' ? 'rejected' : 'pending_approval';
 
+  const pii = sealPii({ email, phone, aadhar_no, address });
   const sql = `
     INSERT INTO visitors (
-      first_name, last_name, email, phone, gender,
+      profile_id, first_name, last_name, email, phone, gender,
       company_id, department_id, designation_id, whom_to_meet,
-      purpose, aadhar_no, address, image
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      purpose, aadhar_no, address, image, status,
+      screening_result, screening_matches, screened_at,
+      email_hash, phone_hash, aadhar_no_hash
+    ) VALUES (?, ?, ?, ?, ?, ?, ${VISIT_COMPANY}, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?)
   `;
   const values = [
-    first_name, last_name, email, phone, gender,
-    company_id, department_id, designation_id, whom_to_meet,
-    purpose, aadhar_no, address, image
+    profileId, first_name, last_name, pii.email, pii.phone, gender,
+    company_id, whom_to_meet, department_id, designation_id, whom_to_meet,
+    purpose, pii.aadhar_no, pii.address, image, status,
+    screening.result, JSON.stringify(screening.matches),
+    pii.email_hash, pii.phone_hash, pii.aadhar_no_hash
   ];
 
-  db.query(sql, values, async (err, result) => {
-    if (err) return res.status(500).send(err);
-    const visitorId = result.insertId;
-    const qrText = `http://localhost:3001/api/visitors/signout/${visitorId}`;
-    const qrDataURL = await QRCode.toDataURL(qrText);
-    res.json({ visitorId, qr: qrDataURL });
+  const result = await conn.query(sql, values);
+  await touchProfile(profileId, conn);
+  return { visitorId: result.insertId, status, screening };
+};
+
+/**
+ * @swagger
+ * /api/visitors:
+ *   post:
+ *     summary: Add new visitor
+ *     description: Each visit is linked to a visitor profile of the visit's company, matched by profile_id or by Aadhaar number, phone or email, and created when nobody matches.
+ *     tags: [Visitors]
+ *     consumes:
+ *       - multipart/form-data
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitorInput'
+ *     responses:
+ *       200:
+ *         description: Visitor registered as pending_approval; the host must approve before a badge is issued
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       403:
+ *         description: WATCHLIST_BLOCKED - visitor matched a blocking watchlist entry; the visit is stored as rejected
+ */
+router.post('/', authorize('visitors:write'), upload, validate({ body: 'VisitorInput' }), async (req, res) => {
+  const details = { ...req.body, image: req.file?.key || null };
+
+  // The profile, the visit and its audit record commit together
+  const visit = await db.transaction(async (tx) => {
+    const company_id = await visitCompany(details, tx);
+    const resolved = await resolveProfile({ ...details, company_id }, tx);
+    if (!resolved) return null;
+    const registered = await registerVisit(resolved.profileId, resolved.details, tx);
+    await recordRow(req, 'visitor', 'visitors', registered.visitorId, null, { pii: true, conn: tx });
+    return { ...registered, profileId: resolved.profileId, replacedImage: resolved.replacedImage };
   });
+  if (!visit) return res.status(404).json({ message: 'Visitor profile not found' });
+
+  const { visitorId, status, screening } = visit;
+  discardLater(visit.replacedImage);
+  if (screening.result !== 'clear') notifySecurity(visitorId, screening);
+  if (screening.result === 'blocked') return sendBlocked(res, visitorId);
+
+  notifyHost('approval_requested', visitorId);
+  res.json({ visitorId, profile_id: visit.profileId, status, screening_result: screening.result });
 });
 
 /**
@@ -135,6 +297,7 @@ router.post('/', upload.single('image'), async (req, res) => {
  * /api/visitors/{id}:
  *   put:
  *     summary: Update visitor
+ *     description: Phone, email, Aadhaar number and address keep their stored values when left out. Masked values, as GET returns them, are refused.
  *     tags: [Visitors]
  *     consumes:
  *       - multipart/form-data
@@ -147,67 +310,148 @@ router.post('/', upload.single('image'), async (req, res) => {
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             properties:
- *               first_name: { type: string }
- *               last_name: { type: string }
- *               email: { type: string }
- *               phone: { type: string }
- *               gender: { type: string }
- *               company_id: { type: integer }
- *               department_id: { type: integer }
- *               designation_id: { type: integer }
- *               whom_to_meet: { type: integer }
- *               purpose: { type: string }
- *               aadhar_no: { type: string }
- *               address: { type: string }
- *               image: { type: string, format: binary }
+ *             $ref: '#/components/schemas/VisitorUpdate'
  *     responses:
  *       200:
  *         description: Visitor updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       403:
+ *         description: WATCHLIST_BLOCKED - the changes match a blocking watchlist entry and were not applied
+ *       404:
+ *         description: Visitor not found
  */
-router.put('/:id', upload.single('image'), (req, res) => {
+router.put('/:id', authorize('visitors:write'), auditVisitor(), upload, validate({ body: 'VisitorUpdate' }), async (req, res) => {
   const { id } = req.params;
   const {
     first_name,
     last_name,
-    email,
-    phone,
     gender,
     company_id,
     department_id,
     designation_id,
     whom_to_meet,
-    purpose,
-    aadhar_no,
-    address
+    purpose
   } = req.body;
 
-  const image = req.file?.filename;
+  const image = req.file?.key;
+  const scope = tenantScope(req);
+
+  const [current] = await db.query(`SELECT * FROM visitors WHERE id = ?${scope.sql}`, [id, ...scope.values]);
+  if (!current) return res.status(404).json({ message: 'Visitor not found' });
+
+  // PII left out of the body keeps its stored value, and is screened as it stands
+  const screening = await screenVisitor({ ...openPii(current), ...req.body });
+  const screeningValues = [screening.result, JSON.stringify(screening.matches)];
+
+  if (screening.result === 'blocked') {
+    // Keep the decision on the visit and stop it going any further, but leave the details untouched
+    const blockSql = `
+      UPDATE visitors SET screening_result = ?, screening_matches = ?, screened_at = NOW(),
+        status = IF(status IN ('pending_approval', 'expected'), 'rejected', status)
+      WHERE id = ?${scope.sql}
+    `;
+    const result = await db.query(blockSql, [...screeningValues, id, ...scope.values]);
+    if (!result.affectedRows) return res.status(404).json({ message: 'Visitor not found' });
+    notifySecurity(id, screening);
+    return sendBlocked(res, id);
+  }
 
   let sql = `
     UPDATE visitors SET
-      first_name = ?, last_name = ?, email = ?, phone = ?, gender = ?,
-      company_id = ?, department_id = ?, designation_id = ?, whom_to_meet = ?,
-      purpose = ?, aadhar_no = ?, address = ?
+      first_name = ?, last_name = ?, gender = ?,
+      company_id = ${VISIT_COMPANY}, department_id = ?, designation_id = ?, whom_to_meet = ?,
+      purpose = ?, screening_result = ?, screening_matches = ?, screened_at = NOW()
   `;
   const values = [
-    first_name, last_name, email, phone, gender,
-    company_id, department_id, designation_id, whom_to_meet,
-    purpose, aadhar_no, address
+    first_name, last_name, gender,
+    company_id, whom_to_meet, department_id, designation_id, whom_to_meet,
+    purpose, ...screeningValues
   ];
 
+  const pii = sealPii(Object.fromEntries(PII_FIELDS.filter(field => field in req.body).map(field => [field, req.body[field]])));
+  Object.entries(pii).forEach(([column, value]) => {
+    sql += `, ${column} = ?`;
+    values.push(value);
+  });
+
   if (image) {
     sql += `, image = ?`;
     values.push(image);
   }
 
-  sql += ` WHERE id = ?`;
-  values.push(id);
+  sql += ` WHERE id = ?${scope.sql}`;
+  values.push(id, ...scope.values);
+
+  const result = await db.query(sql, values);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Visitor not found' });
+  // A replaced photo is deleted once the new one is saved, unless the profile or another visit still shows it
+  if (image) discardLater(current.image);
+  if (screening.result === 'flagged') notifySecurity(id, screening);
+  res.json({ message: 'Visitor updated successfully', screening_result: screening.result });
+});
+
+/**
+ * @swagger
+ * /api/visitors/{id}/check-in:
+ *   post:
+ *     summary: Check in an expected visitor
+ *     tags: [Visitors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GateInput'
+ *     responses:
+ *       200:
+ *         description: Visitor checked in
+ *       404:
+ *         description: Visitor not found
+ *       409:
+ *         description: Visitor is not expected (already checked in, out or cancelled)
+ */
+router.post('/:id/check-in', authorize('visitors:checkinout'), validate({ body: 'GateInput' }), auditVisitor(), (req, res) => {
+  return sendTransition(res, req.params.id, 'checked_in', {
+    actorId: req.user?.id,
+    gate: req.body?.gate,
+    scope: visitScope(req)
+  });
+});
 
-  db.query(sql, values, (err) => {
-    if (err) return res.status(500).send(err);
-    res.json({ message: 'Visitor updated successfully' });
+/**
+ * @swagger
+ * /api/visitors/{id}/check-out:
+ *   post:
+ *     summary: Check out a visitor who is on site
+ *     tags: [Visitors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GateInput'
+ *     responses:
+ *       200:
+ *         description: Visitor checked out
+ *       404:
+ *         description: Visitor not found
+ *       409:
+ *         description: Visitor never checked in or has already checked out
+ */
+router.post('/:id/check-out', authorize('visitors:checkinout'), validate({ body: 'GateInput' }), auditVisitor(), (req, res) => {
+  return sendTransition(res, req.params.id, 'checked_out', {
+    actorId: req.user?.id,
+    gate: req.body?.gate,
+    scope: visitScope(req)
   });
 });
 
@@ -215,71 +459,230 @@ router.put('/:id', upload.single('image'), (req, res) => {
  * @swagger
  * /api/visitors/{id}/status:
  *   put:
- *     summary: Toggle visitor status
+ *     summary: Move a visit to a new status
+ *     description: Allowed moves are expected -> checked_in, checked_in -> checked_out and pending_approval | expected -> cancelled. Approval goes through /approve and /reject.
  *     tags: [Visitors]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema: { type: integer }
  *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitStatusChange'
  *     responses:
  *       200:
- *         description: Status toggled
+ *         description: Status changed
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Visitor not found
+ *       409:
+ *         description: Transition not allowed from the current status
  */
-router.put('/:id/status', (req, res) => {
-  const { id } = req.params;
-  db.query('UPDATE visitors SET status = NOT status WHERE id = ?', [id], (err) => {
-    if (err) return res.status(500).send(err);
-    res.json({ message: 'Status toggled' });
-  });
+router.put('/:id/status', authorize('visitors:checkinout'), validate({ body: 'VisitStatusChange' }), auditVisitor(), (req, res) => {
+  const { status, gate } = req.body;
+  return sendTransition(res, req.params.id, status, { actorId: req.user?.id, gate, scope: visitScope(req) });
 });
 
+// The host decides; admins can always step in, receptionists once the request has escalated
+const canDecide = (user, visitor) => {
+  if (!user) return hasPermission(user, 'visitors:approve-any');
+  if (visitor.whom_to_meet === user.id) return true;
+  if (hasPermission(user, 'visitors:approve-any')) return true;
+  return Boolean(visitor.escalated_at) && hasPermission(user, 'visitors:approve-escalated');
+};
+
+const decide = (to) => async (req, res) => {
+  const note = req.body?.note || null;
+  const scope = tenantScope(req);
+  const [visitor] = await db.query(`SELECT id, whom_to_meet, escalated_at FROM visitors WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!visitor) return res.status(404).json({ message: 'Visitor not found' });
+  if (!canDecide(req.user, visitor)) {
+    return res.status(403).json({ message: 'Forbidden. Only the host can decide on this visit.' });
+  }
+  return sendTransition(res, visitor.id, to, { actorId: req.user?.id, set: { approval_note: note } });
+};
+
+/**
+ * @swagger
+ * /api/visitors/{id}/approve:
+ *   post:
+ *     summary: Host approves a walk-in visit
+ *     tags: [Visitors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DecisionInput'
+ *     responses:
+ *       200:
+ *         description: Visit approved and now expected
+ *       403:
+ *         description: Caller is not the host (or an admin / receptionist after escalation)
+ *       404:
+ *         description: Visitor not found
+ *       409:
+ *         description: Visit is not awaiting approval
+ */
+router.post('/:id/approve', validate({ body: 'DecisionInput' }), auditVisitor(), decide('expected'));
+
+/**
+ * @swagger
+ * /api/visitors/{id}/reject:
+ *   post:
+ *     summary: Host rejects a walk-in visit
+ *     tags: [Visitors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DecisionInput'
+ *     responses:
+ *       200:
+ *         description: Visit rejected
+ *       403:
+ *         description: Caller is not the host (or an admin / receptionist after escalation)
+ *       404:
+ *         description: Visitor not found
+ *       409:
+ *         description: Visit is not awaiting approval
+ */
+router.post('/:id/reject', validate({ body: 'DecisionInput' }), auditVisitor(), decide('rejected'));
+
 /**
  * @swagger
  * /api/visitors/{id}/card:
  *   get:
  *     summary: Generate QR card for visitor
+ *     description: Returns the QR as JSON by default, or a print-ready badge with format=pdf or format=png.
  *     tags: [Visitors]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema: { type: integer }
  *         required: true
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, pdf, png], default: json }
+ *       - in: query
+ *         name: template
+ *         schema: { type: string, enum: [standard, compact], default: standard }
+ *       - in: query
+ *         name: size
+ *         description: Badge stock - CR80 ID card (85.6 x 54 mm), 4x3 or 4x6 inch labels
+ *         schema: { type: string, enum: [cr80, 4x3, 4x6], default: cr80 }
  *     responses:
  *       200:
- *         description: QR code as base64 image
+ *         description: QR code as base64 image encoding a signed single-use sign-out URL, or the badge file
+ *         content:
+ *           application/json: {}
+ *           application/pdf: {}
+ *           image/png: {}
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       404:
+ *         description: Visitor not found
+ *       409:
+ *         description: Visit is not approved yet, or is already over
  */
-router.get('/:id/card', (req, res) => {
+router.get('/:id/card', authorize('visitors:read'), validate({ query: 'BadgeQuery' }), async (req, res) => {
   const { id } = req.params;
-  const qrText = `http://localhost:3001/api/visitors/signout/${id}`;
-  QRCode.toDataURL(qrText, (err, qr) => {
-    if (err) return res.status(500).send(err);
-    res.json({ qr });
+  const { format = 'json', template = 'standard', size = 'cr80' } = req.query;
+
+  const scope = visitScope(req, 'v.');
+  const sql = `
+    SELECT v.*, CONCAT_WS(' ', e.first_name, e.last_name) AS host_name,
+      c.company_name, d.name AS department_name
+    FROM visitors v
+    LEFT JOIN employees e ON v.whom_to_meet = e.id
+    LEFT JOIN companies c ON v.company_id = c.id
+    LEFT JOIN departments d ON v.department_id = d.id
+    WHERE v.id = ?${scope.sql}
+  `;
+  const [visitor] = await db.query(sql, [id, ...scope.values]);
+  if (!visitor) return res.status(404).json({ message: 'Visitor not found' });
+  if (!BADGE_STATES.includes(visitor.status)) {
+    return res.status(409).json({ message: `Visit is ${visitor.status}; no card can be issued`, status: visitor.status });
+  }
+
+  // A minted token and its audit record commit together
+  const { host_name, company_name, department_name, ...row } = visitor;
+  const { issued } = await db.transaction(async (tx) => {
+    const token = await visitToken(visitor, tx);
+    if (token.minted) await recordRow(req, 'visitor', 'visitors', visitor.id, openPii(row), { pii: true, conn: tx });
+    return token;
   });
+  const card = await qrCard(issued);
+  if (format === 'json') return res.json(card);
+
+  const { buffer, contentType } = await renderBadge(visitor, { qrUrl: card.qr_url, validUntil: card.qr_expires_at, format, template, size });
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `inline; filename="visitor-${visitor.id}-badge.${format}"`);
+  res.send(buffer);
 });
 
 /**
  * @swagger
- * /api/visitors/signout/{id}:
+ * /api/visitors/signout/{token}:
  *   get:
  *     summary: Sign out visitor via QR
  *     tags: [Visitors]
  *     parameters:
  *       - in: path
- *         name: id
- *         schema: { type: integer }
+ *         name: token
+ *         schema: { type: string }
  *         required: true
+ *         description: Signed QR token from the visitor card
  *     responses:
  *       200:
  *         description: Visitor signed out
+ *       400:
+ *         description: QR_TOKEN_INVALID - token is malformed or has been tampered with
+ *       409:
+ *         description: QR_TOKEN_USED, QR_TOKEN_SUPERSEDED, or the visitor is not checked in
+ *       410:
+ *         description: QR_TOKEN_EXPIRED - token is past its expiry
  */
-router.get('/signout/:id', (req, res) => {
-  const { id } = req.params;
-db.query("UPDATE visitors SET qr_status = 'used' WHERE id = ?", [id], (err) => {
-  if (err) return res.status(500).send(err);
-  res.send(`<h2>Visitor ID ${id} signed out successfully. QR is now invalid.</h2>`);
-});
+router.get('/signout/:token', authorize('visitors:checkinout'), auditVisitor({ key: req => ({ id: verifyQrToken(req.params.token).visitorId }) }), async (req, res) => {
+  let claims;
+  try {
+    claims = verifyQrToken(req.params.token);
+  } catch (err) {
+    return sendQrError(res, err);
+  }
 
+  const scope = tenantScope(req);
+  const [visitor] = await db.query(`SELECT id, qr_token_id, qr_status FROM visitors WHERE id = ?${scope.sql}`, [claims.visitorId, ...scope.values]);
+  if (!visitor) return sendQrError(res, QR_ERRORS.invalid());
+  if (visitor.qr_token_id !== claims.jti) return sendQrError(res, QR_ERRORS.superseded());
+  if (visitor.qr_status === 'used') return sendQrError(res, QR_ERRORS.used());
+
+  try {
+    await transitionVisit(visitor.id, 'checked_out', {
+      actorId: req.user?.id,
+      gate: 'qr',
+      set: { qr_status: 'used' },
+      match: { qr_token_id: claims.jti, qr_status: 'active' }
+    });
+  } catch (err) {
+    if (err instanceof TransitionError) return sendTransitionError(res, err);
+    throw err;
+  }
+  res.send(`<h2>Visitor ID ${visitor.id} signed out successfully. QR is now invalid.</h2>`);
 });
 
 module.exports = router;
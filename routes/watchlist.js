@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authorize } = require('../middleware/rbac');
+const { audited } = require('../middleware/audit');
+const { validate, idParam } = require('../middleware/validate');
+const { tenantScope } = require('../middleware/tenant');
+const { sealPii, maskPii } = require('../utils/pii');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Watchlist
+ *   description: People who must not be admitted or who need security attention
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WatchlistEntry:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 1 }
+ *         company_id: { type: integer, nullable: true, example: 1, description: Null for an entry that screens every company's visits }
+ *         name: { type: string, example: Ravi Kumar }
+ *         phone: { type: string, example: XXXXXX3210, description: Masked }
+ *         email: { type: string, example: r***@example.com, description: Masked }
+ *         aadhar_no: { type: string, example: XXXX-XXXX-1234, description: Masked }
+ *         reason: { type: string, example: Trespassing in 2024 }
+ *         severity:
+ *           type: string
+ *           enum: [block, flag]
+ *           description: block refuses registration on an identifier match; flag admits but alerts security
+ *         active: { type: boolean, example: true }
+ */
+
+const FIELDS = ['company_id', 'name', 'phone', 'email', 'aadhar_no', 'reason', 'severity', 'active'];
+
+router.param('id', idParam);
+
+// Tenants only see and manage their own company's entries; the deployment-wide ones are a super admin's.
+// Phone numbers, emails and Aadhaar numbers are stored encrypted with lookup hashes (utils/pii)
+// and only ever shown masked.
+
+/**
+ * @swagger
+ * /api/watchlist:
+ *   get:
+ *     summary: Get the watchlist entries of the caller's company
+ *     tags: [Watchlist]
+ *     responses:
+ *       200:
+ *         description: List of watchlist entries, with identifiers masked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WatchlistEntry'
+ */
+router.get('/', authorize('watchlist:read'), async (req, res) => {
+  const scope = tenantScope(req);
+  const entries = await db.query(`SELECT * FROM watchlist WHERE 1 = 1${scope.sql} ORDER BY name`, scope.values);
+  res.json(entries.map(maskPii));
+});
+
+/**
+ * @swagger
+ * /api/watchlist/{id}:
+ *   get:
+ *     summary: Get a watchlist entry by ID
+ *     tags: [Watchlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Watchlist entry, with identifiers masked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WatchlistEntry'
+ *       404:
+ *         description: Entry not found
+ */
+router.get('/:id', authorize('watchlist:read'), async (req, res) => {
+  const scope = tenantScope(req);
+  const [entry] = await db.query(`SELECT * FROM watchlist WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!entry) return res.status(404).json({ message: 'Watchlist entry not found' });
+  res.json(maskPii(entry));
+});
+
+/**
+ * @swagger
+ * /api/watchlist:
+ *   post:
+ *     summary: Add a watchlist entry
+ *     tags: [Watchlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WatchlistInput'
+ *     responses:
+ *       201:
+ *         description: Entry created
+ *       400:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/', authorize('watchlist:manage'), validate({ body: 'WatchlistInput' }), audited('watchlist', 'watchlist', { pii: true }), async (req, res) => {
+  const { company_id, name, phone, email, aadhar_no, reason, severity } = req.body;
+
+  const pii = sealPii({ phone: phone || null, email: email || null, aadhar_no: aadhar_no || null });
+  const sql = `
+    INSERT INTO watchlist (
+      company_id, name, phone, email, aadhar_no, phone_hash, email_hash, aadhar_no_hash, reason, severity, active, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+  `;
+  const values = [
+    company_id || null, name, pii.phone, pii.email, pii.aadhar_no, pii.phone_hash, pii.email_hash, pii.aadhar_no_hash,
+    reason, severity, req.user?.id || null
+  ];
+  const result = await db.query(sql, values);
+  res.status(201).json({ id: result.insertId });
+});
+
+/**
+ * @swagger
+ * /api/watchlist/{id}:
+ *   put:
+ *     summary: Update a watchlist entry
+ *     tags: [Watchlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WatchlistUpdate'
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       400:
+ *         description: Invalid fields (see ValidationError), or nothing to update
+ *       404:
+ *         description: Entry not found
+ */
+router.put('/:id', authorize('watchlist:manage'), validate({ body: 'WatchlistUpdate' }), audited('watchlist', 'watchlist', { pii: true }), async (req, res) => {
+  const fields = FIELDS.filter(field => req.body[field] !== undefined);
+  if (!fields.length) return res.status(400).json({ message: 'Nothing to update' });
+
+  const changes = Object.fromEntries(fields.map(field => [field, req.body[field]]));
+  const columns = { ...changes, ...sealPii(changes) };
+  const scope = tenantScope(req);
+  const sql = `UPDATE watchlist SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')} WHERE id = ?${scope.sql}`;
+  const result = await db.query(sql, [...Object.values(columns), req.params.id, ...scope.values]);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Watchlist entry not found' });
+  res.json({ message: 'Watchlist entry updated' });
+});
+
+/**
+ * @swagger
+ * /api/watchlist/{id}:
+ *   delete:
+ *     summary: Delete a watchlist entry
+ *     tags: [Watchlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Entry deleted
+ *       404:
+ *         description: Entry not found
+ */
+router.delete('/:id', authorize('watchlist:manage'), audited('watchlist', 'watchlist', { pii: true }), async (req, res) => {
+  const scope = tenantScope(req);
+  const result = await db.query(`DELETE FROM watchlist WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!result.affectedRows) return res.status(404).json({ message: 'Watchlist entry not found' });
+  res.json({ message: 'Watchlist entry deleted' });
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// Database schema migrations (migrations/*.js) and demo data.
+//
+//   npm run migrate                      # create DB_NAME if needed and apply every pending migration
+//   npm run migrate -- up --to 001       # apply pending migrations up to and including 001
+//   npm run migrate -- down              # roll back the latest migration
+//   npm run migrate -- down --steps 2    # roll back the latest two
+//   npm run migrate -- status            # list migrations and whether each is applied
+//   npm run migrate -- baseline 002      # database built by hand: mark 002 and earlier as applied
+//   npm run db:seed                      # demo companies, departments, designations and one login per role
+//
+// The server refuses to start while any migration is pending.
+const mysql = require('mysql2/promise');
+const dotenv = require('dotenv');
+const { migrationStatus, migrateUp, migrateDown, baseline } = require('../utils/migrations');
+const { seedDemo } = require('../seeds/demo');
+dotenv.config();
+
+const [command = 'up', ...args] = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i === -1 ? undefined : args[i + 1];
+};
+
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+const COMMANDS = {
+  up: async (connection) => {
+    const applied = await migrateUp(connection, { to: option('--to') });
+    if (!applied.length) return console.log('Schema is up to date.');
+    applied.forEach(migration => console.log(`Applied ${label(migration)}`));
+  },
+  down: async (connection) => {
+    const steps = Number(option('--steps') || 1);
+    if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps must be a positive integer');
+    const rolledBack = await migrateDown(connection, { steps });
+    if (!rolledBack.length) return console.log('Nothing to roll back.');
+    rolledBack.forEach(migration => console.log(`Rolled back ${label(migration)}`));
+  },
+  status: async (connection) => {
+    const { migrations, pending, unknown } = await migrationStatus(connection);
+    migrations.forEach(migration => {
+      const state = migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString()}` : 'pending';
+      console.log(`${label(migration).padEnd(40)} ${state}`);
+    });
+    unknown.forEach(row => console.log(`${label(row).padEnd(40)} applied, but not in this release`));
+    console.log(pending.length ? `${pending.length} pending.` : 'Schema is up to date.');
+  },
+  baseline: async (connection) => {
+    if (!args[0]) throw new Error('Usage: npm run migrate -- baseline <version>');
+    const marked = await baseline(connection, args[0]);
+    marked.forEach(migration => console.log(`Marked ${label(migration)} as applied`));
+  },
+  seed: async (connection) => {
+    const { pending } = await migrationStatus(connection);
+    if (pending.length) throw new Error('Run `npm run migrate` before seeding');
+    const report = await seedDemo(connection);
+    console.log(`Companies added: ${report.companies}; employees added: ${report.employees}`);
+    if (report.password) console.log(`Password for every seeded login (admin@example.com etc.): ${report.password}`);
+  }
+};
+
+const run = async () => {
+  if (!COMMANDS[command]) throw new Error(`Unknown command "${command}"; use up, down, status, baseline or seed`);
+  const database = process.env.DB_NAME;
+  if (!database) throw new Error('DB_NAME is not set');
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD
+  });
+  try {
+    // A fresh install starts without the database itself
+    if (command === 'up') {
+      await connection.query('CREATE DATABASE IF NOT EXISTS ?? CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci', [database]);
+    }
+    await connection.query('USE ??', [database]);
+    await COMMANDS[command](connection);
+  } finally {
+    await connection.end();
+  }
+};
+
+run().catch(err => {
+  console.error(`Migration ${command} failed:`, err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,63 @@
+// Copy stored photos from a local uploads folder into the configured STORAGE_DRIVER.
+//
+//   npm run storage:migrate -- --dry-run                   # list what would be copied
+//   npm run storage:migrate                                # copy files the target does not have yet
+//   npm run storage:migrate -- --from old-uploads --delete # also remove each local file once copied
+//
+// Keys stay the same (uploads/employees/x.png becomes employees/x.png), so the image
+// columns need no change. Safe to re-run after an interruption.
+const path = require('path');
+const dotenv = require('dotenv');
+const { createDriver, createLocalDriver } = require('../utils/storageDrivers');
+dotenv.config();
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+};
+const dryRun = args.includes('--dry-run');
+const removeSource = args.includes('--delete');
+const from = option('--from') || 'uploads';
+
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+const migrate = async () => {
+  const source = createLocalDriver(from);
+  const target = createDriver();
+  if (target.name === 'local' && path.resolve(target.dir) === path.resolve(from)) {
+    throw new Error(`STORAGE_DRIVER is already the local folder ${from}; set STORAGE_DRIVER=s3 to migrate`);
+  }
+
+  const counts = { copied: 0, present: 0, deleted: 0 };
+  for await (const key of source.list()) {
+    if (key.split('/').some(part => part.startsWith('.'))) continue;
+    if (await target.exists(key)) {
+      counts.present += 1;
+    } else {
+      counts.copied += 1;
+      if (dryRun) {
+        console.log(`Would copy ${key}`);
+      } else {
+        await target.put(key, await source.get(key), CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream');
+      }
+    }
+    // Only drop the local copy once the target is known to hold it
+    if (removeSource && !dryRun && await target.exists(key)) {
+      await source.remove(key);
+      counts.deleted += 1;
+    }
+  }
+  return counts;
+};
+
+migrate()
+  .then(counts => {
+    const verb = dryRun ? 'would be' : 'were';
+    console.log(`Files ${verb} copied: ${counts.copied}; already in the target: ${counts.present}`);
+    if (removeSource) console.log(`Local files ${verb} deleted: ${dryRun ? counts.copied + counts.present : counts.deleted}`);
+  })
+  .catch(err => {
+    console.error('Storage migration failed:', err.message);
+    process.exitCode = 1;
+  });
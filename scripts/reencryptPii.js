@@ -0,0 +1,71 @@
+// Encrypt legacy plaintext PII and move values onto the active key.
+//
+//   npm run pii:reencrypt             # rows not yet on PII_ACTIVE_KEY
+//   npm run pii:reencrypt -- --rehash # every row, recomputing lookup hashes (after changing PII_HASH_KEY)
+//   npm run pii:reencrypt -- --dry-run
+//
+// Old keys must stay in PII_KEYS until this has finished.
+const db = require('../db');
+const { PII_FIELDS, HASHED_FIELDS, checkPiiKeys, isCurrent, openPii, sealPii } = require('../utils/pii');
+
+// The PII fields each table holds
+const TABLES = {
+  visitors: PII_FIELDS,
+  visitor_profiles: PII_FIELDS,
+  invitations: ['email', 'phone'],
+  watchlist: HASHED_FIELDS
+};
+const BATCH = 500;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const rehash = args.includes('--rehash');
+
+const reencryptTable = async (table, fields) => {
+  const hashed = HASHED_FIELDS.filter(field => fields.includes(field));
+  const columns = ['id', ...fields, ...hashed.map(field => `${field}_hash`)];
+  let lastId = 0;
+  let scanned = 0;
+  let updated = 0;
+
+  for (;;) {
+    const rows = await db.query(
+      `SELECT ${columns.join(', ')} FROM ${table} WHERE id > ? ORDER BY id LIMIT ?`,
+      [lastId, BATCH]
+    );
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      scanned += 1;
+      const stale = fields.some(field => !isCurrent(row[field]))
+        || hashed.some(field => row[field] && !row[`${field}_hash`]);
+      if (!stale && !rehash) continue;
+
+      updated += 1;
+      if (dryRun) continue;
+      const sealed = sealPii(openPii(row, { strict: true }));
+      const names = Object.keys(sealed);
+      await db.query(
+        `UPDATE ${table} SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+        [...names.map(name => sealed[name]), row.id]
+      );
+    }
+  }
+
+  console.log(`${table}: ${scanned} scanned, ${updated} ${dryRun ? 'would be updated' : 'updated'}`);
+};
+
+const run = async () => {
+  checkPiiKeys();
+  for (const [table, fields] of Object.entries(TABLES)) {
+    await reencryptTable(table, fields);
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Re-encryption failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
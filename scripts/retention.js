@@ -0,0 +1,27 @@
+// Apply the data-retention policy once, or preview it.
+//
+//   npm run retention -- --dry-run   # report what would be purged, change nothing
+//   npm run retention                # anonymise/delete expired visits now
+//
+// The server also runs this every RETENTION_CHECK_INTERVAL_HOURS.
+const db = require('../db');
+const { runRetention } = require('../jobs/retention');
+
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+runRetention({ dryRun })
+  .then(report => {
+    const verb = dryRun ? 'would be' : 'were';
+    report.companies.forEach(company => {
+      const label = company.company_id === null ? 'No company' : `Company ${company.company_id}`;
+      console.log(`${label}: ${company.visits} visits older than ${company.days} days ${verb} ${company.action === 'delete' ? 'deleted' : 'anonymised'}`);
+    });
+    console.log(`Invitations ${verb} anonymised: ${report.invitations}`);
+    console.log(`Visitor profiles ${verb} deleted: ${report.profiles}`);
+    console.log(`Image files ${verb} deleted: ${report.images}${dryRun ? ' (at most)' : ''}`);
+  })
+  .catch(err => {
+    console.error('Retention failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
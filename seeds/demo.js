@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+// Two demo companies with departments and designations, and one login per role.
+// Safe to run again: companies and employees that already exist are left alone.
+
+const COMPANIES = [
+  {
+    company_name: 'Acme Corp',
+    departments: {
+      Engineering: ['Software Engineer', 'Team Lead'],
+      'Human Resources': ['HR Executive'],
+      Facilities: ['Receptionist', 'Security Officer']
+    }
+  },
+  {
+    company_name: 'Globex Industries',
+    departments: {
+      Sales: ['Account Manager'],
+      Operations: ['Operations Manager']
+    }
+  }
+];
+
+// [first_name, last_name, email, role, department, designation], all at the first company;
+// the super admin sits there too but works across both
+const EMPLOYEES = [
+  ['Kiran', 'Mehta', 'superadmin@example.com', 'super_admin', 'Human Resources', 'HR Executive'],
+  ['Asha', 'Rao', 'admin@example.com', 'admin', 'Human Resources', 'HR Executive'],
+  ['Ravi', 'Kumar', 'reception@example.com', 'receptionist', 'Facilities', 'Receptionist'],
+  ['Meera', 'Nair', 'host@example.com', 'host', 'Engineering', 'Team Lead'],
+  ['Vikram', 'Singh', 'security@example.com', 'security', 'Facilities', 'Security Officer']
+];
+
+/**
+ * Insert the demo data. Every seeded employee gets SEED_PASSWORD, or one
+ * generated password reported back. Resolves to { companies, employees, password }.
+ */
+const seedDemo = async (connection) => {
+  const ids = {};
+  let companies = 0;
+  for (const company of COMPANIES) {
+    const [[existing]] = await connection.query('SELECT id FROM companies WHERE company_name = ? AND deleted_at IS NULL', [company.company_name]);
+    if (existing) {
+      ids[company.company_name] = null;
+      continue;
+    }
+    const [created] = await connection.query("INSERT INTO companies (company_name, status) VALUES (?, 'Active')", [company.company_name]);
+    const companyId = created.insertId;
+    ids[company.company_name] = { id: companyId, departments: {} };
+    companies += 1;
+
+    for (const [department, designations] of Object.entries(company.departments)) {
+      const [dept] = await connection.query("INSERT INTO departments (company_id, name, status) VALUES (?, ?, 'Active')", [companyId, department]);
+      const entry = { id: dept.insertId, designations: {} };
+      for (const designation of designations) {
+        const [des] = await connection.query(
+          "INSERT INTO designations (company_id, department_id, name, status) VALUES (?, ?, ?, 'Active')",
+          [companyId, dept.insertId, designation]
+        );
+        entry.designations[designation] = des.insertId;
+      }
+      ids[company.company_name].departments[department] = entry;
+    }
+  }
+
+  // Employees only go into a company created by this run
+  const company = ids[COMPANIES[0].company_name];
+  if (!company) return { companies, employees: 0, password: null };
+
+  const password = process.env.SEED_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  const hash = await bcrypt.hash(password, 10);
+  let employees = 0;
+  for (const [first_name, last_name, email, role, department, designation] of EMPLOYEES) {
+    const dept = company.departments[department];
+    const [result] = await connection.query(`
+      INSERT IGNORE INTO employees
+        (first_name, last_name, email, company_id, department_id, designation_id, status, role, password, joining_date)
+      VALUES (?, ?, ?, ?, ?, ?, 'Active', ?, ?, CURDATE())
+    `, [first_name, last_name, email, company.id, dept.id, dept.designations[designation], role, hash]);
+    employees += result.affectedRows;
+  }
+  return { companies, employees, password: employees && !process.env.SEED_PASSWORD ? password : null };
+};
+
+module.exports = { seedDemo };
@@ -5,9 +5,21 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const dotenv = require('dotenv');
 const db = require('./db'); 
+const { verifyToken } = require('./middleware/auth');
+const { startApprovalTimeouts } = require('./jobs/approvalTimeouts');
+const { startRetention } = require('./jobs/retention');
+const { checkPiiKeys } = require('./utils/pii');
+const { checkMailTransport } = require('./notifications/transports');
+const { SCHEMAS } = require('./utils/schemas');
+const { errorHandler } = require('./utils/errors');
+const { migrationStatus } = require('./utils/migrations');
 
 
 dotenv.config();
+// Refuse to start without working PII keys (see PII_KEYS in .env.example)
+checkPiiKeys();
+// ...and without a mail transport that suits the environment (see MAIL_TRANSPORT)
+checkMailTransport();
 const app = express();
 
 
@@ -26,8 +38,18 @@ const swaggerOptions = {
         url: 'http://localhost:3000',
       },
     ],
+    // Request schemas are the ones middleware/validate.js enforces
+    components: {
+      schemas: SCHEMAS,
+      responses: {
+        ValidationFailed: {
+          description: 'Validation failed; errors lists every invalid field',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } },
+        },
+      },
+    },
   },
-  apis: ['./routes/*.js'], // Path to the API docs
+  apis: ['./routes/*.js', './utils/listQuery.js'], // Path to the API docs
 };
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
@@ -43,21 +65,61 @@ const designationRoutes = require('./routes/designation');
 const employeeRoutes = require('./routes/employees');
 const uploadRoutes = require('./routes/upload'); 
 const visitorRoutes = require('./routes/visitors')
+const authRoutes = require('./routes/auth');
+const invitationRoutes = require('./routes/invitations');
+const watchlistRoutes = require('./routes/watchlist');
+const visitorProfileRoutes = require('./routes/visitorProfiles');
+const reportRoutes = require('./routes/reports');
+const analyticsRoutes = require('./routes/analytics');
+const musterRoutes = require('./routes/muster');
+const auditRoutes = require('./routes/audit');
+const fileRoutes = require('./routes/files');
 
-app.use('/api/visitors', visitorRoutes);
-app.use('/api/employees', employeeRoutes);
-app.use('/api/designations', designationRoutes);
-app.use('/api/open', openRoutes);
-app.use('/companies', companyRoutes); 
-app.use('/api/departments', departmentRoutes);
-app.use('/api', uploadRoutes);
+// Login stays public; every other router goes through verifyToken (see AUTH_ENFORCE)
+app.use('/api/auth', authRoutes);
+app.use('/api/visitors', verifyToken, visitorRoutes);
+app.use('/api/invitations', verifyToken, invitationRoutes);
+app.use('/api/watchlist', verifyToken, watchlistRoutes);
+app.use('/api/visitor-profiles', verifyToken, visitorProfileRoutes);
+app.use('/api/reports', verifyToken, reportRoutes);
+app.use('/api/analytics', verifyToken, analyticsRoutes);
+app.use('/api/muster', verifyToken, musterRoutes);
+app.use('/api/audit', verifyToken, auditRoutes);
+app.use('/api/files', fileRoutes); // Checks the token itself, unless the link is signed
+app.use('/api/employees', verifyToken, employeeRoutes);
+app.use('/api/designations', verifyToken, designationRoutes);
+app.use('/api/open', verifyToken, openRoutes);
+app.use('/companies', verifyToken, companyRoutes); 
+app.use('/api/departments', verifyToken, departmentRoutes);
+app.use('/api', verifyToken, uploadRoutes);
 // Root endpoint
 app.get('/', (req, res) => {
   res.send('VMS API is running');
 });
 
-// Start server
+// Errors thrown by route handlers, bad JSON and rejected uploads
+app.use(errorHandler);
+
+// Start server, unless the database is missing migrations this code relies on
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const start = () => app.listen(PORT, () => {
   console.log(`API running on http://localhost:${PORT}`);
+  startApprovalTimeouts();
+  startRetention();
 });
+
+migrationStatus(db.pool)
+  .then(({ pending, unknown }) => {
+    if (pending.length) {
+      console.error(`Database schema is behind: ${pending.length} pending migration(s), starting with ${pending[0].version}_${pending[0].name}.`);
+      console.error('Run `npm run migrate` (or `npm run migrate -- status` for details), then start the server again.');
+      process.exit(1);
+    }
+    if (unknown.length) console.warn(`Database has migrations this release does not know about (${unknown.map(row => row.version).join(', ')}).`);
+    start();
+  })
+  .catch(err => {
+    // Same as before migrations: the API still comes up while MySQL is unreachable
+    console.error('Could not check the database schema:', err.message);
+    start();
+  });
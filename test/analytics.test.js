@@ -0,0 +1,65 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const analyticsRoutes = require('../routes/analytics');
+
+const app = appWith('/api/analytics', analyticsRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+
+beforeEach(() => db.reset());
+
+test('on-site counts are grouped by department with a total', async () => {
+  db.on(/v\.status = 'checked_in'/, [{ label: 'R&D', value: '3' }, { label: 'Unassigned', value: '1' }]);
+  const res = await request(app, 'GET', '/api/analytics/on-site?company_id=2');
+  assert.equal(res.body.total, 4);
+  assert.deepEqual(res.body.data[0], { label: 'R&D', value: 3 });
+  assert.deepEqual(db.calls[0].values, [['2'], 1], 'the filter and the caller\'s tenant');
+});
+
+test('visit counts default to the last 30 days and reject unknown intervals', async () => {
+  const res = await request(app, 'GET', '/api/analytics/visits?interval=week');
+  assert.equal(res.body.filters.interval, 'week');
+  assert.match(db.calls[0].sql, /WEEKDAY/);
+  const days = (new Date(res.body.filters.to) - new Date(res.body.filters.from)) / 86400000;
+  assert.equal(days, 30);
+
+  assert.equal((await request(app, 'GET', '/api/analytics/visits?interval=hour')).status, 400);
+});
+
+test('peak hours fill in the hours with no check-ins', async () => {
+  db.on(/HOUR\(f\.check_in_at\)/, [{ hour: 9, value: 5 }, { hour: 14, value: 2 }]);
+  const res = await request(app, 'GET', '/api/analytics/peak-hours');
+  assert.equal(res.body.data.length, 24);
+  assert.deepEqual(res.body.data[9], { label: '09', value: 5 });
+  assert.equal(res.body.data[10].value, 0);
+});
+
+test('the overall average visit length is weighted by visits', async () => {
+  db.on(/TIMESTAMPDIFF/, [
+    { label: 'R&D', value: '60', visits: '1', minutes: '60' },
+    { label: 'Sales', value: '10', visits: '3', minutes: '30' }
+  ]);
+  const res = await request(app, 'GET', '/api/analytics/visit-duration');
+  assert.equal(res.body.average_minutes, 22.5);
+  assert.equal(res.body.visits, 4);
+});
+
+test('top lists are capped', async () => {
+  await request(app, 'GET', '/api/analytics/top-hosts?limit=5000');
+  assert.equal(db.calls[0].values.at(-1), 100);
+});
+
+test('the no-show rate counts invitations never redeemed', async () => {
+  db.on(/FROM invitations i/, [{ label: '2026-03-01', invited: '4', no_shows: '1' }, { label: '2026-03-02', invited: '4', no_shows: '0' }]);
+  const res = await request(app, 'GET', '/api/analytics/no-show-rate');
+  assert.equal(res.body.rate, 0.125);
+  assert.equal(res.body.data[0].value, 0.25);
+});
+
+test('malformed dates are a 400 and hosts cannot read analytics', async () => {
+  assert.equal((await request(app, 'GET', '/api/analytics/peak-hours?from=yesterday')).status, 400);
+  const host = appWith('/api/analytics', analyticsRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+  assert.equal((await request(host, 'GET', '/api/analytics/on-site')).status, 403);
+});
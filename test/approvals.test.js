@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb, existingReferences } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const visitorRoutes = require('../routes/visitors');
+const { runApprovalTimeouts } = require('../jobs/approvalTimeouts');
+const { setTransport } = require('../notifications');
+const { createMemoryTransport } = require('../notifications/transports');
+
+// Resolves once `check` holds; emails go out after the job resolves
+const until = async (check, ms = 2000) => {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const as = (user) => appWith('/api/visitors', visitorRoutes, { user });
+
+beforeEach(() => {
+  db.reset();
+  db.on(/AS check_index/, existingReferences({ employees: 1 }));
+  delete process.env.APPROVAL_ESCALATE_MINUTES;
+  delete process.env.APPROVAL_EXPIRE_MINUTES;
+});
+
+test('the host approves their own walk-in', async () => {
+  db.on(/SELECT id, whom_to_meet, escalated_at FROM visitors/, [{ id: 5, whom_to_meet: 2, escalated_at: null }]);
+  db.on(/^UPDATE visitors/, { affectedRows: 1 });
+  const res = await request(as({ id: 2, role: 'host', company_id: 1 }), 'POST', '/api/visitors/5/approve', { body: { note: 'See you soon' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'expected');
+
+  const [update] = db.find(/^UPDATE visitors/);
+  assert.match(update.sql, /decided_at = NOW\(\), decided_by = \?, approval_note = \?/);
+  assert.deepEqual(update.values, ['expected', 2, 'See you soon', 5, ['pending_approval']]);
+});
+
+test('other hosts cannot decide, reception only once escalated', async () => {
+  db.on(/SELECT id, whom_to_meet, escalated_at FROM visitors/, [{ id: 5, whom_to_meet: 2, escalated_at: null }]);
+  const other = await request(as({ id: 7, role: 'host', company_id: 1 }), 'POST', '/api/visitors/5/reject');
+  assert.equal(other.status, 403);
+  const early = await request(as({ id: 3, role: 'receptionist', company_id: 1 }), 'POST', '/api/visitors/5/reject');
+  assert.equal(early.status, 403);
+
+  db.on(/SELECT id, whom_to_meet, escalated_at FROM visitors/, [{ id: 5, whom_to_meet: 2, escalated_at: new Date() }]);
+  db.on(/^UPDATE visitors/, { affectedRows: 1 });
+  const escalated = await request(as({ id: 3, role: 'receptionist', company_id: 1 }), 'POST', '/api/visitors/5/reject');
+  assert.equal(escalated.status, 200);
+  assert.equal(escalated.body.status, 'rejected');
+});
+
+test('walk-ins start out waiting for approval', async () => {
+  db.on(/INSERT INTO visitors/, { insertId: 12 });
+  const res = await request(as({ id: 3, role: 'receptionist', company_id: 1 }), 'POST', '/api/visitors', { body: { first_name: 'Ravi', whom_to_meet: 2 } });
+  assert.deepEqual(res.body, { visitorId: 12, status: 'pending_approval', screening_result: 'clear' });
+  assert.ok(db.find(/INSERT INTO visitors/)[0].values.includes('pending_approval'));
+});
+
+test('the desk cannot approve through the status endpoint', async () => {
+  const res = await request(as({ id: 3, role: 'receptionist', company_id: 1 }), 'PUT', '/api/visitors/5/status', { body: { status: 'expected' } });
+  assert.equal(res.status, 400);
+});
+
+test('the timeout job escalates, then expires, waiting walk-ins', async () => {
+  db.on(/SELECT id FROM visitors/, [{ id: 8 }]);
+  db.on(/SELECT id FROM visitors\s+WHERE status = 'pending_approval' AND escalated_at IS NULL/, [{ id: 5 }, { id: 6 }, { id: 7 }]);
+  db.on(/SET escalated_at = NOW\(\)/, (values) => ({ affectedRows: values[0] === 6 ? 0 : 1 }));
+  db.on(/SET status = 'expired'/, { affectedRows: 1 });
+  assert.deepEqual(await runApprovalTimeouts(), { escalated: 2, expired: 1 }, 'a visit claimed elsewhere is not counted');
+  assert.deepEqual(db.find(/SELECT id FROM visitors/).map(call => call.values), [[10], [30]]);
+  assert.deepEqual(db.find(/SET escalated_at/).map(call => call.values), [[5], [6], [7]]);
+  const [expire] = db.find(/SET status = 'expired'/);
+  assert.match(expire.sql, /WHERE id = \? AND status = 'pending_approval'$/);
+  assert.deepEqual(expire.values, [8]);
+});
+
+test('reception and the host are told about each expired request', async () => {
+  process.env.APPROVAL_ESCALATE_MINUTES = '0';
+  db.on(/SELECT id FROM visitors/, [{ id: 8 }, { id: 9 }]);
+  db.on(/SET status = 'expired'/, (values) => ({ affectedRows: values[0] === 9 ? 0 : 1 }));
+  db.on(/FROM visitors WHERE id = \?$/, (values) => [{ id: values[0], first_name: 'Ravi', whom_to_meet: 2, company_id: 1, created_at: new Date() }]);
+  db.on(/FROM employees e WHERE e\.id/, [{ email: 'host@example.com', host_name: 'Asha Rao' }]);
+  db.on(/role IN \('receptionist', 'admin'\)/, [{ email: 'desk@example.com', host_name: 'Front Desk' }]);
+  const transport = createMemoryTransport();
+  setTransport(transport);
+
+  assert.deepEqual(await runApprovalTimeouts(), { escalated: 0, expired: 1 });
+  await until(() => transport.outbox.length === 2);
+  assert.deepEqual(transport.outbox.map(mail => mail.to[0].address).sort(), ['desk@example.com', 'host@example.com']);
+  transport.outbox.forEach(mail => assert.equal(mail.subject, 'Visit request expired: Ravi'));
+  assert.ok(db.find(/FROM visitors WHERE id = \?$/).every(call => call.values[0] === 8), 'nothing is sent for a visit claimed elsewhere');
+});
+
+test('either timeout step can be switched off', async () => {
+  process.env.APPROVAL_ESCALATE_MINUTES = '0';
+  process.env.APPROVAL_EXPIRE_MINUTES = '0';
+  assert.deepEqual(await runApprovalTimeouts(), { escalated: 0, expired: 0 });
+  assert.equal(db.calls.length, 0);
+});
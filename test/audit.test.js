@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const { diffRows } = require('../middleware/audit');
+const { encrypt } = require('../utils/pii');
+const visitorRoutes = require('../routes/visitors');
+const auditRoutes = require('../routes/audit');
+
+const security = appWith('/api/visitors', visitorRoutes, { user: { id: 4, role: 'security', company_id: 1 } });
+
+// Resolves once `check` holds; audit rows are written after the response is sent
+const until = async (check, ms = 2000) => {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+beforeEach(() => db.reset());
+
+test('diffs list changed fields only, with secrets redacted and PII masked', () => {
+  const changes = diffRows(
+    { id: 1, status: 'expected', password: 'a', phone_hash: 'h1', phone: '9876543210', updated: new Date(0) },
+    { id: 1, status: 'checked_in', password: 'b', phone_hash: 'h2', phone: '9123456789', updated: new Date(0) },
+    { pii: true }
+  );
+  assert.deepEqual(changes, {
+    status: { from: 'expected', to: 'checked_in' },
+    password: { from: '[redacted]', to: '[redacted]' },
+    phone_hash: { from: '[redacted]', to: '[redacted]' },
+    phone: { from: 'XXXXXX3210', to: 'XXXXXX6789' }
+  });
+  assert.deepEqual(diffRows(null, { id: 2 }), { id: { from: null, to: 2 } });
+});
+
+test('names and contact details are masked in every table, not only PII ones', () => {
+  const changes = diffRows(
+    { id: 7, first_name: 'Asha', email: 'asha@example.com', phone: '9876543210', designation_id: 1 },
+    { id: 7, first_name: 'Meera', email: 'meera@example.com', phone: '9123456789', designation_id: 2 }
+  );
+  assert.deepEqual(changes, {
+    first_name: { from: 'A***', to: 'M***' },
+    email: { from: 'a***@example.com', to: 'm***@example.com' },
+    phone: { from: 'XXXXXX3210', to: 'XXXXXX6789' },
+    designation_id: { from: 1, to: 2 }
+  });
+  assert.deepEqual(diffRows({ name: 'R&D' }, { name: 'Labs' }), { name: { from: 'R&D', to: 'Labs' } });
+  assert.deepEqual(diffRows({ name: 'Ravi' }, { name: 'Ravi K' }, { pii: true }), { name: { from: 'R***', to: 'R***' } });
+});
+
+test('a check-in is recorded as a status change by the caller', async () => {
+  let checkedIn = false;
+  db.on(/^SELECT \* FROM visitors WHERE id = \?/, () => [{ id: 5, status: checkedIn ? 'checked_in' : 'expected', phone: encrypt('9876543210') }]);
+  db.on(/^UPDATE visitors/, () => {
+    checkedIn = true;
+    return { affectedRows: 1 };
+  });
+  const res = await request(security, 'POST', '/api/visitors/5/check-in');
+  assert.equal(res.status, 200);
+  await until(() => db.find(/INSERT INTO audit_log/).length === 1);
+
+  const [entry] = db.find(/INSERT INTO audit_log/);
+  assert.deepEqual(entry.values.slice(0, 3), ['visitor', '5', 'status_change']);
+  assert.deepEqual(JSON.parse(entry.values[3]), { status: { from: 'expected', to: 'checked_in' } });
+  assert.deepEqual(entry.values.slice(4, 6), [4, 'security']);
+  assert.equal(entry.values[8], '/api/visitors/5/check-in');
+});
+
+test('a refused request leaves no record', async () => {
+  db.on(/^SELECT \* FROM visitors WHERE id = \?/, [{ id: 5, status: 'checked_out' }]);
+  db.on(/^UPDATE visitors/, { affectedRows: 0 });
+  db.on(/SELECT status FROM visitors/, [{ status: 'checked_out' }]);
+  const res = await request(security, 'POST', '/api/visitors/5/check-out');
+  assert.equal(res.status, 409);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(db.find(/INSERT INTO audit_log/).length, 0);
+});
+
+test('the log is read-only and filtered by known actions', async () => {
+  const admin = appWith('/api/audit', auditRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+  assert.equal((await request(admin, 'GET', '/api/audit?action=truncate')).status, 400);
+  assert.equal((await request(admin, 'DELETE', '/api/audit/1')).status, 404);
+
+  const host = appWith('/api/audit', auditRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+  assert.equal((await request(host, 'GET', '/api/audit')).status, 403);
+});
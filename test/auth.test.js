@@ -0,0 +1,90 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+process.env.JWT_SECRET = 'test-secret';
+const db = installFakeDb();
+const authRoutes = require('../routes/auth');
+const { verifyToken } = require('../middleware/auth');
+
+const app = appWith('/api/auth', authRoutes);
+const employee = {
+  id: 4,
+  email: 'host@example.com',
+  password: bcrypt.hashSync('correct horse', 4),
+  status: 'Active',
+  company_id: 1,
+  department_id: 2,
+  first_name: 'Asha',
+  last_name: 'Rao'
+};
+
+beforeEach(() => {
+  db.reset();
+  delete process.env.AUTH_ENFORCE;
+});
+
+test('login issues a token carrying the employee and their company', async () => {
+  db.on(/FROM employees WHERE email/, [employee]);
+  const res = await request(app, 'POST', '/api/auth/login', { body: { email: employee.email, password: 'correct horse' } });
+  assert.equal(res.status, 200);
+  const claims = jwt.verify(res.body.token, 'test-secret');
+  assert.equal(claims.id, 4);
+  assert.equal(claims.company_id, 1);
+  assert.equal(res.body.employee.first_name, 'Asha');
+  assert.equal(res.body.employee.password, undefined);
+});
+
+test('login refuses a wrong password and an unknown email alike', async () => {
+  db.on(/FROM employees WHERE email/, [employee]);
+  const wrong = await request(app, 'POST', '/api/auth/login', { body: { email: employee.email, password: 'nope' } });
+  assert.equal(wrong.status, 401);
+
+  db.on(/FROM employees WHERE email/, []);
+  const unknown = await request(app, 'POST', '/api/auth/login', { body: { email: 'x@example.com', password: 'nope' } });
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(unknown.body, wrong.body);
+});
+
+test('login refuses inactive employees', async () => {
+  db.on(/FROM employees WHERE email/, [{ ...employee, status: 'Inactive' }]);
+  const res = await request(app, 'POST', '/api/auth/login', { body: { email: employee.email, password: 'correct horse' } });
+  assert.equal(res.status, 403);
+});
+
+test('login needs both email and password', async () => {
+  const res = await request(app, 'POST', '/api/auth/login', { body: { email: employee.email } });
+  assert.equal(res.status, 400);
+  assert.equal(db.calls.length, 0);
+});
+
+test('me returns the employee the token belongs to', async () => {
+  db.on(/FROM employees/, (values) => (values[0] === 4 ? [{ id: 4, first_name: 'Asha' }] : []));
+  const token = jwt.sign({ id: 4 }, 'test-secret');
+  const res = await request(app, 'GET', '/api/auth/me', { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.first_name, 'Asha');
+
+  const anonymous = await request(app, 'GET', '/api/auth/me');
+  assert.equal(anonymous.status, 401);
+});
+
+test('verifyToken lets anonymous callers through only while enforcement is off', async () => {
+  const guarded = require('express')();
+  guarded.use(verifyToken, (req, res) => res.json({ user: req.user || null }));
+
+  assert.equal((await request(guarded, 'GET', '/')).status, 200);
+
+  process.env.AUTH_ENFORCE = 'true';
+  assert.equal((await request(guarded, 'GET', '/')).status, 401);
+  const invalid = await request(guarded, 'GET', '/', { headers: { authorization: 'Bearer not-a-token' } });
+  assert.equal(invalid.status, 401);
+
+  const token = jwt.sign({ id: 9, company_id: 3 }, 'test-secret');
+  const valid = await request(guarded, 'GET', '/', { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(valid.status, 200);
+  assert.equal(valid.body.user.company_id, 3);
+});
@@ -0,0 +1,45 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+process.env.JWT_SECRET = 'test-secret';
+const db = installFakeDb();
+const { renderBadge } = require('../utils/badge');
+const visitorRoutes = require('../routes/visitors');
+
+const app = appWith('/api/visitors', visitorRoutes, { user: { id: 3, role: 'receptionist', company_id: 1 } });
+const visitor = {
+  id: 5, first_name: 'Ravi', last_name: 'Kumar', status: 'expected', host_name: 'Asha Rao',
+  company_name: 'Acme', department_name: 'R&D', purpose: 'Interview'
+};
+
+beforeEach(() => db.reset());
+
+test('badges render as PDF and as PNG', async () => {
+  const options = { qrUrl: 'https://example.com/q', validUntil: new Date() };
+  const pdf = await renderBadge(visitor, { ...options, format: 'pdf' });
+  assert.equal(pdf.contentType, 'application/pdf');
+  assert.equal(pdf.buffer.subarray(0, 4).toString(), '%PDF');
+
+  const png = await renderBadge(visitor, { ...options, format: 'png', size: '4x6' });
+  assert.equal(png.contentType, 'image/png');
+  assert.deepEqual([...png.buffer.subarray(1, 4)], [...Buffer.from('PNG')]);
+});
+
+test('the card endpoint streams a badge file', async () => {
+  db.on(/FROM visitors v/, [visitor]);
+  db.on(/^UPDATE visitors/, { affectedRows: 1 });
+  const res = await request(app, 'GET', '/api/visitors/5/card?format=pdf&template=compact');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/pdf');
+  assert.match(res.headers.get('content-disposition'), /visitor-5-badge\.pdf/);
+});
+
+test('unknown formats, templates and sizes are rejected up front', async () => {
+  for (const query of ['format=gif', 'template=fancy', 'size=poster']) {
+    const res = await request(app, 'GET', `/api/visitors/5/card?${query}`);
+    assert.equal(res.status, 400, query);
+  }
+  assert.equal(db.find(/FROM visitors v/).length, 0);
+});
@@ -0,0 +1,61 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The real module: creating the pool opens no connection until it is used
+const db = require('../db');
+
+after(() => db.end());
+
+// A pooled connection that records what it is asked to do
+const connection = ({ failRollback = false } = {}) => {
+  const steps = [];
+  return {
+    steps,
+    query: async ({ sql, values, timeout }) => {
+      steps.push({ sql, values, timeout });
+      if (sql === 'FAIL') throw new Error('query failed');
+      return [[{ ok: 1 }]];
+    },
+    beginTransaction: async () => steps.push('BEGIN'),
+    commit: async () => steps.push('COMMIT'),
+    rollback: async () => {
+      steps.push('ROLLBACK');
+      if (failRollback) throw new Error('connection lost');
+    },
+    release: () => steps.push('release'),
+    destroy: () => steps.push('destroy')
+  };
+};
+
+test('queries resolve to rows and carry the query timeout', async (t) => {
+  const conn = connection();
+  t.mock.method(db.pool, 'query', conn.query);
+  assert.deepEqual(await db.query('SELECT 1', []), [{ ok: 1 }]);
+  assert.deepEqual(conn.steps, [{ sql: 'SELECT 1', values: [], timeout: db.QUERY_TIMEOUT_MS }]);
+  await db.query('SELECT 2', [], { timeout: 5 });
+  assert.equal(conn.steps[1].timeout, 5);
+});
+
+test('a transaction commits on one connection and hands it back', async (t) => {
+  const conn = connection();
+  t.mock.method(db.pool, 'getConnection', async () => conn);
+  const result = await db.transaction(async (tx) => {
+    await tx.query('UPDATE a', [1]);
+    // Nested transactions join the outer one
+    return tx.transaction(async (inner) => inner.query('UPDATE b', [2]));
+  });
+  assert.deepEqual(result, [{ ok: 1 }]);
+  assert.deepEqual(conn.steps.map(step => step.sql || step), ['BEGIN', 'UPDATE a', 'UPDATE b', 'COMMIT', 'release']);
+});
+
+test('a failure rolls back, and a connection that cannot roll back is destroyed', async (t) => {
+  const conn = connection();
+  t.mock.method(db.pool, 'getConnection', async () => conn);
+  await assert.rejects(db.transaction(tx => tx.query('FAIL')), /query failed/);
+  assert.deepEqual(conn.steps.map(step => step.sql || step), ['BEGIN', 'FAIL', 'ROLLBACK', 'release']);
+
+  const broken = connection({ failRollback: true });
+  t.mock.method(db.pool, 'getConnection', async () => broken);
+  await assert.rejects(db.transaction(tx => tx.query('FAIL')), /query failed/);
+  assert.deepEqual(broken.steps.slice(-2), ['ROLLBACK', 'destroy']);
+});
@@ -0,0 +1,135 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { format } = require('mysql2');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+process.env.JWT_SECRET = 'test-secret';
+const db = installFakeDb();
+const employeeRoutes = require('../routes/employees');
+const authRoutes = require('../routes/auth');
+const { hashToken } = require('../utils/employeeImport');
+
+const admin = appWith('/api/employees', employeeRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+const auth = appWith('/api/auth', authRoutes);
+
+const HEADER = 'First Name,Last Name,Email,Phone,Company,Department,Designation';
+const upload = (csv, name = 'staff.csv') => {
+  const form = new FormData();
+  form.append('file', new Blob([csv]), name);
+  return form;
+};
+
+beforeEach(() => {
+  db.reset();
+  db.on(/FROM companies WHERE deleted_at IS NULL/, [{ id: 1, name: 'Acme' }]);
+  db.on(/FROM departments WHERE deleted_at IS NULL/, [{ id: 2, company_id: 1, name: 'Ops' }]);
+  db.on(/FROM designations WHERE deleted_at IS NULL/, [{ id: 3, department_id: 2, name: 'Lead' }]);
+  db.on(/^SELECT \* FROM employees WHERE email IN/, [{ id: 9, email: 'old@example.com', company_id: 1, deleted_at: null }]);
+});
+
+test('a dry run reports what each row would do and writes nothing', async () => {
+  const csv = [
+    HEADER,
+    'Asha,Rao,asha@example.com,9876543210,Acme,Ops,Lead',
+    'Ravi,,old@example.com,,acme,ops,lead',
+    'Meena,,not-an-email,,Acme,Ops,Lead',
+    'Kiran,,kiran@example.com,,Globex,Ops,Lead'
+  ].join('\n');
+  const res = await request(admin, 'POST', '/api/employees/import?dry_run=true', { body: upload(csv) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dry_run, true);
+  assert.deepEqual(
+    { created: res.body.created, skipped: res.body.skipped, failed: res.body.failed },
+    { created: 1, skipped: 1, failed: 2 }
+  );
+  assert.deepEqual(res.body.rows[1], { row: 3, email: 'old@example.com', action: 'skip', id: 9 });
+  assert.deepEqual(res.body.rows[2].errors, ['email is not a valid address']);
+  assert.deepEqual(res.body.rows[3].errors, ['Unknown company: Globex']);
+  assert.equal(db.find(/^(INSERT|UPDATE)/).length, 0);
+});
+
+test('an import creates new employees with an invite link and updates existing ones', async () => {
+  db.on(/^\s*INSERT INTO employees/, { insertId: 20 });
+  db.on(/^SELECT \* FROM employees WHERE id IN/, [{ id: 9, email: 'old@example.com' }, { id: 20, email: 'asha@example.com' }]);
+  const csv = [HEADER, 'Asha,Rao,asha@example.com,9876543210,Acme,Ops,Lead', 'Ravi,,old@example.com,,Acme,Ops,Lead'].join('\n');
+  const res = await request(admin, 'POST', '/api/employees/import?duplicates=update&credentials=invite', { body: upload(csv) });
+  assert.equal(res.status, 200);
+  assert.deepEqual({ created: res.body.created, updated: res.body.updated }, { created: 1, updated: 1 });
+  const token = new URL(res.body.rows[0].invite_url).searchParams.get('token');
+
+  const [insert] = db.find(/^\s*INSERT INTO employees/);
+  const sql = format(insert.sql, insert.values);
+  assert.doesNotMatch(sql, /\?/, 'every placeholder has a value');
+  assert.match(sql, /'asha@example\.com', '9876543210', NULL, NULL, 1, 2, 3, 'Active', 'host', NULL, NULL, '([0-9a-f]{64})', IF\('\1' IS NULL, NULL, NOW\(\) \+ INTERVAL 72 HOUR\)\)/);
+  assert.ok(sql.includes(`'${hashToken(token)}'`));
+  assert.deepEqual(db.find(/^\s*UPDATE employees SET/)[0].values, ['Ravi', 'old@example.com', 1, 2, 3, 9]);
+  assert.equal(db.find(/^COMMIT$/).length, 1);
+});
+
+test('CSV cells stay text, so phone numbers keep a leading 0 or +, and only joining_date is read as a date', async () => {
+  db.on(/^\s*INSERT INTO employees/, { insertId: 20 });
+  const csv = [
+    `${HEADER},Joining Date,Remarks`,
+    'Asha,Rao,asha@example.com,09876543210,Acme,Ops,Lead,2026-03-01,2026-03-01',
+    'Ravi,Kumar,ravi@example.com,+919876543210,Acme,Ops,Lead,03-15-2026,007'
+  ].join('\n');
+  const res = await request(admin, 'POST', '/api/employees/import', { body: upload(csv) });
+  assert.equal(res.status, 200);
+
+  const inserts = db.find(/^\s*INSERT INTO employees/);
+  const columns = inserts[0].sql.match(/\(([^)]*)\)/)[1].split(', ');
+  const column = (name) => inserts.map(insert => insert.values[0][columns.indexOf(name)]);
+  assert.deepEqual(column('phone'), ['09876543210', '+919876543210']);
+  assert.deepEqual(column('joining_date'), ['2026-03-01', '2026-03-15']);
+  assert.deepEqual(column('remarks'), ['2026-03-01', '007']);
+});
+
+test('a sheet with row errors is rejected as a whole', async () => {
+  const csv = [HEADER, 'Asha,Rao,asha@example.com,,Acme,Ops,Lead', 'Ravi,,asha@example.com,,Acme,Ops,Lead'].join('\n');
+  const res = await request(admin, 'POST', '/api/employees/import', { body: upload(csv) });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /1 of 2 rows have errors; nothing was imported/);
+  assert.deepEqual(res.body.rows[1].errors, ['email repeats row 2']);
+  assert.equal(db.find(/^BEGIN/).length, 0);
+});
+
+test('the file must be CSV or XLSX and carry the required columns', async () => {
+  const wrongType = await request(admin, 'POST', '/api/employees/import', { body: upload(HEADER, 'staff.txt') });
+  assert.equal(wrongType.status, 400);
+  assert.deepEqual(wrongType.body.errors, [{ in: 'body', field: 'file', message: 'must be one of: csv, xlsx' }]);
+
+  const missing = await request(admin, 'POST', '/api/employees/import', {
+    body: upload('First Name,Email,Company,Department\nAsha,asha@example.com,Acme,Ops')
+  });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.errors[0].message, 'Missing column: designation');
+
+  const mode = await request(admin, 'POST', '/api/employees/import?credentials=email', { body: upload(HEADER) });
+  assert.equal(mode.status, 400);
+  assert.deepEqual(mode.body.errors, [{ in: 'query', field: 'credentials', message: 'must be one of: password, invite' }]);
+});
+
+test('an invite token sets the password once and is cleared', async () => {
+  db.on(/^\s*UPDATE employees SET password = \?/, { affectedRows: 1 });
+  const res = await request(auth, 'POST', '/api/auth/accept-invite', {
+    body: { token: 'tok', password: 'new secret', confirm_password: 'new secret' }
+  });
+  assert.equal(res.status, 200);
+  const [update] = db.find(/invite_token_hash = NULL/);
+  assert.equal(update.values[1], hashToken('tok'));
+
+  db.on(/^\s*UPDATE employees SET password = \?/, { affectedRows: 0 });
+  const reused = await request(auth, 'POST', '/api/auth/accept-invite', {
+    body: { token: 'tok', password: 'new secret', confirm_password: 'new secret' }
+  });
+  assert.equal(reused.status, 410);
+});
+
+test('an email belonging to another company is refused, not taken over', async () => {
+  db.on(/^SELECT \* FROM employees WHERE email IN/, [{ id: 12, email: 'old@example.com', company_id: 2, deleted_at: null }]);
+  const csv = [HEADER, 'Ravi,,old@example.com,,Acme,Ops,Lead'].join('\n');
+  const res = await request(admin, 'POST', '/api/employees/import?dry_run=true&duplicates=update', { body: upload(csv) });
+  assert.deepEqual(res.body.rows[0].errors, ['email is already in use']);
+  assert.equal(res.body.rows[0].id, undefined);
+});
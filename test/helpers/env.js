@@ -0,0 +1,9 @@
+// Keys the code under test expects in the environment; require before the code itself
+const fixedKey = (byte) => Buffer.alloc(32, byte).toString('base64');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.PII_KEYS = `k1:${fixedKey(1)},k2:${fixedKey(2)}`;
+process.env.PII_ACTIVE_KEY = 'k2';
+process.env.PII_HASH_KEY = fixedKey(3);
+// Mail stays in memory rather than landing in MAIL_FILE_DIR
+process.env.MAIL_TRANSPORT = 'memory';
@@ -0,0 +1,97 @@
+/**
+ * Stand-in for db.js, so routes and jobs can be tested without MySQL.
+ *
+ *   const db = installFakeDb();          // before requiring the code under test
+ *   db.on(/FROM employees/, [{ id: 1 }]); // rows (or a function of the values) for matching SQL
+ *
+ * The most recently registered matching handler answers; anything else gets [].
+ * A handler that throws makes the query fail. Every query is kept in `calls`.
+ * Transactions show up in `calls` as BEGIN, COMMIT and ROLLBACK.
+ */
+const { Readable } = require('stream');
+
+const createFakeDb = () => {
+  const handlers = [];
+  const calls = [];
+
+  const answer = (sql, values = []) => {
+    const text = typeof sql === 'string' ? sql : sql.sql;
+    calls.push({ sql: text, values });
+    const handler = handlers.find(candidate => candidate.pattern.test(text));
+    if (!handler) return [];
+    return typeof handler.result === 'function' ? handler.result(values, text) : handler.result;
+  };
+
+  const query = async (sql, values) => answer(sql, values);
+  const statement = async (sql) => {
+    calls.push({ sql, values: [] });
+  };
+
+  const transaction = async (work) => {
+    const tx = { query, transaction: (nested) => nested(tx) };
+    await statement('BEGIN');
+    try {
+      const result = await work(tx);
+      await statement('COMMIT');
+      return result;
+    } catch (err) {
+      await statement('ROLLBACK');
+      throw err;
+    }
+  };
+
+  // mysql2/promise's own connection and pool: query resolves to [rows]
+  const connection = {
+    query: async (sql, values) => [await query(sql, values)],
+    release() {},
+    destroy() {}
+  };
+
+  const fake = {
+    calls,
+    query,
+    transaction,
+    // Like db.stream: one object per row
+    stream: (sql, values) => Readable.from((async function* rows() {
+      yield* await query(sql, values);
+    })()),
+    getConnection: async () => connection,
+    pool: connection,
+    on(pattern, result) {
+      handlers.unshift({ pattern, result });
+      return fake;
+    },
+    // Queries whose SQL matches `pattern`
+    find(pattern) {
+      return calls.filter(call => pattern.test(call.sql));
+    },
+    reset() {
+      handlers.length = 0;
+      calls.length = 0;
+    },
+    end: async () => {}
+  };
+  return fake;
+};
+
+// Answers middleware/validate.js's foreign-key lookup as if every id exists;
+// `parents` gives the parent column's value per table, e.g. { departments: 1 }
+const existingReferences = (parents = {}) => (values, sql) => {
+  let next = 0;
+  return sql.split(' UNION ALL ').map(select => {
+    const [, index, table] = /^SELECT (\d+) AS check_index, id, \S+ AS parent FROM (\w+)/.exec(select);
+    const id = values[next];
+    // The id, then any tenant scope values
+    next += select.split('?').length - 1;
+    return { check_index: Number(index), id, parent: parents[table] ?? null };
+  });
+};
+
+const installFakeDb = () => {
+  const fake = createFakeDb();
+  const file = require.resolve('../../db');
+  require.cache[file] = { id: file, filename: file, loaded: true, exports: fake };
+  return fake;
+};
+
+module.exports = { createFakeDb, installFakeDb, existingReferences };
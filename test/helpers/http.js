@@ -0,0 +1,39 @@
+const express = require('express');
+const { errorHandler } = require('../../utils/errors');
+
+// An app with `router` mounted at `base`, and `user` (if any) set as the logged-in caller;
+// errors thrown by handlers end in server.js's error handler
+const appWith = (base, router, { user } = {}) => {
+  const app = express();
+  app.use(express.json());
+  if (user) app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(base, router);
+  app.use(errorHandler);
+  return app;
+};
+
+// Start `app` on a free port, send one request, and shut it down again
+const request = async (app, method, url, { body, headers = {} } = {}) => {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+      method,
+      // FormData bodies set their own multipart content-type
+      headers: body === undefined || body instanceof FormData ? headers : { 'content-type': 'application/json', ...headers },
+      body: body === undefined || body instanceof FormData ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(5000)
+    });
+    const type = response.headers.get('content-type') || '';
+    const data = type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer());
+    return { status: response.status, headers: response.headers, body: data };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+};
+
+module.exports = { appWith, request };
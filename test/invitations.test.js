@@ -0,0 +1,117 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { installFakeDb, existingReferences } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+process.env.JWT_SECRET = 'test-secret';
+const db = installFakeDb();
+const invitationRoutes = require('../routes/invitations');
+const { blindIndex, decrypt, encrypt } = require('../utils/pii');
+
+const host = appWith('/api/invitations', invitationRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+const reception = appWith('/api/invitations', invitationRoutes, { user: { id: 3, role: 'receptionist', company_id: 1 } });
+
+const pending = {
+  id: 8, host_id: 2, company_id: 1, department_id: 4, first_name: 'Ravi', last_name: 'K',
+  email: 'ravi@example.com', phone: '9000000000', purpose: 'Interview', status: 'pending',
+  window_open: 1, window_over: 0
+};
+
+beforeEach(() => {
+  db.reset();
+  db.on(/AS check_index/, existingReferences());
+});
+
+test('a host invites a guest for themselves with a readable code', async () => {
+  db.on(/SELECT id, company_id, department_id FROM employees WHERE id/, [{ id: 2, company_id: 1, department_id: 4 }]);
+  db.on(/INSERT INTO invitations/, { insertId: 8 });
+  const res = await request(host, 'POST', '/api/invitations', { body: { first_name: 'Ravi', visit_date: '2026-11-02', host_id: 99 } });
+  assert.equal(res.status, 201);
+  assert.match(res.body.invite_code, /^[A-HJ-NP-Z2-9]{8}$/);
+
+  const [insert] = db.find(/INSERT INTO invitations/);
+  assert.equal(insert.values[0], 2, 'hosts cannot invite on behalf of someone else');
+});
+
+test('invitee contact details are stored encrypted and shown masked', async () => {
+  db.on(/SELECT id, company_id, department_id FROM employees WHERE id/, [{ id: 2, company_id: 1, department_id: 4 }]);
+  db.on(/INSERT INTO invitations/, { insertId: 8 });
+  await request(host, 'POST', '/api/invitations', {
+    body: { first_name: 'Ravi', visit_date: '2026-11-02', email: 'ravi@example.com', phone: '9000000000' }
+  });
+  const [insert] = db.find(/INSERT INTO invitations/);
+  assert.ok(!insert.values.includes('ravi@example.com'));
+  assert.ok(insert.values.some(value => decrypt(value) === '9000000000'));
+  assert.ok(insert.values.includes(blindIndex('email', 'ravi@example.com')));
+
+  db.on(/FROM invitations i/, [{ ...pending, email: encrypt('ravi@example.com'), phone: encrypt('9000000000') }]);
+  const list = await request(host, 'GET', '/api/invitations');
+  assert.equal(list.body[0].email, 'r***@example.com');
+  assert.equal(list.body[0].phone, 'XXXXXX0000');
+});
+
+test('visit windows must run forwards', async () => {
+  const res = await request(host, 'POST', '/api/invitations', {
+    body: { first_name: 'Ravi', visit_date: '2026-11-02', window_start: '15:00', window_end: '09:00' }
+  });
+  assert.equal(res.status, 400);
+});
+
+test('hosts only list their own invitations', async () => {
+  await request(host, 'GET', '/api/invitations?status=pending');
+  const [list] = db.calls;
+  assert.match(list.sql, /i\.host_id = \?/);
+  assert.deepEqual(list.values, [1, 2, 'pending']);
+});
+
+test('redeeming claims the invitation and checks the guest in', async () => {
+  db.on(/FROM invitations i\s+WHERE i.invite_code/, [pending]);
+  db.on(/UPDATE invitations SET status = 'redeemed'/, { affectedRows: 1 });
+  db.on(/INSERT INTO visitors/, { insertId: 21 });
+  db.on(/^UPDATE/, { affectedRows: 1 });
+  const res = await request(reception, 'POST', '/api/invitations/redeem', { body: { invite_code: 'abcd2345', gate: 'lobby' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.visitorId, 21);
+  assert.equal(res.body.status, 'checked_in');
+
+  assert.equal(db.find(/WHERE i.invite_code/)[0].values[1], 'ABCD2345');
+  const [visit] = db.find(/INSERT INTO visitors/);
+  assert.match(visit.sql, /whom_to_meet/);
+  assert.ok(visit.values.includes(2));
+  assert.ok(visit.values.includes('lobby'));
+  assert.equal(db.find(/SET visitor_id = \?/)[0].values[0], 21);
+});
+
+test('a double scan creates only one visit', async () => {
+  db.on(/FROM invitations i\s+WHERE i.invite_code/, [pending]);
+  db.on(/UPDATE invitations SET status = 'redeemed'/, { affectedRows: 0 });
+  const res = await request(reception, 'POST', '/api/invitations/redeem', { body: { invite_code: 'ABCD2345' } });
+  assert.equal(res.status, 409);
+  assert.equal(db.find(/INSERT INTO visitors/).length, 0);
+});
+
+test('invitations outside their window cannot be redeemed', async () => {
+  db.on(/FROM invitations i\s+WHERE i.invite_code/, [{ ...pending, window_open: 0 }]);
+  const early = await request(reception, 'POST', '/api/invitations/redeem', { body: { invite_code: 'ABCD2345' } });
+  assert.equal(early.status, 409);
+
+  db.on(/FROM invitations i\s+WHERE i.invite_code/, [{ ...pending, window_over: 1 }]);
+  const late = await request(reception, 'POST', '/api/invitations/redeem', { body: { invite_code: 'ABCD2345' } });
+  assert.equal(late.status, 409);
+  assert.equal(db.find(/^UPDATE/).length, 0);
+});
+
+test('a failed visit insert rolls back the claim on the invitation', async () => {
+  db.on(/FROM invitations i\s+WHERE i.invite_code/, [pending]);
+  db.on(/UPDATE invitations SET status = 'redeemed'/, { affectedRows: 1 });
+  db.on(/INSERT INTO visitors/, () => { throw new Error('insert failed'); });
+  const res = await request(reception, 'POST', '/api/invitations/redeem', { body: { invite_code: 'ABCD2345' } });
+  assert.equal(res.status, 500);
+  const steps = db.calls.map(call => call.sql.trim()).filter(sql => /^(BEGIN|COMMIT|ROLLBACK|UPDATE invitations|INSERT INTO visitors \()/.test(sql));
+  assert.equal(steps[0], 'BEGIN');
+  assert.match(steps[1], /^UPDATE invitations SET status = 'redeemed'/);
+  assert.match(steps[2], /^INSERT INTO visitors \(/);
+  assert.equal(steps[3], 'ROLLBACK');
+  assert.equal(steps.length, 4);
+});
@@ -0,0 +1,73 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const { buildListQuery, MAX_LIMIT } = require('../utils/listQuery');
+const employeeRoutes = require('../routes/employees');
+
+const spec = {
+  id: 'e.id',
+  filters: { status: 'e.status' },
+  date: 'e.joining_date',
+  search: ['e.first_name', 'e.email'],
+  sortable: { first_name: 'e.first_name' },
+  defaultSort: 'first_name'
+};
+
+beforeEach(() => db.reset());
+
+test('filters, dates and search become parameterised clauses', () => {
+  const list = buildListQuery({ status: 'Active, Inactive', from: '2026-01-01', to: '2026-01-31', q: '50%_off' }, spec);
+  assert.equal(list.where, "1 = 1 AND e.status IN (?) AND e.joining_date >= ? AND e.joining_date < DATE_ADD(?, INTERVAL 1 DAY) AND (e.first_name LIKE ? OR e.email LIKE ?)");
+  assert.deepEqual(list.values[0], ['Active', 'Inactive']);
+  assert.equal(list.values.at(-1), '%50\\%\\_off%');
+});
+
+test('sorting is limited to whitelisted fields and the limit is capped', () => {
+  assert.throws(() => buildListQuery({ sort: 'password' }, spec), { status: 400 });
+  const list = buildListQuery({ sort: '-first_name', limit: '5000' }, spec);
+  assert.equal(list.orderBy, 'e.first_name DESC, e.id DESC');
+  assert.equal(list.limit, MAX_LIMIT);
+});
+
+test('a cursor continues after the last row seen instead of using the offset', () => {
+  const first = buildListQuery({}, spec);
+  assert.equal(first.offset, 0);
+  const cursor = Buffer.from(JSON.stringify({ v: 'Ravi', id: 9 })).toString('base64url');
+  const next = buildListQuery({ cursor, offset: '50' }, spec);
+  assert.equal(next.offset, null);
+  assert.match(next.pageWhere, /\(e\.first_name > \? OR \(e\.first_name = \? AND e\.id > \?\)\)$/);
+});
+
+test('employee lists are paged and never include the password hash', async () => {
+  db.on(/COUNT\(\*\) AS total/, [{ total: 3 }]);
+  db.on(/_sort_key/, [
+    { id: 1, first_name: 'A', _sort_key: 'A', _cursor_id: 1 },
+    { id: 2, first_name: 'B', _sort_key: 'B', _cursor_id: 2 },
+    { id: 3, first_name: 'C', _sort_key: 'C', _cursor_id: 3 }
+  ]);
+  const app = appWith('/api/employees', employeeRoutes);
+  const res = await request(app, 'GET', '/api/employees?limit=2');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data, [{ id: 1, first_name: 'A', photo_url: '' }, { id: 2, first_name: 'B', photo_url: '' }]);
+  assert.equal(res.body.pagination.total, 3);
+  assert.equal(res.body.pagination.has_more, true);
+  assert.equal(res.body.pagination.next_offset, 2);
+  assert.ok(res.body.pagination.next_cursor);
+
+  const [page] = db.find(/_sort_key/);
+  assert.doesNotMatch(page.sql, /e\.\*|password/);
+
+  db.on(/FROM employees WHERE id/, [{ id: 1, first_name: 'A' }]);
+  await request(app, 'GET', '/api/employees/1');
+  assert.doesNotMatch(db.calls.at(-1).sql, /\*|password/);
+});
+
+test('an unknown sort field is a 400', async () => {
+  const app = appWith('/api/employees', employeeRoutes);
+  const res = await request(app, 'GET', '/api/employees?sort=password');
+  assert.equal(res.status, 400);
+  assert.equal(db.calls.length, 0);
+});
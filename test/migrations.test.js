@@ -0,0 +1,92 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeDb } = require('./helpers/fakeDb');
+const { MigrationError, loadMigrations, migrationStatus, migrateUp, migrateDown, baseline } = require('../utils/migrations');
+
+const db = createFakeDb();
+const connection = db.pool;
+const versions = loadMigrations().map(migration => migration.version);
+const applied = (rows) => db.on(/^SELECT version, name, applied_at FROM schema_migrations/, rows);
+const schemaSteps = () => db.calls.filter(call => /^\s*(CREATE|DROP) (TABLE|TRIGGER) (?!IF NOT EXISTS)/.test(call.sql));
+
+beforeEach(() => {
+  db.reset();
+  db.on(/GET_LOCK/, [{ locked: 1 }]);
+});
+
+test('migrations load in version order with up and down steps', () => {
+  assert.deepEqual(versions.slice(0, 2), ['001', '002']);
+  loadMigrations().forEach(migration => {
+    assert.ok(migration.up.length > 0);
+    assert.ok(migration.down.length > 0);
+  });
+});
+
+test('a fresh database gets every migration, recorded under the lock', async () => {
+  applied(() => {
+    throw Object.assign(new Error('no table'), { code: 'ER_NO_SUCH_TABLE' });
+  });
+  const done = await migrateUp(connection);
+  assert.deepEqual(done.map(migration => migration.version), versions);
+
+  const sql = db.calls.map(call => call.sql);
+  assert.match(sql[0], /GET_LOCK/);
+  assert.match(sql[1], /CREATE TABLE IF NOT EXISTS schema_migrations/);
+  assert.match(sql[sql.length - 1], /RELEASE_LOCK/);
+  assert.deepEqual(db.find(/INSERT INTO schema_migrations/).map(call => call.values[0]), versions);
+  assert.ok(schemaSteps().length > versions.length);
+});
+
+test('up --to stops at the given version and skips what is applied', async () => {
+  applied([]);
+  assert.deepEqual((await migrateUp(connection, { to: '001' })).map(migration => migration.version), ['001']);
+
+  db.reset();
+  db.on(/GET_LOCK/, [{ locked: 1 }]);
+  applied(versions.map(version => ({ version })));
+  assert.deepEqual(await migrateUp(connection), []);
+  assert.equal(schemaSteps().length, 0);
+});
+
+test('a failing step names its migration and still releases the lock', async () => {
+  applied([{ version: '001', name: 'initial_schema' }]);
+  db.on(/CREATE TRIGGER/, () => {
+    throw new Error('TRIGGER command denied');
+  });
+  await assert.rejects(migrateUp(connection), new MigrationError('Migration 002_audit_log_append_only failed: TRIGGER command denied'));
+  assert.equal(db.find(/INSERT INTO schema_migrations/).length, 0);
+  assert.equal(db.find(/RELEASE_LOCK/).length, 1);
+});
+
+test('only one process migrates at a time', async () => {
+  db.on(/GET_LOCK/, [{ locked: 0 }]);
+  await assert.rejects(migrateUp(connection), /Another process is running migrations/);
+  assert.equal(db.find(/schema_migrations/).length, 0);
+});
+
+test('down rolls back the latest migrations, newest first', async () => {
+  applied([{ version: '001', name: 'initial_schema' }, { version: '002', name: 'audit_log_append_only' }]);
+  const done = await migrateDown(connection);
+  assert.deepEqual(done.map(migration => migration.version), ['002']);
+  assert.deepEqual(db.find(/DROP TRIGGER/).map(call => call.sql), ['DROP TRIGGER audit_log_no_update', 'DROP TRIGGER audit_log_no_delete']);
+  assert.deepEqual(db.find(/DELETE FROM schema_migrations/)[0].values, ['002']);
+
+  db.reset();
+  db.on(/GET_LOCK/, [{ locked: 1 }]);
+  applied([{ version: '900', name: 'from_the_future' }]);
+  await assert.rejects(migrateDown(connection), /900_from_the_future is not in this release/);
+});
+
+test('status reports pending and unknown migrations; baseline marks without running', async () => {
+  applied([{ version: '001', name: 'initial_schema', applied_at: new Date() }, { version: '900', name: 'from_the_future' }]);
+  const { pending, unknown } = await migrationStatus(connection);
+  assert.deepEqual(pending.map(migration => migration.version), versions.slice(1));
+  assert.deepEqual(unknown.map(row => row.version), ['900']);
+
+  db.reset();
+  db.on(/GET_LOCK/, [{ locked: 1 }]);
+  await baseline(connection, '001');
+  assert.deepEqual(db.find(/INSERT IGNORE INTO schema_migrations/).map(call => call.values), [['001', 'initial_schema']]);
+  assert.equal(schemaSteps().length, 0);
+  await assert.rejects(baseline(connection, '000'), /No migration at or before 000/);
+});
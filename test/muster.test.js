@@ -0,0 +1,105 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb, existingReferences } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const musterRoutes = require('../routes/muster');
+
+const app = appWith('/api/muster', musterRoutes, { user: { id: 3, role: 'security', company_id: 1 } });
+const onSite = [
+  { id: 1, first_name: 'Ravi', department_id: 4, department_name: 'R&D', host_id: 2, host_name: 'Asha Rao', accounted_at: new Date() },
+  { id: 2, first_name: 'Meera', department_id: 4, department_name: 'R&D', host_id: 2, host_name: 'Asha Rao' },
+  { id: 3, first_name: 'Sam', department_id: null, host_id: null }
+];
+
+beforeEach(() => {
+  db.reset();
+  db.on(/AS check_index/, existingReferences());
+});
+
+test('the muster list groups visitors by department and host and lists who is missing', async () => {
+  db.on(/FROM musters WHERE id/, [{ id: 7, started_at: new Date() }]);
+  db.on(/FROM muster_entries me/, onSite);
+  const res = await request(app, 'GET', '/api/muster/7');
+  assert.deepEqual(res.body.summary, { total: 3, accounted: 1, missing: 2 });
+  assert.equal(res.body.groups.length, 2);
+  assert.equal(res.body.groups[0].hosts[0].visitors.length, 2);
+  assert.equal(res.body.groups[1].department_name, 'Unassigned');
+  assert.equal(res.body.groups[1].hosts[0].host_name, 'Unknown host');
+  assert.deepEqual(res.body.missing.map(visitor => visitor.id), [2, 3]);
+});
+
+test('showing full phone numbers is logged as a reveal for each visitor with one', async () => {
+  db.on(/FROM musters WHERE id/, [{ id: 7, started_at: new Date() }]);
+  db.on(/FROM muster_entries me/, onSite.map((visitor, i) => (i < 2 ? { ...visitor, phone: '900000000' + i } : visitor)));
+  const res = await request(app, 'GET', '/api/muster/7');
+  assert.equal(res.body.groups[0].hosts[0].visitors[0].phone, '9000000000');
+
+  const [log] = db.find(/INSERT INTO pii_reveals/);
+  const rows = log.values[0];
+  assert.deepEqual(rows.map(row => row[1]), [1, 2]);
+  assert.deepEqual(rows[0].slice(2, 5), ['["phone"]', 'Evacuation muster #7', 3]);
+});
+
+test('the on-site list prints as a PDF', async () => {
+  db.on(/FROM visitors v/, onSite);
+  const res = await request(app, 'GET', '/api/muster/on-site?format=pdf');
+  assert.equal(res.headers.get('content-type'), 'application/pdf');
+  assert.equal(res.body.subarray(0, 4).toString(), '%PDF');
+});
+
+test('starting a muster snapshots who is checked in', async () => {
+  db.on(/INSERT INTO musters/, { insertId: 8 });
+  db.on(/INSERT INTO muster_entries/, { affectedRows: 12 });
+  const res = await request(app, 'POST', '/api/muster', { body: { company_id: 2 } });
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.body, { id: 8, total: 12 });
+  assert.deepEqual(db.find(/INSERT INTO muster_entries/)[0].values, [8, 2]);
+});
+
+test('only one muster can be open at a time', async () => {
+  db.on(/FROM musters WHERE closed_at IS NULL/, [{ id: 7 }]);
+  const res = await request(app, 'POST', '/api/muster');
+  assert.equal(res.status, 409);
+  assert.equal(res.body.id, 7);
+  assert.equal(db.find(/INSERT/).length, 0);
+});
+
+test('the open-muster check locks, inside the transaction, the target company\'s and deployment-wide musters', async () => {
+  db.on(/INSERT INTO musters/, { insertId: 8 });
+  await request(app, 'POST', '/api/muster', { body: { company_id: 2 } });
+  const statements = db.calls.map(call => call.sql.trim().split(/\s+/).slice(0, 3).join(' '));
+  assert.deepEqual(statements.slice(statements.indexOf('BEGIN'), statements.indexOf('BEGIN') + 3), ['BEGIN', 'SELECT id FROM', 'INSERT INTO musters']);
+  const [check] = db.find(/FROM musters WHERE closed_at IS NULL/);
+  assert.match(check.sql, /AND \(company_id IS NULL OR company_id = \?\) LIMIT 1 FOR UPDATE$/);
+  assert.deepEqual(check.values, [2]);
+
+  db.reset();
+  db.on(/AS check_index/, existingReferences());
+  db.on(/INSERT INTO musters/, { insertId: 9 });
+  const everyone = appWith('/api/muster', musterRoutes, { user: { id: 99, role: 'super_admin', company_id: 1 } });
+  await request(everyone, 'POST', '/api/muster');
+  const [all] = db.find(/FROM musters WHERE closed_at IS NULL/);
+  assert.doesNotMatch(all.sql, /company_id/, 'a deployment-wide muster clashes with any open one');
+});
+
+test('people can only be accounted for on an open muster', async () => {
+  db.on(/SELECT closed_at FROM musters/, [{ closed_at: new Date() }]);
+  const closed = await request(app, 'POST', '/api/muster/7/visitors/1/accounted');
+  assert.equal(closed.status, 409);
+
+  db.on(/SELECT closed_at FROM musters/, [{ closed_at: null }]);
+  db.on(/UPDATE muster_entries/, { affectedRows: 1 });
+  const marked = await request(app, 'POST', '/api/muster/7/visitors/1/accounted', { body: { assembly_point: 'Car park B' } });
+  assert.equal(marked.status, 200);
+  assert.deepEqual(db.find(/UPDATE muster_entries/)[0].values, [3, 'Car park B', '7', '1']);
+});
+
+test('closing twice is a conflict, closing a missing muster a 404', async () => {
+  db.on(/UPDATE musters SET closed_at/, { affectedRows: 0 });
+  db.on(/SELECT id FROM musters WHERE id/, [{ id: 7 }]);
+  assert.equal((await request(app, 'POST', '/api/muster/7/close')).status, 409);
+  db.on(/SELECT id FROM musters WHERE id/, []);
+  assert.equal((await request(app, 'POST', '/api/muster/9/close')).status, 404);
+});
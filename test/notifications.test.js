@@ -0,0 +1,141 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { installFakeDb } = require('./helpers/fakeDb');
+
+process.env.MAIL_RETRY_BASE_MS = '1';
+const db = installFakeDb();
+const { notifyHost, notifySecurity, notifyReception, enqueueMail, setTransport } = require('../notifications');
+const { checkMailTransport, createTransport, createMemoryTransport } = require('../notifications/transports');
+const { renderTemplate } = require('../notifications/templates');
+
+// Resolves once `check` holds, polling the event loop
+const until = async (check, ms = 2000) => {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+let transport;
+beforeEach(() => {
+  db.reset();
+  transport = createMemoryTransport();
+  setTransport(transport);
+});
+
+test('the host of a visit is emailed with the visitor details', async () => {
+  db.on(/FROM visitors WHERE id/, [{ id: 5, first_name: 'Ravi', last_name: 'K', purpose: 'Interview', whom_to_meet: 2, image: 'ravi.png' }]);
+  db.on(/FROM employees e WHERE e.id/, [{ email: 'host@example.com', host_name: 'Asha Rao' }]);
+  notifyHost('visitor_checked_in', 5);
+  await until(() => transport.outbox.length === 1);
+
+  const [mail] = transport.outbox;
+  assert.equal(mail.to[0].address, 'host@example.com');
+  assert.equal(mail.subject, 'Ravi K has arrived');
+  assert.match(mail.text, /Hi Asha Rao/);
+  assert.match(mail.html, /\/api\/files\/ravi\.png/);
+  assert.deepEqual(db.find(/FROM employees/)[0].values, [2]);
+});
+
+test('hosts without an email address are skipped', async () => {
+  db.on(/FROM visitors WHERE id/, [{ id: 5, whom_to_meet: 2 }]);
+  db.on(/FROM employees e WHERE e.id/, [{ email: null, host_name: 'Asha Rao' }]);
+  notifyHost('visitor_checked_in', 5);
+  await until(() => db.find(/FROM employees/).length === 1);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(transport.outbox.length, 0);
+});
+
+test('watchlist alerts go to the security staff of the visit\'s company only', async () => {
+  db.on(/FROM visitors WHERE id/, [{ id: 5, first_name: 'Vikram', company_id: 3 }]);
+  db.on(/e\.role = 'security'/, [{ email: 'guard@example.com', host_name: 'Guard' }]);
+  notifySecurity(5, { result: 'blocked', matches: [{ watchlist_id: 1, field: 'phone', match: 'exact', severity: 'block' }] });
+  await until(() => transport.outbox.length === 1);
+  assert.equal(transport.outbox[0].to[0].address, 'guard@example.com');
+  const [staff] = db.find(/e\.role = 'security'/);
+  assert.match(staff.sql, /e\.company_id = \?/);
+  assert.deepEqual(staff.values, [3]);
+});
+
+test('reception and admins of the visit\'s company hear about an overdue approval', async () => {
+  db.on(/FROM visitors WHERE id/, [{ id: 5, first_name: 'Ravi', whom_to_meet: 2, company_id: 3, created_at: new Date() }]);
+  db.on(/FROM employees e WHERE e.id/, [{ email: 'host@example.com', host_name: 'Asha Rao' }]);
+  db.on(/role IN \('receptionist', 'admin'\)/, [{ email: 'desk@example.com', host_name: 'Front Desk' }]);
+  notifyReception('approval_escalated', 5);
+  await until(() => transport.outbox.length === 1);
+
+  const [mail] = transport.outbox;
+  assert.equal(mail.to[0].address, 'desk@example.com');
+  assert.equal(mail.subject, 'Approval overdue: Ravi is still waiting');
+  assert.match(mail.text, /for Asha Rao to approve/);
+  assert.deepEqual(db.find(/role IN/)[0].values, [3]);
+});
+
+test('failed sends are retried until they go through', async () => {
+  let failures = 2;
+  const flaky = {
+    sendMail: (message, cb) => {
+      if (failures-- > 0) return cb(new Error('smtp down'));
+      transport.sendMail(message, cb);
+    }
+  };
+  setTransport(flaky);
+  enqueueMail({ to: 'host@example.com', subject: 'hi', text: 'hi' });
+  await until(() => transport.outbox.length === 1);
+  assert.equal(failures, -1);
+});
+
+test('the memory outbox keeps only the latest messages', async () => {
+  const capped = createMemoryTransport(2);
+  for (const subject of ['one', 'two', 'three']) {
+    await new Promise((resolve, reject) => capped.sendMail({ to: 'a@example.com', subject, text: subject }, err => (err ? reject(err) : resolve())));
+  }
+  assert.deepEqual(capped.outbox.map(mail => mail.subject), ['two', 'three']);
+});
+
+test('a mail transport must be chosen, and production only takes smtp', (t) => {
+  const saved = { MAIL_TRANSPORT: process.env.MAIL_TRANSPORT, NODE_ENV: process.env.NODE_ENV };
+  t.after(() => Object.entries(saved).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }));
+
+  delete process.env.MAIL_TRANSPORT;
+  assert.throws(() => checkMailTransport(), /MAIL_TRANSPORT is not configured/);
+  assert.throws(() => createTransport('pigeon'), /Unknown MAIL_TRANSPORT: pigeon/);
+
+  process.env.NODE_ENV = 'production';
+  process.env.MAIL_TRANSPORT = 'file';
+  assert.throws(() => checkMailTransport(), /MAIL_TRANSPORT=file delivers no mail; use smtp in production/);
+  assert.throws(() => createTransport('memory'), /use smtp in production/);
+  process.env.MAIL_TRANSPORT = 'smtp';
+  assert.doesNotThrow(() => checkMailTransport());
+});
+
+test('mail beyond MAIL_QUEUE_LIMIT is dropped while the server is down', async (t) => {
+  process.env.MAIL_QUEUE_LIMIT = '2';
+  t.after(() => delete process.env.MAIL_QUEUE_LIMIT);
+  const pending = [];
+  setTransport({ sendMail: (message, cb) => pending.push(cb) });
+
+  const mail = (to) => enqueueMail({ to: `${to}@example.com`, subject: to, text: to });
+
+  assert.deepEqual(['a', 'b', 'c', 'd'].map(mail), [true, true, true, false], 'a is being sent, b and c wait');
+  // A failed send waiting to be retried still holds its place
+  pending.shift()(new Error('smtp down'));
+  assert.equal(mail('e'), false);
+
+  setTransport(transport);
+  pending.shift()(null);
+  await until(() => transport.outbox.length === 2);
+  assert.deepEqual(transport.outbox.map(sent => sent.subject).sort(), ['a', 'c']);
+});
+
+test('templates escape visitor-supplied text in html only', () => {
+  const mail = renderTemplate('visitor_registered', { visitor_name: '<b>Eve</b>', host_name: 'Asha', purpose: 'x' });
+  assert.match(mail.html, /&lt;b&gt;Eve&lt;\/b&gt;/);
+  assert.match(mail.text, /<b>Eve<\/b>/);
+  assert.throws(() => renderTemplate('nope', {}), /Unknown notification template/);
+});
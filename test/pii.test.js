@@ -0,0 +1,111 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { installFakeDb, existingReferences } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const { encrypt, decrypt, isCurrent, blindIndex, sealPii, openPii, maskPii } = require('../utils/pii');
+const visitorRoutes = require('../routes/visitors');
+
+const reception = appWith('/api/visitors', visitorRoutes, { user: { id: 3, role: 'receptionist', company_id: 1 } });
+const security = appWith('/api/visitors', visitorRoutes, { user: { id: 4, role: 'security', company_id: 1 } });
+
+beforeEach(() => {
+  db.reset();
+  db.on(/AS check_index/, existingReferences({ employees: 1 }));
+  process.env.PII_ACTIVE_KEY = 'k2';
+});
+
+test('values round-trip and older keys stay readable after rotation', () => {
+  process.env.PII_ACTIVE_KEY = 'k1';
+  const old = encrypt('1234 5678 9012');
+  assert.match(old, /^enc:k1:/);
+  assert.equal(isCurrent(old), true);
+
+  process.env.PII_ACTIVE_KEY = 'k2';
+  assert.equal(decrypt(old), '1234 5678 9012');
+  assert.equal(isCurrent(old), false);
+  assert.notEqual(encrypt('x'), encrypt('x'), 'each value gets its own IV');
+  assert.equal(decrypt('legacy plaintext'), 'legacy plaintext');
+});
+
+test('tampered ciphertext is rejected', () => {
+  const parts = encrypt('9876543210').split(':');
+  parts[4] = Buffer.from('tampered').toString('base64');
+  assert.throws(() => decrypt(parts.join(':')));
+  assert.equal(openPii({ id: 1, phone: parts.join(':') }).phone, null);
+});
+
+test('blind indexes ignore formatting but not the field', () => {
+  assert.equal(blindIndex('phone', '+91 98765-43210'), blindIndex('phone', '9876543210'));
+  assert.notEqual(blindIndex('phone', '9876543210'), blindIndex('aadhar_no', '9876543210'));
+  assert.equal(blindIndex('email', ''), null);
+});
+
+test('sealing only touches the fields given and adds their hashes', () => {
+  const sealed = sealPii({ phone: '9876543210', address: '12 MG Road' });
+  assert.deepEqual(Object.keys(sealed).sort(), ['address', 'phone', 'phone_hash']);
+  assert.equal(decrypt(sealed.address), '12 MG Road');
+});
+
+test('responses show only the last digits', () => {
+  const row = { id: 1, ...sealPii({ phone: '9876543210', email: 'ravi@example.com', aadhar_no: '123456789012', address: 'x' }) };
+  assert.deepEqual(maskPii(row), { id: 1, phone: 'XXXXXX3210', email: 'r***@example.com', aadhar_no: 'XXXX-XXXX-9012', address: 'XXXX' });
+});
+
+test('walk-ins are stored encrypted and searchable by hash', async () => {
+  db.on(/INSERT INTO visitors/, { insertId: 12 });
+  await request(reception, 'POST', '/api/visitors', { body: { first_name: 'Ravi', phone: '9876543210', whom_to_meet: 2 } });
+  const [insert] = db.find(/INSERT INTO visitors/);
+  assert.ok(!insert.values.includes('9876543210'));
+  assert.ok(insert.values.includes(blindIndex('phone', '9876543210')));
+
+  db.reset();
+  db.on(/COUNT\(\*\) AS total/, [{ total: 0 }]);
+  await request(reception, 'GET', '/api/visitors?q=98765%2043210');
+  assert.ok(db.calls[0].values.includes(blindIndex('phone', '9876543210')));
+  assert.doesNotMatch(db.calls[0].sql, /v\.phone LIKE/);
+});
+
+test('a reveal needs a reason and is logged before anything is shown', async () => {
+  const noReason = await request(security, 'POST', '/api/visitors/5/reveal', { body: { fields: ['phone'] } });
+  assert.equal(noReason.status, 400);
+
+  db.on(/SELECT id, phone FROM visitors/, [{ id: 5, phone: encrypt('9876543210') }]);
+  db.on(/INSERT INTO pii_reveals/, () => { throw new Error('log down'); });
+  const unlogged = await request(security, 'POST', '/api/visitors/5/reveal', { body: { fields: ['phone'], reason: 'Call back' } });
+  assert.equal(unlogged.status, 500);
+  assert.equal(unlogged.body.phone, undefined);
+
+  db.on(/INSERT INTO pii_reveals/, { insertId: 1 });
+  const shown = await request(security, 'POST', '/api/visitors/5/reveal', { body: { fields: ['phone'], reason: 'Call back' } });
+  assert.deepEqual(shown.body, { id: 5, phone: '9876543210' });
+  const [log] = db.find(/INSERT INTO pii_reveals/).slice(-1);
+  assert.deepEqual(log.values[0][0].slice(0, 5), ['visitor', 5, '["phone"]', 'Call back', 4]);
+});
+
+test('receptionists cannot reveal PII', async () => {
+  const res = await request(reception, 'POST', '/api/visitors/5/reveal', { body: { reason: 'curious' } });
+  assert.equal(res.status, 403);
+});
+
+test('an update that leaves PII out keeps the stored values', async () => {
+  db.on(/^SELECT \* FROM visitors WHERE id = \?/, [{ id: 5, first_name: 'Ravi', ...sealPii({ phone: '9876543210' }) }]);
+  db.on(/^\s*UPDATE visitors SET/, { affectedRows: 1 });
+  const res = await request(reception, 'PUT', '/api/visitors/5', { body: { first_name: 'Ravi', whom_to_meet: 2, address: '12 MG Road' } });
+  assert.equal(res.status, 200);
+  const [update] = db.find(/^\s*UPDATE visitors SET/);
+  assert.doesNotMatch(update.sql, /phone|email|aadhar_no =/);
+  assert.match(update.sql, /, address = \?/);
+  assert.ok(update.values.some(value => decrypt(value) === '12 MG Road'));
+});
+
+test('masked values echoed back from a response are refused', async () => {
+  const res = await request(reception, 'PUT', '/api/visitors/5', {
+    body: { first_name: 'Ravi', whom_to_meet: 2, phone: 'XXXXXX3210', email: 'r***@example.com' }
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors.map(error => error.field), ['email', 'phone']);
+  assert.equal(db.find(/UPDATE/).length, 0);
+});
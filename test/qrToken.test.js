@@ -0,0 +1,108 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+process.env.JWT_SECRET = 'test-secret';
+const db = installFakeDb();
+const { issueQrToken, verifyQrToken, qrSignoutUrl } = require('../utils/qrToken');
+const visitorRoutes = require('../routes/visitors');
+
+const app = appWith('/api/visitors', visitorRoutes, { user: { id: 3, role: 'security', company_id: 1 } });
+
+beforeEach(() => db.reset());
+
+test('issued tokens verify back to their visit and jti', () => {
+  const issued = issueQrToken(5);
+  assert.deepEqual(verifyQrToken(issued.token), { visitorId: 5, jti: issued.jti });
+});
+
+test('re-rendering an existing token keeps its expiry', () => {
+  const expiresAt = new Date(Date.now() + 60 * 1000);
+  const again = issueQrToken(5, { jti: 'abc', expiresAt });
+  assert.equal(jwt.decode(again.token).exp, Math.floor(expiresAt.getTime() / 1000));
+});
+
+test('expired, forged and malformed tokens are told apart', () => {
+  const expired = issueQrToken(5, { expiresAt: new Date(Date.now() - 1000) });
+  assert.throws(() => verifyQrToken(expired.token), { code: 'QR_TOKEN_EXPIRED', status: 410 });
+
+  const forged = jwt.sign({ vid: 5 }, 'other-secret', { jwtid: 'x' });
+  assert.throws(() => verifyQrToken(forged), { code: 'QR_TOKEN_INVALID' });
+  assert.throws(() => verifyQrToken('garbage'), { code: 'QR_TOKEN_INVALID' });
+});
+
+test('sign-out URLs carry the token, not the visit id', () => {
+  process.env.PUBLIC_BASE_URL = 'https://visitors.example.com/';
+  assert.equal(qrSignoutUrl('tok'), 'https://visitors.example.com/api/visitors/signout/tok');
+  delete process.env.PUBLIC_BASE_URL;
+});
+
+test('the QR sign-out checks the visit out and burns the token', async () => {
+  const issued = issueQrToken(5);
+  db.on(/^SELECT id, qr_token_id, qr_status FROM visitors/, [{ id: 5, qr_token_id: issued.jti, qr_status: 'active' }]);
+  db.on(/^UPDATE visitors/, { affectedRows: 1 });
+  const res = await request(app, 'GET', `/api/visitors/signout/${issued.token}`);
+  assert.equal(res.status, 200);
+
+  const [update] = db.find(/^UPDATE visitors/);
+  assert.match(update.sql, /AND qr_token_id = \? AND qr_status = \?$/);
+  assert.deepEqual(update.values.slice(-2), [issued.jti, 'active']);
+});
+
+test('a used or replaced token cannot sign a visitor out', async () => {
+  const issued = issueQrToken(5);
+  db.on(/^SELECT id, qr_token_id, qr_status FROM visitors/, [{ id: 5, qr_token_id: issued.jti, qr_status: 'used' }]);
+  const used = await request(app, 'GET', `/api/visitors/signout/${issued.token}`);
+  assert.equal(used.status, 409);
+  assert.equal(used.body.code, 'QR_TOKEN_USED');
+
+  db.on(/^SELECT id, qr_token_id, qr_status FROM visitors/, [{ id: 5, qr_token_id: 'newer', qr_status: 'active' }]);
+  const superseded = await request(app, 'GET', `/api/visitors/signout/${issued.token}`);
+  assert.equal(superseded.body.code, 'QR_TOKEN_SUPERSEDED');
+  assert.equal(db.find(/^UPDATE/).length, 0);
+});
+
+test('a card reuses a live token and refuses finished visits', async () => {
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+  db.on(/FROM visitors v/, [{ id: 5, status: 'expected', qr_token_id: 'live', qr_status: 'active', qr_expires_at: expiresAt }]);
+  const card = await request(app, 'GET', '/api/visitors/5/card');
+  assert.equal(card.status, 200);
+  assert.match(card.body.qr, /^data:image\/png;base64,/);
+  assert.equal(db.find(/^UPDATE/).length, 0);
+
+  db.on(/FROM visitors v/, [{ id: 5, status: 'checked_out' }]);
+  const finished = await request(app, 'GET', '/api/visitors/5/card');
+  assert.equal(finished.status, 409);
+});
+
+test('a new token is stored only over the one the card was read with, and audited with it', async () => {
+  db.on(/FROM visitors v/, [{ id: 5, status: 'expected', qr_token_id: 'old', qr_status: 'used' }]);
+  db.on(/^UPDATE visitors SET qr_token_id/, { affectedRows: 1 });
+  db.on(/^SELECT \* FROM visitors WHERE id/, [{ id: 5, status: 'expected', qr_token_id: 'new', qr_status: 'active' }]);
+  const card = await request(app, 'GET', '/api/visitors/5/card');
+  assert.equal(card.status, 200);
+
+  const [update] = db.find(/^UPDATE visitors SET qr_token_id/);
+  assert.match(update.sql, /WHERE id = \? AND qr_token_id <=> \?$/);
+  assert.deepEqual([update.values[2], update.values[3]], [5, 'old']);
+  const statements = db.calls.map(call => call.sql.trim().split(/\s+/).slice(0, 3).join(' '));
+  assert.deepEqual(statements.slice(statements.indexOf('BEGIN')), [
+    'BEGIN', 'UPDATE visitors SET', 'SELECT * FROM', 'INSERT INTO audit_log', 'COMMIT'
+  ]);
+});
+
+test('a card that loses the race to mint reuses the winner\'s token', async () => {
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+  db.on(/FROM visitors v/, [{ id: 5, status: 'expected', qr_token_id: null }]);
+  db.on(/^UPDATE visitors SET qr_token_id/, { affectedRows: 0 });
+  db.on(/FOR UPDATE$/, [{ id: 5, qr_token_id: 'winner', qr_status: 'active', qr_expires_at: expiresAt }]);
+  const card = await request(app, 'GET', '/api/visitors/5/card');
+  assert.equal(card.status, 200);
+
+  const token = new URL(card.body.qr_url).pathname.split('/').pop();
+  assert.deepEqual(verifyQrToken(token), { visitorId: 5, jti: 'winner' });
+  assert.equal(db.find(/^UPDATE/).length, 1);
+  assert.equal(db.find(/INSERT INTO audit_log/).length, 0, 'the winner audited its own token');
+});
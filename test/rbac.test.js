@@ -0,0 +1,70 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const { hasPermission, authorize } = require('../middleware/rbac');
+const visitorRoutes = require('../routes/visitors');
+const employeeRoutes = require('../routes/employees');
+
+beforeEach(() => {
+  db.reset();
+  delete process.env.AUTH_ENFORCE;
+});
+
+test('roles only get the permissions granted to them', () => {
+  assert.equal(hasPermission({ role: 'admin' }, 'employees:write'), true);
+  assert.equal(hasPermission({ role: 'host' }, 'employees:write'), false);
+  assert.equal(hasPermission({ role: 'security' }, 'visitors:checkinout'), true);
+  assert.equal(hasPermission({ role: 'host' }, 'no-such:permission'), false);
+});
+
+test('anonymous callers pass only while enforcement is off', () => {
+  assert.equal(hasPermission(undefined, 'employees:write'), true);
+  process.env.AUTH_ENFORCE = 'true';
+  assert.equal(hasPermission(undefined, 'employees:write'), false);
+});
+
+test('authorize answers 403 naming the missing permission', async () => {
+  const app = appWith('/api/employees', employeeRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+  const res = await request(app, 'DELETE', '/api/employees/7');
+  assert.equal(res.status, 403);
+  assert.equal(res.body.permission, 'employees:write');
+  assert.equal(db.calls.length, 0);
+});
+
+test('authorize lets permitted roles through', async () => {
+  const guarded = appWith('/', authorize('visitors:write'), { user: { role: 'receptionist' } });
+  guarded.use((req, res) => res.json({ ok: true }));
+  assert.equal((await request(guarded, 'GET', '/')).status, 200);
+});
+
+test('employees cannot be given an unknown role', async () => {
+  const app = appWith('/api/employees', employeeRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+  const res = await request(app, 'PUT', '/api/employees/7', { body: { role: 'janitor' } });
+  assert.equal(res.status, 400);
+});
+
+test('hosts only see visitors who came to meet them', async () => {
+  db.on(/COUNT\(\*\) AS total/, [{ total: 1 }]);
+  db.on(/_sort_key/, [{ id: 5, whom_to_meet: 2 }]);
+  const host = appWith('/api/visitors', visitorRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+  await request(host, 'GET', '/api/visitors');
+  const [hostQuery] = db.find(/FROM visitors/);
+  assert.match(hostQuery.sql, /whom_to_meet = \?/);
+  assert.deepEqual(hostQuery.values, [1, 2]);
+
+  db.calls.length = 0;
+  const reception = appWith('/api/visitors', visitorRoutes, { user: { id: 3, role: 'receptionist', company_id: 1 } });
+  await request(reception, 'GET', '/api/visitors');
+  assert.doesNotMatch(db.find(/FROM visitors/)[0].sql, /whom_to_meet/);
+});
+
+test('a host asking for someone else\'s visitor gets 404', async () => {
+  db.on(/FROM visitors WHERE id = \?/, []);
+  const host = appWith('/api/visitors', visitorRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+  const res = await request(host, 'GET', '/api/visitors/5');
+  assert.equal(res.status, 404);
+  assert.deepEqual(db.calls[0].values, ['5', 1, 2]);
+});
@@ -0,0 +1,73 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+require('./helpers/env');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const reportRoutes = require('../routes/reports');
+
+const app = appWith('/api/reports', reportRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+const rows = [
+  { id: 1, visitor_name: 'Ravi Kumar', phone: '9876543210', purpose: 'Interview, round 2', status: 'checked_out', created_at: new Date('2026-03-01T10:00:00Z') },
+  { id: 2, visitor_name: '=HYPERLINK("x")', phone: '+919876543210', purpose: 'Delivery', status: 'rejected', created_at: new Date('2026-03-02T10:00:00Z') }
+];
+const range = 'from=2026-03-01&to=2026-03-31';
+
+beforeEach(() => db.reset());
+
+test('the register needs a date range and a known format', async () => {
+  assert.equal((await request(app, 'GET', '/api/reports/visitor-register')).status, 400);
+  assert.equal((await request(app, 'GET', `/api/reports/visitor-register?${range}&format=pdf`)).status, 400);
+});
+
+test('hosts cannot read the register', async () => {
+  const host = appWith('/api/reports', reportRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+  assert.equal((await request(host, 'GET', `/api/reports/visitor-register?${range}`)).status, 403);
+});
+
+test('filters narrow the register query', async () => {
+  await request(app, 'GET', `/api/reports/visitor-register?${range}&status=checked_out&purpose=50%25`);
+  const [query] = db.calls;
+  assert.match(query.sql, /v\.status IN \(\?\)/);
+  assert.match(query.sql, /v\.purpose LIKE \?/);
+  assert.equal(query.values.at(-1), '%50\\%%');
+});
+
+test('CSV export quotes, neutralises formulas, masks PII and names the file by range', async () => {
+  db.on(/FROM visitors v/, rows);
+  const res = await request(app, 'GET', `/api/reports/visitor-register?${range}&format=csv`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /visitor-register-2026-03-01-to-2026-03-31\.csv/);
+
+  const lines = res.body.toString().replace(/^﻿/, '').trim().split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.match(lines[1], /"Interview, round 2"/);
+  assert.match(lines[2], /^2,"'=HYPERLINK\(""x""\)",XXXXXXXX3210,/);
+});
+
+test('JSON export is a plain array of rows', async () => {
+  db.on(/FROM visitors v/, rows);
+  const res = await request(app, 'GET', `/api/reports/visitor-register?${range}`);
+  assert.equal(res.body.length, 2);
+  assert.equal(res.body[0].visitor_name, 'Ravi Kumar');
+  assert.equal(res.body[0].check_in_gate, null);
+});
+
+test('XLSX export opens as a workbook with a header row', async () => {
+  db.on(/FROM visitors v/, rows);
+  const res = await request(app, 'GET', `/api/reports/visitor-register?${range}&format=xlsx`);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(res.body);
+  const sheet = workbook.getWorksheet('Visitor register');
+  assert.equal(sheet.getRow(1).getCell(2).value, 'Visitor');
+  assert.equal(sheet.getRow(2).getCell(2).value, 'Ravi Kumar');
+  assert.equal(sheet.rowCount, 3);
+});
+
+test('a query that fails before any row is a 500', async () => {
+  db.on(/FROM visitors v/, () => { throw new Error('gone'); });
+  const res = await request(app, 'GET', `/api/reports/visitor-register?${range}&format=csv`);
+  assert.equal(res.status, 500);
+});
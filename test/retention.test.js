@@ -0,0 +1,104 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const { runRetention } = require('../jobs/retention');
+const companyRoutes = require('../routes/company');
+
+beforeEach(() => {
+  db.reset();
+  delete process.env.RETENTION_DAYS;
+  delete process.env.RETENTION_ACTION;
+  db.on(/^SELECT id, retention_days, retention_action FROM companies/, [{ id: 1, retention_days: 30, retention_action: 'delete' }, { id: 2, retention_days: null, retention_action: null }]);
+});
+
+// One batch of expired visits for `companyId`, then nothing left (purged rows drop out)
+const expiredOnce = (companyId, rows) => {
+  let served = false;
+  return (values) => {
+    if (values[0] !== companyId || served) return [];
+    served = true;
+    return rows;
+  };
+};
+const BATCH_SQL = /SELECT v\.id, v\.image FROM visitors v WHERE v\.company_id = \?/;
+
+test('each company is purged with its own period and action', async () => {
+  db.on(BATCH_SQL, expiredOnce(1, [{ id: 10 }, { id: 11, image: 'a.png' }]));
+  db.on(/AS refs/, [{ refs: 1 }]);
+  const report = await runRetention();
+
+  assert.deepEqual(report.companies, [
+    { company_id: 1, days: 30, action: 'delete', visits: 2 },
+    { company_id: 2, days: 365, action: 'anonymise', visits: 0 },
+    { company_id: null, days: 365, action: 'anonymise', visits: 0 }
+  ]);
+  const statements = db.calls.map(call => call.sql.trim().split(/\s+/).slice(0, 3).join(' '));
+  const begin = statements.indexOf('BEGIN');
+  assert.deepEqual(statements.slice(begin, begin + 6), [
+    'BEGIN', 'INSERT INTO visit_aggregates', 'DELETE FROM muster_entries', 'UPDATE invitations SET', 'DELETE FROM visitors', 'COMMIT'
+  ]);
+  assert.deepEqual(db.find(/DELETE FROM visitors/)[0].values, [[10, 11]]);
+});
+
+test('visitors still on site are never purged', async () => {
+  db.on(/SELECT COUNT\(\*\) AS (visits|invitations)/, [{ visits: 0, invitations: 0 }]);
+  await runRetention({ dryRun: true });
+  const scans = db.find(/^SELECT (COUNT|DISTINCT).* FROM visitors v WHERE/);
+  assert.equal(scans.length, 6);
+  scans.forEach(call => assert.match(call.sql, /v\.status <> 'checked_in'/));
+});
+
+test('a failed delete rolls the batch back', async () => {
+  db.on(BATCH_SQL, expiredOnce(1, [{ id: 10 }]));
+  db.on(/DELETE FROM visitors/, () => { throw new Error('locked'); });
+  await assert.rejects(runRetention(), /locked/);
+  assert.equal(db.find(/^ROLLBACK$/).length, 1);
+  assert.equal(db.find(/^COMMIT$/).length, 0);
+});
+
+test('a dry run counts without changing anything', async () => {
+  db.on(/SELECT COUNT\(\*\) AS visits/, [{ visits: 4 }]);
+  db.on(/SELECT COUNT\(\*\) AS invitations/, [{ invitations: 2 }]);
+  db.on(/SELECT DISTINCT v\.image/, [{ image: 'a.png' }]);
+  const report = await runRetention({ dryRun: true });
+  assert.equal(report.dry_run, true);
+  assert.equal(report.companies[0].visits, 4);
+  assert.equal(report.invitations, 2);
+  assert.equal(report.images, 1);
+  assert.equal(db.find(/^(UPDATE|DELETE|INSERT)/).length, 0);
+});
+
+test('anonymising keeps the visit but drops who it was', async () => {
+  db.on(BATCH_SQL, expiredOnce(2, [{ id: 20 }]));
+  await runRetention();
+  const [anonymise] = db.find(/UPDATE visitors SET\s+first_name = 'Anonymised'/);
+  assert.match(anonymise.sql, /phone_hash = NULL/);
+  assert.deepEqual(anonymise.values, [[20]]);
+  assert.equal(db.find(/DELETE FROM visitors/).length, 0);
+});
+
+test('invitations and visitor profiles follow their company\'s period', async () => {
+  await runRetention();
+  const [invitations] = db.find(/UPDATE invitations i LEFT JOIN companies c/);
+  assert.match(invitations.sql, /i\.visit_date < CURDATE\(\) - INTERVAL COALESCE\(c\.retention_days, \?\) DAY/);
+  assert.deepEqual(invitations.values, [365]);
+  const [profiles] = db.find(/FROM visitor_profiles p LEFT JOIN companies c ON p\.company_id = c\.id/);
+  assert.match(profiles.sql, /p\.last_visit_at < NOW\(\) - INTERVAL COALESCE\(c\.retention_days, \?\) DAY/);
+  assert.equal(profiles.values[0], 365);
+});
+
+test('unknown retention actions stop the run', async () => {
+  db.on(/^SELECT id, retention_days, retention_action FROM companies/, [{ id: 1, retention_days: 30, retention_action: 'shred' }]);
+  await assert.rejects(runRetention(), /Unknown retention action "shred"/);
+});
+
+test('retention settings are validated', async () => {
+  const app = appWith('/companies', companyRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+  assert.equal((await request(app, 'PUT', '/companies/1/retention', { body: { retention_days: 0 } })).status, 400);
+  assert.equal((await request(app, 'PUT', '/companies/1/retention', { body: { retention_action: 'shred' } })).status, 400);
+  db.on(/UPDATE companies SET retention_days/, { affectedRows: 1 });
+  assert.equal((await request(app, 'PUT', '/companies/1/retention', { body: { retention_days: 90, retention_action: 'delete' } })).status, 200);
+});
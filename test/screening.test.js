@@ -0,0 +1,124 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { installFakeDb, existingReferences } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const { matchEntries, nameSimilarity } = require('../utils/screening');
+const { blindIndex, decrypt, sealPii } = require('../utils/pii');
+const visitorRoutes = require('../routes/visitors');
+const watchlistRoutes = require('../routes/watchlist');
+
+const reception = appWith('/api/visitors', visitorRoutes, { user: { id: 3, role: 'receptionist', company_id: 1 } });
+const identifiers = { phone: '+91 98765 43210', email: 'V@Example.com', aadhar_no: '1234 5678 9012' };
+const entry = { id: 1, name: 'Vikram Singh', ...sealPii(identifiers), severity: 'block' };
+const admin = appWith('/api/watchlist', watchlistRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+
+beforeEach(() => {
+  db.reset();
+  db.on(/AS check_index/, existingReferences({ employees: 1 }));
+});
+
+test('identifiers match across formatting and take the entry severity', () => {
+  const { result, matches } = matchEntries({ first_name: 'Someone', phone: '09876543210', email: 'v@example.com ' }, [entry]);
+  assert.equal(result, 'blocked');
+  assert.deepEqual(matches.map(m => m.field), ['phone', 'email']);
+});
+
+test('entries written before their identifiers were encrypted still match', () => {
+  const legacy = { id: 2, name: 'Vikram Singh', ...identifiers, severity: 'block' };
+  assert.equal(matchEntries({ first_name: 'Someone', aadhar_no: '123456789012' }, [legacy]).result, 'blocked');
+});
+
+test('name-only matches are flagged, never blocked', () => {
+  const exact = matchEntries({ first_name: 'Singh', last_name: 'Vikram' }, [entry]);
+  assert.equal(exact.result, 'flagged');
+  assert.equal(exact.matches[0].match, 'exact');
+
+  const fuzzy = matchEntries({ first_name: 'Vikrum', last_name: 'Singh' }, [entry]);
+  assert.equal(fuzzy.result, 'flagged');
+  assert.equal(fuzzy.matches[0].match, 'fuzzy');
+
+  assert.equal(matchEntries({ first_name: 'Anita', last_name: 'Desai' }, [entry]).result, 'clear');
+  assert.ok(nameSimilarity('', 'x') === 0);
+});
+
+test('a blocked walk-in is stored as rejected and answered 403', async () => {
+  db.on(/FROM watchlist\s+WHERE active = 1/, [entry]);
+  db.on(/INSERT INTO visitors/, { insertId: 30 });
+  const res = await request(reception, 'POST', '/api/visitors', { body: { first_name: 'V', phone: '9876543210', whom_to_meet: 2 } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'WATCHLIST_BLOCKED');
+
+  const [insert] = db.find(/INSERT INTO visitors/);
+  assert.ok(insert.values.includes('rejected'));
+  assert.ok(insert.values.includes('blocked'));
+});
+
+test('a flagged walk-in still goes to the host', async () => {
+  db.on(/FROM watchlist\s+WHERE active = 1/, [entry]);
+  db.on(/INSERT INTO visitors/, { insertId: 31 });
+  const res = await request(reception, 'POST', '/api/visitors', { body: { first_name: 'Vikram', last_name: 'Singh', whom_to_meet: 2 } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { visitorId: 31, status: 'pending_approval', screening_result: 'flagged' });
+});
+
+test('only admins manage the watchlist, and severities are checked', async () => {
+  const host = appWith('/api/watchlist', watchlistRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+  assert.equal((await request(host, 'POST', '/api/watchlist', { body: { name: 'X', reason: 'y', severity: 'block' } })).status, 403);
+
+  const admin = appWith('/api/watchlist', watchlistRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+  const bad = await request(admin, 'POST', '/api/watchlist', { body: { name: 'X', reason: 'y', severity: 'banish' } });
+  assert.equal(bad.status, 400);
+
+  db.on(/INSERT INTO watchlist/, { insertId: 4 });
+  const ok = await request(admin, 'POST', '/api/watchlist', { body: { name: 'X', reason: 'y', severity: 'flag' } });
+  assert.equal(ok.status, 201);
+  assert.equal(db.find(/INSERT INTO watchlist/)[0].values.at(-1), 1);
+});
+
+test('a company only screens against its own entries and the deployment-wide ones', async () => {
+  db.on(/INSERT INTO visitors/, { insertId: 32 });
+  await request(reception, 'POST', '/api/visitors', { body: { first_name: 'Anita', whom_to_meet: 2 } });
+  const [lookup] = db.find(/FROM watchlist/);
+  assert.match(lookup.sql, /company_id IS NULL\s+OR company_id = COALESCE\(\?, \(SELECT host\.company_id FROM employees host WHERE host\.id = \?\)\)/);
+  assert.deepEqual(lookup.values, [1, 2]);
+
+  const admin = appWith('/api/watchlist', watchlistRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+  db.on(/INSERT INTO watchlist/, { insertId: 5 });
+  await request(admin, 'POST', '/api/watchlist', { body: { name: 'X', reason: 'y', severity: 'flag' } });
+  assert.equal(db.find(/INSERT INTO watchlist/)[0].values[0], 1, 'a tenant admin\'s entries belong to their company');
+  await request(admin, 'GET', '/api/watchlist');
+  assert.deepEqual(db.find(/SELECT \* FROM watchlist WHERE 1 = 1/)[0].values, [1]);
+});
+
+test('watchlist identifiers are stored encrypted with lookup hashes and shown masked', async () => {
+  db.on(/INSERT INTO watchlist/, { insertId: 6 });
+  await request(admin, 'POST', '/api/watchlist', { body: { name: 'Vikram Singh', ...identifiers, reason: 'Trespass', severity: 'block' } });
+  const [insert] = db.find(/INSERT INTO watchlist/);
+  assert.ok(!insert.values.includes(identifiers.phone));
+  assert.equal(decrypt(insert.values[2]), identifiers.phone);
+  assert.equal(insert.values[5], blindIndex('phone', '9876543210'));
+
+  db.on(/FROM watchlist WHERE/, [entry]);
+  const list = await request(admin, 'GET', '/api/watchlist');
+  assert.deepEqual(list.body, [{ id: 1, name: 'Vikram Singh', phone: 'XXXXXXXX3210', email: 'V***@Example.com', aadhar_no: 'XXXX-XXXX-9012', severity: 'block' }]);
+  const detail = await request(admin, 'GET', '/api/watchlist/1');
+  assert.equal(detail.body.phone, 'XXXXXXXX3210');
+  assert.equal(detail.body.phone_hash, undefined);
+});
+
+test('a watchlist update seals the identifiers it changes and refuses masked ones', async () => {
+  db.on(/^UPDATE watchlist/, { affectedRows: 1 });
+  await request(admin, 'PUT', '/api/watchlist/1', { body: { email: 'vikram@example.com', reason: 'Repeat trespass' } });
+  const [update] = db.find(/^UPDATE watchlist/);
+  assert.match(update.sql, /SET company_id = \?, email = \?, reason = \?, email_hash = \? WHERE id = \?/);
+  assert.equal(decrypt(update.values[1]), 'vikram@example.com');
+  assert.equal(update.values[3], blindIndex('email', 'vikram@example.com'));
+
+  db.reset();
+  const masked = await request(admin, 'PUT', '/api/watchlist/1', { body: { phone: 'XXXXXXXX3210' } });
+  assert.equal(masked.status, 400);
+  assert.equal(db.find(/^UPDATE/).length, 0);
+});
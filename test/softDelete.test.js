@@ -0,0 +1,80 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const departmentRoutes = require('../routes/department');
+const employeeRoutes = require('../routes/employees');
+
+const admin = appWith('/api/departments', departmentRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+const department = { id: 4, company_id: 1, name: 'R&D', deleted_at: null };
+
+beforeEach(() => {
+  db.reset();
+  db.on(/^SELECT \* FROM departments WHERE id = \?( AND company_id = \?)?$/, [department]);
+});
+
+test('a department with live children is not deleted', async () => {
+  db.on(/AS designations/, [{ designations: 0, employees: 3, visits: 1 }]);
+  const res = await request(admin, 'DELETE', '/api/departments/4');
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body.children, { employees: 3, visits: 1 });
+  assert.equal(db.find(/SET deleted_at = NOW\(\)/).length, 0);
+});
+
+test('children move to reassign_to in the same transaction as the delete', async () => {
+  db.on(/AS designations/, [{ designations: 0, employees: 3, visits: 0 }]);
+  db.on(/FROM departments WHERE id = \? AND deleted_at IS NULL/, [{ id: 5, company_id: 1 }]);
+  db.on(/^UPDATE/, { affectedRows: 1 });
+  const res = await request(admin, 'DELETE', '/api/departments/4?reassign_to=5');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { message: 'Department deleted', reassigned_to: 5, reassigned: { employees: 3 } });
+
+  const steps = db.calls.map(call => call.sql.trim()).filter(sql => /^(BEGIN|COMMIT|UPDATE)/.test(sql));
+  assert.equal(steps[0], 'BEGIN');
+  assert.match(steps[1], /^UPDATE employees SET department_id = \?/);
+  assert.match(steps[2], /^UPDATE departments SET deleted_at = NOW\(\), deleted_by = \?/);
+  assert.equal(steps[3], 'COMMIT');
+});
+
+test('the reassignment target must be live and in the same company', async () => {
+  db.on(/AS designations/, [{ designations: 1, employees: 0, visits: 0 }]);
+  db.on(/FROM departments WHERE id = \? AND deleted_at IS NULL/, [{ id: 6, company_id: 2 }]);
+  const other = await request(admin, 'DELETE', '/api/departments/4?reassign_to=6');
+  assert.equal(other.status, 400);
+  assert.match(other.body.errors[0].message, /same company_id/);
+
+  db.on(/FROM departments WHERE id = \? AND deleted_at IS NULL/, []);
+  assert.equal((await request(admin, 'DELETE', '/api/departments/4?reassign_to=7')).status, 400);
+});
+
+test('losing a race to another delete rolls back', async () => {
+  db.on(/AS designations/, [{ designations: 0, employees: 0, visits: 0 }]);
+  db.on(/SET deleted_at = NOW\(\)/, { affectedRows: 0 });
+  const res = await request(admin, 'DELETE', '/api/departments/4');
+  assert.equal(res.status, 409);
+  assert.equal(db.find(/^ROLLBACK$/).length, 1);
+});
+
+test('a row is not restored under a deleted parent', async () => {
+  db.on(/^SELECT \* FROM departments WHERE id = \?( AND company_id = \?)?$/, [{ ...department, deleted_at: new Date() }]);
+  db.on(/AS company_id/, [{ company_id: 1 }]);
+  const blocked = await request(admin, 'POST', '/api/departments/4/restore');
+  assert.equal(blocked.status, 409);
+  assert.match(blocked.body.message, /Restore the company first/);
+
+  db.on(/AS company_id/, [{ company_id: 0 }]);
+  assert.equal((await request(admin, 'POST', '/api/departments/4/restore')).status, 200);
+  assert.equal(db.find(/SET deleted_at = NULL/).length, 1);
+});
+
+test('lists hide deleted rows unless asked', async () => {
+  const employees = appWith('/api/employees', employeeRoutes, { user: { id: 1, role: 'admin', company_id: 1 } });
+  db.on(/COUNT\(\*\) AS total/, [{ total: 0 }]);
+  await request(employees, 'GET', '/api/employees');
+  assert.match(db.calls.at(-1).sql, /e\.deleted_at IS NULL/);
+  await request(employees, 'GET', '/api/employees?deleted=only');
+  assert.match(db.calls.at(-1).sql, /e\.deleted_at IS NOT NULL/);
+  assert.equal((await request(employees, 'GET', '/api/employees?deleted=maybe')).status, 400);
+});
@@ -0,0 +1,119 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.AUTH_ENFORCE = 'true';
+delete process.env.STORAGE_DRIVER;
+const db = installFakeDb();
+const { imageKey, thumbKey, storeImage, discardImages, photoUrl } = require('../utils/storage');
+const { createS3Driver } = require('../utils/storageDrivers');
+const fileRoutes = require('../routes/files');
+
+const app = appWith('/api/files', fileRoutes);
+const token = jwt.sign({ id: 3, role: 'receptionist', company_id: 1 }, 'test-secret');
+const auth = { headers: { authorization: `Bearer ${token}` } };
+const stored = (key) => path.join(process.env.UPLOAD_DIR, key);
+const photo = (width, height) => sharp({ create: { width, height, channels: 3, background: '#c33' } }).png().toBuffer();
+// The path and query of a signed photo_url, for the test app
+const local = (url) => url.replace(/^https?:\/\/[^/]+/, '');
+
+beforeEach(() => db.reset());
+after(() => fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true }));
+
+test('only keys inside a known folder are served', () => {
+  assert.equal(imageKey('visitors/ab12.jpg'), 'visitors/ab12.jpg');
+  assert.equal(imageKey('uploads\\1712.png'), '1712.png');
+  assert.equal(imageKey('../etc/passwd'), null);
+  assert.equal(imageKey('secrets/key.pem'), null);
+  assert.equal(imageKey('visitors/.env'), null);
+});
+
+test('uploads are re-encoded as JPEG with a thumbnail and capped in size', async () => {
+  const key = await storeImage(await photo(2400, 1200), 'visitors');
+  assert.match(key, /^visitors\/[0-9a-f]{32}\.jpg$/);
+  const full = await sharp(stored(key)).metadata();
+  assert.deepEqual([full.format, full.width, full.height], ['jpeg', 1600, 800]);
+  const thumb = await sharp(stored(thumbKey(key))).metadata();
+  assert.deepEqual([thumb.width, thumb.height], [200, 200]);
+});
+
+test('files that are not images are refused whatever they are called', async () => {
+  await assert.rejects(storeImage(Buffer.from('<?php echo 1; ?>'), 'visitors', 'photo'), {
+    status: 400, field: 'photo', message: 'must be a JPEG, PNG, GIF or WebP image'
+  });
+});
+
+test('photos need a token and fall back to the full image without a thumbnail', async () => {
+  const key = await storeImage(await photo(40, 40), 'employees');
+  fs.unlinkSync(stored(thumbKey(key)));
+  assert.equal((await request(app, 'GET', `/api/files/${key}`)).status, 401);
+
+  db.on(/FROM employees e WHERE e\.image IN/, [{ 1: 1 }]);
+  const res = await request(app, 'GET', `/api/files/${key}?size=thumb`, auth);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'image/jpeg');
+  assert.equal(res.headers.get('cache-control'), 'private, max-age=31536000, immutable');
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+
+  assert.equal((await request(app, 'GET', '/api/files/employees/missing.jpg', auth)).status, 404);
+  assert.equal((await request(app, 'GET', '/api/files/config/db.js', auth)).status, 404);
+});
+
+test('a file only shown by another company\'s rows is not found', async () => {
+  const key = await storeImage(await photo(40, 40), 'visitors');
+  const res = await request(app, 'GET', `/api/files/${key}`, auth);
+  assert.equal(res.status, 404);
+  const [owners] = db.find(/SELECT 1 FROM visitors v/);
+  assert.match(owners.sql, /v\.image IN \(\?\) AND v\.company_id = \? UNION ALL SELECT 1 FROM visitor_profiles p/);
+  assert.deepEqual(owners.values.slice(0, 2), [[key, `uploads/${key}`, `/uploads/${key}`], 1]);
+
+  db.on(/FROM visitors v WHERE v\.image IN/, [{ 1: 1 }]);
+  assert.equal((await request(app, 'GET', `/api/files/${key}`, auth)).status, 200);
+});
+
+test('a signed photo_url works without a token until it expires or is altered', async () => {
+  const key = await storeImage(await photo(40, 40), 'visitors');
+  const url = local(photoUrl(key));
+  assert.match(url, new RegExp(`^/api/files/${key}\\?expires=\\d+&signature=[0-9a-f]{64}$`));
+  const res = await request(app, 'GET', url);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('cache-control'), /^private, max-age=\d+$/);
+
+  assert.equal((await request(app, 'GET', url.replace('visitors/', 'employees/'))).status, 403);
+  const expires = Math.floor(Date.now() / 1000) - 1;
+  assert.equal((await request(app, 'GET', url.replace(/expires=\d+/, `expires=${expires}`))).status, 403);
+  assert.equal(photoUrl(null), '');
+});
+
+test('a file still referenced elsewhere is kept', async () => {
+  const shared = await storeImage(await photo(40, 40), 'visitors');
+  const orphan = await storeImage(await photo(40, 40), 'visitors');
+  db.on(/AS refs/, (values) => [{ refs: values[0] === shared ? 1 : 0 }]);
+  assert.equal(await discardImages([shared, orphan, orphan]), 1);
+  assert.ok(fs.existsSync(stored(shared)));
+  assert.ok(!fs.existsSync(stored(orphan)));
+  assert.ok(!fs.existsSync(stored(thumbKey(orphan))));
+});
+
+test('S3 links are presigned for the bucket and capped at seven days', () => {
+  assert.throws(() => createS3Driver({ bucket: 'photos' }), /S3_ACCESS_KEY_ID/);
+  const driver = createS3Driver({
+    bucket: 'photos', region: 'eu-west-1', endpoint: 'http://minio:9000/', accessKeyId: 'AKID', secretAccessKey: 'secret'
+  });
+  const date = new Date('2026-01-02T03:04:05Z');
+  const url = new URL(driver.signedUrl('visitors/a b.jpg', new Date('2026-03-01T00:00:00Z'), date));
+  assert.equal(url.origin + url.pathname, 'http://minio:9000/photos/visitors/a%20b.jpg');
+  assert.equal(url.searchParams.get('X-Amz-Credential'), 'AKID/20260102/eu-west-1/s3/aws4_request');
+  assert.equal(url.searchParams.get('X-Amz-Date'), '20260102T030405Z');
+  assert.equal(url.searchParams.get('X-Amz-Expires'), String(7 * 24 * 60 * 60));
+  assert.match(url.searchParams.get('X-Amz-Signature'), /^[0-9a-f]{64}$/);
+  assert.equal(driver.signedUrl('visitors/a b.jpg', new Date('2026-03-01T00:00:00Z'), date), url.toString());
+});
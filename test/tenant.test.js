@@ -0,0 +1,61 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb, existingReferences } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const { tenantScope, employeeScope } = require('../middleware/tenant');
+const { hasPermission } = require('../middleware/rbac');
+const companyRoutes = require('../routes/company');
+const departmentRoutes = require('../routes/department');
+
+const acmeAdmin = { id: 1, role: 'admin', company_id: 1 };
+const superAdmin = { id: 99, role: 'super_admin', company_id: 1 };
+const as = (router, base, user) => appWith(base, router, { user });
+
+beforeEach(() => {
+  db.reset();
+  db.on(/AS check_index/, existingReferences());
+});
+
+test('everyone but a super admin is confined to the company in their token', () => {
+  assert.deepEqual(tenantScope({ user: acmeAdmin }, 'v.company_id'), { sql: ' AND v.company_id = ?', values: [1] });
+  assert.deepEqual(tenantScope({ user: superAdmin }), { sql: '', values: [] });
+  assert.deepEqual(employeeScope({ user: acmeAdmin }, 'e.'), { sql: " AND e.company_id = ? AND e.role <> 'super_admin'", values: [1] });
+});
+
+test('only a super admin manages companies', () => {
+  assert.equal(hasPermission(acmeAdmin, 'companies:manage'), false);
+  assert.equal(hasPermission(superAdmin, 'companies:manage'), true);
+  assert.equal(hasPermission(superAdmin, 'visitors:checkinout'), true);
+});
+
+test('another company\'s rows look like rows that do not exist', async () => {
+  const other = await request(as(companyRoutes, '/companies', acmeAdmin), 'GET', '/companies/2');
+  assert.equal(other.status, 404);
+  assert.deepEqual(db.find(/FROM companies WHERE id/)[0].values, ['2', 1]);
+
+  db.reset();
+  db.on(/FROM companies WHERE id/, [{ id: 2, company_name: 'Globex' }]);
+  const any = await request(as(companyRoutes, '/companies', superAdmin), 'GET', '/companies/2');
+  assert.equal(any.status, 200);
+  assert.deepEqual(db.find(/FROM companies WHERE id/)[0].values, ['2']);
+});
+
+test('a tenant\'s new rows land in their own company', async () => {
+  db.on(/INSERT INTO departments/, { insertId: 4 });
+  const app = as(departmentRoutes, '/api/departments', acmeAdmin);
+  const res = await request(app, 'POST', '/api/departments', { body: { name: 'Ops', status: 'Active' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(db.find(/INSERT INTO departments/)[0].values, [1, 'Ops', 'Active']);
+
+  // Naming another company's id fails the reference check, which is scoped to the tenant
+  db.reset();
+  db.on(/AS check_index/, []);
+  const foreign = await request(app, 'POST', '/api/departments', { body: { company_id: 2, name: 'Ops', status: 'Active' } });
+  assert.equal(foreign.status, 400);
+  assert.deepEqual(foreign.body.errors, [{ in: 'body', field: 'company_id', message: 'company 2 does not exist' }]);
+  const [check] = db.find(/AS check_index/);
+  assert.match(check.sql, /FROM companies WHERE id = \? AND deleted_at IS NULL AND id = \?$/);
+  assert.deepEqual(check.values, [2, 1]);
+});
@@ -0,0 +1,98 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { installFakeDb, existingReferences } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const departmentRoutes = require('../routes/department');
+const designationRoutes = require('../routes/designation');
+const { checkValue } = require('../middleware/validate');
+const { errorHandler } = require('../utils/errors');
+
+const admin = { user: { id: 1, role: 'admin', company_id: 1 } };
+const departments = appWith('/api/departments', departmentRoutes, admin);
+const designations = appWith('/api/designations', designationRoutes, admin);
+
+beforeEach(() => {
+  db.reset();
+  db.on(/AS check_index/, existingReferences({ departments: 1 }));
+});
+
+test('every invalid field is reported at once, with where it was sent', async () => {
+  const res = await request(departments, 'POST', '/api/departments', { body: { company_id: 'acme', name: ' ', status: 'Live' } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body, {
+    message: 'Validation failed',
+    errors: [
+      { in: 'body', field: 'company_id', message: 'must be a whole number' },
+      { in: 'body', field: 'name', message: 'must not be empty' },
+      { in: 'body', field: 'status', message: 'must be one of: Active, Inactive' }
+    ]
+  });
+  assert.equal(db.calls.length, 0);
+});
+
+test('form strings are coerced to the schema types before the handler sees them', async () => {
+  db.on(/INSERT INTO departments/, { insertId: 4 });
+  const res = await request(departments, 'POST', '/api/departments', { body: { company_id: '1', name: 'Ops', status: 'Active' } });
+  assert.equal(res.status, 200);
+  const [insert] = db.find(/INSERT INTO departments/);
+  assert.deepEqual(insert.values, [1, 'Ops', 'Active']);
+
+  const errors = [];
+  assert.deepEqual(checkValue({ dry_run: 'true', duplicates: '' }, 'EmployeeImportOptions', '', errors), { dry_run: true, duplicates: '' });
+  assert.deepEqual(errors, []);
+});
+
+test('foreign keys must exist and belong to their parent', async () => {
+  db.on(/AS check_index/, (values, sql) => existingReferences({ departments: 2 })(values, sql).filter(row => row.check_index !== 0));
+  const res = await request(designations, 'POST', '/api/designations', {
+    body: { company_id: 9, department_id: 5, name: 'Lead', status: 'Active' }
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [
+    { in: 'body', field: 'company_id', message: 'company 9 does not exist' },
+    { in: 'body', field: 'department_id', message: 'department 5 does not belong to company_id 9' }
+  ]);
+  assert.equal(db.find(/INSERT/).length, 0);
+});
+
+test('ids in the path must be positive whole numbers', async () => {
+  const res = await request(departments, 'GET', '/api/departments/1;DROP');
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [{ in: 'path', field: 'id', message: 'must be a positive whole number' }]);
+});
+
+test('constraint violations become 409s without leaking the SQL', async () => {
+  db.on(/INSERT INTO departments/, () => {
+    throw Object.assign(new Error('dup'), { code: 'ER_DUP_ENTRY', sqlMessage: "Duplicate entry 'Ops' for key 'departments.name'", sql: 'INSERT ...' });
+  });
+  const res = await request(departments, 'POST', '/api/departments', { body: { company_id: 1, name: 'Ops', status: 'Active' } });
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body, { message: 'Conflict', errors: [{ in: 'body', field: 'name', message: 'already exists' }] });
+});
+
+test('malformed JSON bodies get the same envelope', async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/', (req, res) => res.json({}));
+  app.use(errorHandler);
+  const bad = await fetchRaw(app, '{"name":');
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.errors, [{ in: 'body', field: null, message: 'Request body is not valid JSON' }]);
+});
+
+const fetchRaw = async (app, text) => {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`, {
+      method: 'POST', headers: { 'content-type': 'application/json' }, body: text
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+};
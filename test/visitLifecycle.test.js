@@ -0,0 +1,43 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const visitorRoutes = require('../routes/visitors');
+
+const app = appWith('/api/visitors', visitorRoutes, { user: { id: 3, role: 'security', company_id: 1 } });
+
+beforeEach(() => db.reset());
+
+test('check-in stamps who, when and at which gate, from expected only', async () => {
+  db.on(/^UPDATE visitors/, { affectedRows: 1 });
+  const res = await request(app, 'POST', '/api/visitors/5/check-in', { body: { gate: 'north' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { id: 5, status: 'checked_in' });
+
+  const [update] = db.find(/^UPDATE visitors/);
+  assert.match(update.sql, /check_in_at = NOW\(\), checked_in_by = \?, check_in_gate = \?/);
+  assert.deepEqual(update.values, ['checked_in', 3, 'north', '5', ['expected'], 1]);
+});
+
+test('a second check-out is refused with the current status', async () => {
+  db.on(/^UPDATE visitors/, { affectedRows: 0 });
+  db.on(/SELECT status FROM visitors/, [{ status: 'checked_out' }]);
+  const res = await request(app, 'POST', '/api/visitors/5/check-out');
+  assert.equal(res.status, 409);
+  assert.equal(res.body.status, 'checked_out');
+});
+
+test('transitions on a missing visit answer 404', async () => {
+  db.on(/^UPDATE visitors/, { affectedRows: 0 });
+  db.on(/SELECT status FROM visitors/, []);
+  const res = await request(app, 'POST', '/api/visitors/99/check-in');
+  assert.equal(res.status, 404);
+});
+
+test('the status endpoint only accepts known target states', async () => {
+  const res = await request(app, 'PUT', '/api/visitors/5/status', { body: { status: 'teleported' } });
+  assert.equal(res.status, 400);
+  assert.equal(db.find(/^UPDATE/).length, 0);
+});
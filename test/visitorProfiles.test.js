@@ -0,0 +1,85 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { installFakeDb, existingReferences } = require('./helpers/fakeDb');
+const { appWith, request } = require('./helpers/http');
+
+const db = installFakeDb();
+const { normaliseIdentifiers } = require('../utils/visitorProfiles');
+const { blindIndex, decrypt, encrypt } = require('../utils/pii');
+const visitorRoutes = require('../routes/visitors');
+const profileRoutes = require('../routes/visitorProfiles');
+
+const reception = appWith('/api/visitors', visitorRoutes, { user: { id: 3, role: 'receptionist', company_id: 1 } });
+const profiles = appWith('/api/visitor-profiles', profileRoutes, { user: { id: 3, role: 'receptionist', company_id: 1 } });
+
+beforeEach(() => {
+  db.reset();
+  db.on(/AS check_index/, existingReferences({ employees: 1 }));
+});
+
+test('identifiers are normalised before they are stored or compared', () => {
+  assert.deepEqual(normaliseIdentifiers({ phone: '+91 98765-43210', email: ' Ravi@Example.COM ', aadhar_no: '1234 5678 9012' }), {
+    phone: '9876543210', email: 'ravi@example.com', aadhar_no: '123456789012'
+  });
+  assert.deepEqual(normaliseIdentifiers({}), { phone: null, email: null, aadhar_no: null });
+});
+
+test('a returning visitor is matched to their profile and gaps are filled from it', async () => {
+  db.on(/FROM visitor_profiles\s+WHERE/, [{ id: 6, first_name: 'Ravi', phone: encrypt('9876543210'), address: encrypt('12 MG Road') }]);
+  db.on(/INSERT INTO visitors/, { insertId: 40 });
+  const res = await request(reception, 'POST', '/api/visitors', { body: { first_name: 'Ravi', phone: '098765 43210', whom_to_meet: 2 } });
+  assert.equal(res.body.profile_id, 6);
+
+  const [insert] = db.find(/INSERT INTO visitors/);
+  assert.equal(insert.values[0], 6);
+  assert.ok(insert.values.some(value => decrypt(value) === '12 MG Road'));
+  assert.ok(!insert.values.includes('12 MG Road'));
+  const [lookup] = db.find(/FROM visitor_profiles\s+WHERE/);
+  assert.equal(lookup.values[0], blindIndex('phone', '9876543210'));
+  assert.equal(db.find(/INSERT INTO visitor_profiles/).length, 0);
+  assert.equal(db.find(/SET last_visit_at = NOW\(\)/).length, 1);
+});
+
+test('a first-time visitor gets a new profile', async () => {
+  db.on(/INSERT INTO visitor_profiles/, { insertId: 7 });
+  db.on(/INSERT INTO visitors/, { insertId: 41 });
+  const res = await request(reception, 'POST', '/api/visitors', { body: { first_name: 'Meera', email: 'Meera@Example.com', whom_to_meet: 2 } });
+  assert.equal(res.body.profile_id, 7);
+  const [created] = db.find(/INSERT INTO visitor_profiles/);
+  assert.match(created.sql, /email_hash/);
+  assert.ok(created.values[0].includes(blindIndex('email', 'meera@example.com')));
+  assert.ok(!created.values[0].includes('meera@example.com'));
+});
+
+test('returning visitors are only matched within the company being visited', async () => {
+  db.on(/INSERT INTO visitor_profiles/, { insertId: 8 });
+  db.on(/INSERT INTO visitors/, { insertId: 42 });
+  await request(reception, 'POST', '/api/visitors', { body: { first_name: 'Ravi', phone: '9876543210', whom_to_meet: 2 } });
+
+  const [lookup] = db.find(/FROM visitor_profiles\s+WHERE/);
+  assert.match(lookup.sql, /company_id = \?/);
+  assert.equal(lookup.values[1], 1, 'the receptionist\'s company, after the phone hash');
+  const [created] = db.find(/INSERT INTO visitor_profiles/);
+  assert.match(created.sql, /company_id/);
+  assert.equal(created.values[0][0], 1);
+});
+
+test('an unknown profile_id is rejected, not turned into a new profile', async () => {
+  db.on(/AS check_index/, (values, sql) => existingReferences({ employees: 1 })(values, sql).filter(row => row.id !== 99));
+  const res = await request(reception, 'POST', '/api/visitors', { body: { profile_id: 99, first_name: 'X', whom_to_meet: 2 } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [{ in: 'body', field: 'profile_id', message: 'visitor_profile 99 does not exist' }]);
+  assert.equal(db.find(/INSERT/).length, 0);
+});
+
+test('lookup needs an identifier', async () => {
+  const res = await request(profiles, 'GET', '/api/visitor-profiles/lookup?first_name=Ravi');
+  assert.equal(res.status, 400);
+});
+
+test('hosts only see their own visits in a profile history', async () => {
+  const host = appWith('/api/visitor-profiles', profileRoutes, { user: { id: 2, role: 'host', company_id: 1 } });
+  await request(host, 'GET', '/api/visitor-profiles/6/visits');
+  assert.deepEqual(db.calls[0].values, ['6', 1, 2]);
+});
@@ -0,0 +1,189 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const { readImage } = require('./storage');
+
+// Common badge-printer stock, in millimetres (landscape)
+const BADGE_SIZES = {
+  cr80: { width: 85.6, height: 54 },
+  '4x3': { width: 101.6, height: 76.2 },
+  '4x6': { width: 152.4, height: 101.6 }
+};
+
+const PNG_DPI = 300;
+const PT_PER_MM = 72 / 25.4;
+
+// Cut text so it fits `width` mm at `size` pt, assuming an average Helvetica glyph of ~0.55em (bold ~0.65em)
+const fit = (text, width, size, bold = false) => {
+  const value = String(text || '');
+  const max = Math.max(1, Math.floor(width / (((bold ? 0.65 : 0.55) * size) / PT_PER_MM)));
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+}) : '-');
+
+const initials = (visitor) => [visitor.first_name, visitor.last_name]
+  .filter(Boolean)
+  .map(name => name[0].toUpperCase())
+  .join('');
+
+const scaleOf = ({ width, height }) => Math.min(width / BADGE_SIZES.cr80.width, height / BADGE_SIZES.cr80.height);
+
+// Templates lay a badge out as boxes in millimetres; the PDF and PNG renderers
+// below draw the same boxes, so both formats always match.
+const TEMPLATES = {
+  // Header band, photo with name/host/department beside it, dates and QR along the bottom
+  standard: (size, badge) => {
+    const { width, height } = size;
+    const scale = scaleOf(size);
+    const pad = 4 * scale;
+    const header = 8.5 * scale;
+    const photo = 22 * scale;
+    const qr = 22 * scale;
+    const textX = pad * 2 + photo;
+    const sideWidth = width - textX - pad;
+    const footWidth = width - qr - pad * 3;
+    const line = (y, text, textSize, bold) => ({ type: 'text', x: textX, y, size: textSize * scale, bold, text: fit(text, sideWidth, textSize * scale, bold) });
+
+    return [
+      { type: 'rect', x: 0, y: 0, w: width, h: header, fill: '#1f4e79' },
+      { type: 'text', x: pad, y: header * 0.68, size: 9 * scale, bold: true, color: '#ffffff', text: 'VISITOR' },
+      { type: 'text', x: width - pad, y: header * 0.68, size: 6 * scale, color: '#ffffff', align: 'right', text: fit(badge.company_name, width / 2, 6 * scale) },
+      { type: 'image', x: pad, y: header + pad, w: photo, h: photo, image: badge.photo, placeholder: badge.initials },
+      line(header + pad + 4 * scale, badge.name, 10, true),
+      line(header + pad + 9.5 * scale, `Host: ${badge.host_name}`, 6),
+      line(header + pad + 13.5 * scale, badge.department_name, 6),
+      { type: 'text', x: pad, y: height - pad - 4 * scale, size: 5.5 * scale, text: fit(`Visit: ${badge.visit_date}`, footWidth, 5.5 * scale) },
+      { type: 'text', x: pad, y: height - pad, size: 5.5 * scale, text: fit(`Valid until: ${badge.valid_until}`, footWidth, 5.5 * scale) },
+      { type: 'image', x: width - qr - pad, y: height - qr - pad, w: qr, h: qr, image: badge.qr }
+    ];
+  },
+  // Name and host next to a large QR, for small thermal labels
+  compact: (size, badge) => {
+    const { width, height } = size;
+    const scale = scaleOf(size);
+    const pad = 4 * scale;
+    const qr = Math.min(height - pad * 2, width * 0.45);
+    const textX = pad * 1.5;
+    const textWidth = width - qr - textX - pad * 2;
+
+    return [
+      { type: 'rect', x: 0, y: 0, w: pad * 0.6, h: height, fill: '#1f4e79' },
+      { type: 'text', x: textX, y: pad + 5 * scale, size: 7 * scale, bold: true, color: '#1f4e79', text: 'VISITOR' },
+      { type: 'text', x: textX, y: pad + 15 * scale, size: 10 * scale, bold: true, text: fit(badge.name, textWidth, 10 * scale, true) },
+      { type: 'text', x: textX, y: pad + 21 * scale, size: 6 * scale, text: fit(`Host: ${badge.host_name}`, textWidth, 6 * scale) },
+      { type: 'text', x: textX, y: height - pad - 4 * scale, size: 5 * scale, text: 'Valid until' },
+      { type: 'text', x: textX, y: height - pad, size: 5 * scale, text: fit(badge.valid_until, textWidth, 5 * scale) },
+      { type: 'image', x: width - qr - pad, y: (height - qr) / 2, w: qr, h: qr, image: badge.qr }
+    ];
+  }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderPdf = (size, elements) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: [size.width * PT_PER_MM, size.height * PT_PER_MM], margin: 0 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  elements.forEach(el => {
+    const x = el.x * PT_PER_MM;
+    const y = el.y * PT_PER_MM;
+    if (el.type === 'rect') {
+      doc.rect(x, y, el.w * PT_PER_MM, el.h * PT_PER_MM).fill(el.fill);
+    } else if (el.type === 'text') {
+      doc.font(el.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(el.size).fillColor(el.color || '#000000');
+      const width = doc.widthOfString(el.text);
+      // Text boxes are positioned by baseline like SVG; pdfkit positions by top
+      doc.text(el.text, el.align === 'right' ? x - width : x, y - el.size * 0.8, { lineBreak: false });
+    } else if (el.image) {
+      doc.image(el.image, x, y, { fit: [el.w * PT_PER_MM, el.h * PT_PER_MM], align: 'center', valign: 'center' });
+    } else {
+      doc.rect(x, y, el.w * PT_PER_MM, el.h * PT_PER_MM).fill('#d9d9d9');
+      doc.font('Helvetica-Bold').fontSize(el.h * PT_PER_MM * 0.35).fillColor('#666666')
+        .text(el.placeholder || '?', x, y + el.h * PT_PER_MM * 0.3, { width: el.w * PT_PER_MM, align: 'center', lineBreak: false });
+    }
+  });
+  doc.end();
+});
+
+const renderPng = (size, elements) => {
+  const px = PNG_DPI / 25.4;
+  const ptToPx = PNG_DPI / 72;
+  const parts = elements.map(el => {
+    const x = el.x * px;
+    const y = el.y * px;
+    if (el.type === 'rect') {
+      return `<rect x="${x}" y="${y}" width="${el.w * px}" height="${el.h * px}" fill="${el.fill}"/>`;
+    }
+    if (el.type === 'text') {
+      return `<text x="${x}" y="${y}" font-family="Helvetica, Arial, sans-serif" font-size="${el.size * ptToPx}"`
+        + ` font-weight="${el.bold ? 'bold' : 'normal'}" fill="${el.color || '#000000'}"`
+        + ` text-anchor="${el.align === 'right' ? 'end' : 'start'}">${escapeXml(el.text)}</text>`;
+    }
+    if (el.image) {
+      return `<image x="${x}" y="${y}" width="${el.w * px}" height="${el.h * px}" preserveAspectRatio="xMidYMid meet"`
+        + ` href="data:image/png;base64,${el.image.toString('base64')}"/>`;
+    }
+    return `<rect x="${x}" y="${y}" width="${el.w * px}" height="${el.h * px}" fill="#d9d9d9"/>`
+      + `<text x="${x + (el.w * px) / 2}" y="${y + el.h * px * 0.62}" font-family="Helvetica, Arial, sans-serif"`
+      + ` font-size="${el.h * px * 0.35}" font-weight="bold" fill="#666666" text-anchor="middle">${escapeXml(el.placeholder || '?')}</text>`;
+  });
+
+  const width = Math.round(size.width * px);
+  const height = Math.round(size.height * px);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>${parts.join('')}</svg>`;
+  return sharp(Buffer.from(svg), { density: 72 }).png().toBuffer();
+};
+
+// Photo as PNG, or null when the file is missing or unreadable
+const loadPhoto = async (image) => {
+  if (!image) return null;
+  try {
+    const file = await readImage(image);
+    if (!file) return null;
+    return await sharp(file).rotate().resize(400, 400, { fit: 'cover' }).png().toBuffer();
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Render a print-ready visitor badge.
+ * `visitor` is a visitors row joined with host_name, company_name and department_name;
+ * `qrUrl` is the signed sign-out URL and `validUntil` its expiry.
+ * Resolves to { buffer, contentType }.
+ */
+const renderBadge = async (visitor, { qrUrl, validUntil, format = 'pdf', template = 'standard', size = 'cr80' }) => {
+  const badgeSize = BADGE_SIZES[size];
+  const layout = TEMPLATES[template];
+  if (!badgeSize) throw new Error(`Unknown badge size: ${size}`);
+  if (!layout) throw new Error(`Unknown badge template: ${template}`);
+
+  const badge = {
+    name: [visitor.first_name, visitor.last_name].filter(Boolean).join(' '),
+    initials: initials(visitor),
+    host_name: visitor.host_name || '-',
+    company_name: visitor.company_name || '',
+    department_name: visitor.department_name || '',
+    visit_date: formatDate(visitor.check_in_at || visitor.created_at),
+    valid_until: formatDate(validUntil),
+    photo: await loadPhoto(visitor.image),
+    qr: await QRCode.toBuffer(qrUrl, { margin: 1, width: 400 })
+  };
+
+  const elements = layout(badgeSize, badge);
+  if (format === 'png') return { buffer: await renderPng(badgeSize, elements), contentType: 'image/png' };
+  return { buffer: await renderPdf(badgeSize, elements), contentType: 'application/pdf' };
+};
+
+module.exports = { BADGE_SIZES, BADGE_TEMPLATES: Object.keys(TEMPLATES), loadPhoto, renderBadge };
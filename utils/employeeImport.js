@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const bcrypt = require('bcrypt');
+const ExcelJS = require('exceljs');
+const db = require('../db');
+const { SUPER_ADMIN, ROLES, hasPermission } = require('../middleware/rbac');
+const { tenantOf, tenantScope } = require('../middleware/tenant');
+const { recordChange } = require('../middleware/audit');
+const { publicUrl } = require('./publicUrl');
+const { notifyEmployeeInvite } = require('../notifications');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+const DUPLICATE_MODES = ['skip', 'update'];
+const CREDENTIAL_MODES = ['password', 'invite'];
+const MAX_ROWS = 2000;
+
+const GENDERS = ['Male', 'Female', 'Other'];
+const STATUSES = ['Active', 'Inactive'];
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Columns written for a row; company/department/designation arrive as names
+const COLUMNS = [
+  'first_name', 'last_name', 'email', 'phone', 'joining_date', 'gender',
+  'company_id', 'department_id', 'designation_id', 'status', 'role', 'remarks'
+];
+
+const HEADER_ALIASES = {
+  company_name: 'company',
+  department_name: 'department',
+  designation_name: 'designation',
+  email_address: 'email',
+  mobile: 'phone'
+};
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const inviteTtlHours = () => Number(process.env.EMPLOYEE_INVITE_TTL_HOURS || 72);
+// The page behind the link posts the token and new password to /api/auth/accept-invite
+const inviteUrl = (token) => `${process.env.EMPLOYEE_INVITE_URL || publicUrl('/accept-invite')}?token=${token}`;
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const headerKey = (value) => {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return HEADER_ALIASES[key] || key;
+};
+
+const cellValue = (cell) => {
+  if (cell.value instanceof Date) return cell.value.toISOString().slice(0, 10);
+  const text = cell.text === undefined || cell.text === null ? '' : String(cell.text).trim();
+  return text || null;
+};
+
+// YYYY-MM-DD (optionally with a time) or MM-DD-YYYY, the date formats ExcelJS reads from CSV
+const DATE_FORMATS = [
+  { pattern: /^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+Z?)?$/, order: ['year', 'month', 'day'] },
+  { pattern: /^(\d{2})-(\d{2})-(\d{4})$/, order: ['month', 'day', 'year'] }
+];
+
+const parseDate = (text) => {
+  for (const { pattern, order } of DATE_FORMATS) {
+    const match = pattern.exec(text);
+    if (!match) continue;
+    const parts = Object.fromEntries(order.map((part, i) => [part, Number(match[i + 1])]));
+    const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    if (date.getUTCMonth() === parts.month - 1 && date.getUTCDate() === parts.day) return date;
+  }
+  return text;
+};
+
+// ExcelJS turns CSV cells that look like numbers or dates into them, which drops
+// the leading 0 or + of a phone number. Keep every cell as text and parse dates
+// in the joining_date column only; the header row says which column that is.
+const csvCellMap = () => {
+  let headerRow = null;
+  let dateColumn = -1;
+  return (datum, column, row) => {
+    if (!headerRow) {
+      headerRow = row;
+      dateColumn = row.findIndex(value => headerKey(value) === 'joining_date');
+    }
+    if (datum === '') return null;
+    return row !== headerRow && column === dateColumn ? parseDate(datum) : datum;
+  };
+};
+
+// Sheet rows as { row, values } keyed by normalised header, blank rows dropped
+const readRows = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+  try {
+    sheet = format === 'csv'
+      ? await workbook.csv.read(Readable.from(buffer), { map: csvCellMap(), parserOptions: { trim: true } })
+      : (await workbook.xlsx.load(buffer), workbook.worksheets[0]);
+  } catch (err) {
+    throw new ImportError(`Could not read the ${format.toUpperCase()} file: ${err.message}`);
+  }
+  if (!sheet || sheet.rowCount < 2) throw new ImportError('The file has no employee rows');
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = headerKey(cell.text);
+  });
+  ['first_name', 'email', 'company', 'department', 'designation'].forEach(required => {
+    if (!headers.includes(required)) throw new ImportError(`Missing column: ${required}`);
+  });
+
+  const rows = [];
+  sheet.eachRow((sheetRow, number) => {
+    if (number === 1) return;
+    const values = {};
+    headers.forEach((key, column) => {
+      if (key) values[key] = cellValue(sheetRow.getCell(column));
+    });
+    if (Object.values(values).some(Boolean)) rows.push({ row: number, values });
+  });
+  if (rows.length > MAX_ROWS) throw new ImportError(`At most ${MAX_ROWS} rows can be imported at once`);
+  return rows;
+};
+
+// Live companies, departments and designations of the caller's tenant, keyed by lower-cased name within their parent
+const loadDirectory = async (req) => {
+  const company = tenantScope(req, 'id');
+  const tenant = tenantScope(req);
+  const [companies, departments, designations] = await Promise.all([
+    db.query(`SELECT id, company_name AS name FROM companies WHERE deleted_at IS NULL${company.sql}`, company.values),
+    db.query(`SELECT id, company_id, name FROM departments WHERE deleted_at IS NULL${tenant.sql}`, tenant.values),
+    db.query(`SELECT id, department_id, name FROM designations WHERE deleted_at IS NULL${tenant.sql}`, tenant.values)
+  ]);
+  const key = (...parts) => parts.map(part => String(part).trim().toLowerCase()).join(':');
+  return {
+    company: new Map(companies.map(row => [key(row.name), row.id])),
+    department: new Map(departments.map(row => [key(row.company_id, row.name), row.id])),
+    designation: new Map(designations.map(row => [key(row.department_id, row.name), row.id])),
+    key
+  };
+};
+
+const validateRow = ({ values }, directory, seen, req) => {
+  const errors = [];
+  const employee = {
+    first_name: values.first_name,
+    last_name: values.last_name,
+    email: values.email ? values.email.toLowerCase() : null,
+    phone: values.phone,
+    joining_date: values.joining_date,
+    gender: values.gender,
+    status: values.status,
+    role: values.role ? values.role.toLowerCase() : null,
+    remarks: values.remarks
+  };
+
+  if (!employee.first_name) errors.push('first_name is required');
+  if (!employee.email) errors.push('email is required');
+  else if (!EMAIL.test(employee.email)) errors.push('email is not a valid address');
+  else if (seen.has(employee.email)) errors.push(`email repeats row ${seen.get(employee.email)}`);
+  if (employee.joining_date && Number.isNaN(new Date(employee.joining_date).getTime())) {
+    errors.push('joining_date must be a date');
+  }
+  if (employee.gender && !GENDERS.includes(employee.gender)) errors.push(`gender must be one of: ${GENDERS.join(', ')}`);
+  if (employee.status && !STATUSES.includes(employee.status)) errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+  if (employee.role && !ROLES.includes(employee.role)) errors.push(`role must be one of: ${ROLES.join(', ')}`);
+  if (employee.role === SUPER_ADMIN && !hasPermission(req.user, 'companies:manage')) {
+    errors.push(`only a super admin can give the ${SUPER_ADMIN} role`);
+  }
+
+  employee.company_id = directory.company.get(directory.key(values.company)) || null;
+  if (!employee.company_id) {
+    errors.push(`Unknown company: ${values.company || '(blank)'}`);
+  } else {
+    employee.department_id = directory.department.get(directory.key(employee.company_id, values.department)) || null;
+    if (!employee.department_id) {
+      errors.push(`Unknown department for ${values.company}: ${values.department || '(blank)'}`);
+    } else {
+      employee.designation_id = directory.designation.get(directory.key(employee.department_id, values.designation)) || null;
+      if (!employee.designation_id) errors.push(`Unknown designation for ${values.department}: ${values.designation || '(blank)'}`);
+    }
+  }
+  return { employee, errors };
+};
+
+// What each row would do; existing employees are matched by email
+const planImport = async (req, rows, { duplicates }) => {
+  const directory = await loadDirectory(req);
+  const tenant = tenantOf(req.user);
+  // Emails are unique across tenants, so another company's employee still blocks the row
+  const foreign = (current) => tenant !== null && (current.company_id !== tenant || current.role === SUPER_ADMIN);
+  const emails = rows.map(({ values }) => values.email && values.email.toLowerCase()).filter(Boolean);
+  const existing = new Map();
+  if (emails.length) {
+    const found = await db.query('SELECT * FROM employees WHERE email IN (?)', [emails]);
+    found.forEach(row => existing.set(String(row.email).toLowerCase(), row));
+  }
+
+  const seen = new Map();
+  return rows.map(row => {
+    const { employee, errors } = validateRow(row, directory, seen, req);
+    if (employee.email && !seen.has(employee.email)) seen.set(employee.email, row.row);
+    const current = employee.email ? existing.get(employee.email) : null;
+    if (current && foreign(current)) errors.push('email is already in use');
+    else if (current && current.deleted_at) errors.push('email belongs to a deleted employee; restore them instead');
+
+    const plan = { row: row.row, email: employee.email, employee, current };
+    if (errors.length) return { ...plan, action: 'error', errors };
+    if (!current) {
+      return { ...plan, employee: { ...employee, status: employee.status || 'Active', role: employee.role || 'host' }, action: 'create' };
+    }
+    return { ...plan, id: current.id, action: duplicates === 'update' ? 'update' : 'skip' };
+  });
+};
+
+const summarise = (plans, dryRun) => {
+  const count = (action) => plans.filter(plan => plan.action === action).length;
+  return {
+    dry_run: dryRun,
+    total: plans.length,
+    created: count('create'),
+    updated: count('update'),
+    skipped: count('skip'),
+    failed: count('error'),
+    rows: plans.map(({ row, email, action, errors, id, password, invite_url }) => ({
+      row, email, action,
+      ...(id ? { id } : {}),
+      ...(errors ? { errors } : {}),
+      ...(password ? { password } : {}),
+      ...(invite_url ? { invite_url } : {})
+    }))
+  };
+};
+
+/**
+ * Validate an uploaded employee sheet and, unless `dryRun`, import it and its
+ * audit records in one transaction. Nothing is written when any row has errors. New employees get
+ * either a generated password (returned once, in the report) or an invite
+ * link to set their own (`credentials: 'invite'`). Resolves to the report.
+ */
+const importEmployees = async (req, { buffer, format, dryRun, duplicates, credentials }) => {
+  const plans = await planImport(req, await readRows(buffer, format), { duplicates });
+  if (dryRun || plans.some(plan => plan.action === 'error')) return summarise(plans, dryRun);
+
+  const creates = plans.filter(plan => plan.action === 'create');
+  for (const plan of creates) {
+    if (credentials === 'invite') {
+      const token = crypto.randomBytes(24).toString('base64url');
+      plan.invite_token_hash = hashToken(token);
+      plan.invite_url = inviteUrl(token);
+    } else {
+      plan.password = crypto.randomBytes(9).toString('base64url');
+      plan.password_hash = await bcrypt.hash(plan.password, 10);
+    }
+  }
+
+  await db.transaction(async (tx) => {
+    for (const plan of plans) {
+      if (plan.action === 'create') {
+        const result = await tx.query(
+          `INSERT INTO employees (${COLUMNS.join(', ')}, password, invite_token_hash, invite_expires_at)
+           VALUES (?, ?, ?, IF(? IS NULL, NULL, NOW() + INTERVAL ? HOUR))`,
+          [COLUMNS.map(column => plan.employee[column] ?? null), plan.password_hash || null,
+            plan.invite_token_hash || null, plan.invite_token_hash || null, inviteTtlHours()]
+        );
+        plan.id = result.insertId;
+      } else if (plan.action === 'update') {
+        // Blank cells leave the current value alone
+        const columns = COLUMNS.filter(column => plan.employee[column] !== null && plan.employee[column] !== undefined);
+        await tx.query(
+          `UPDATE employees SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => plan.employee[column]), plan.id]
+        );
+      }
+    }
+
+    const changed = plans.filter(plan => plan.action === 'create' || plan.action === 'update');
+    if (!changed.length) return;
+    const rows = await tx.query('SELECT * FROM employees WHERE id IN (?)', [changed.map(plan => plan.id)]);
+    const after = new Map(rows.map(row => [row.id, row]));
+    for (const plan of changed) {
+      await recordChange(req, 'employee', plan.current || null, after.get(plan.id) || null, { conn: tx });
+    }
+  });
+
+  if (credentials === 'invite') {
+    creates.forEach(plan => notifyEmployeeInvite(plan.employee, plan.invite_url, inviteTtlHours()));
+  }
+  return summarise(plans, false);
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  DUPLICATE_MODES,
+  CREDENTIAL_MODES,
+  MAX_ROWS,
+  ImportError,
+  hashToken,
+  importEmployees
+};
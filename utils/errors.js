@@ -0,0 +1,70 @@
+const multer = require('multer');
+
+// The 400 envelope: every problem found, each tied to where it was sent
+const sendValidationError = (res, errors) => res.status(400).json({ message: 'Validation failed', errors });
+
+// MySQL errors a client can fix, mapped to the validation envelope; the raw
+// error (SQL, table and column names) only goes to the server log
+const CLIENT_ERRORS = {
+  ER_DUP_ENTRY: { status: 409, message: 'already exists' },
+  ER_NO_REFERENCED_ROW: { status: 400, message: 'refers to a record that does not exist' },
+  ER_NO_REFERENCED_ROW_2: { status: 400, message: 'refers to a record that does not exist' },
+  ER_ROW_IS_REFERENCED: { status: 409, message: 'is still in use' },
+  ER_ROW_IS_REFERENCED_2: { status: 409, message: 'is still in use' },
+  ER_BAD_NULL_ERROR: { status: 400, message: 'is required' },
+  ER_DATA_TOO_LONG: { status: 400, message: 'is too long' },
+  ER_TRUNCATED_WRONG_VALUE: { status: 400, message: 'has an invalid value' },
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: { status: 400, message: 'has an invalid value' },
+  WARN_DATA_TRUNCATED: { status: 400, message: 'has an invalid value' }
+};
+
+// The database is down or not answering (query timeout); worth retrying shortly
+const UNAVAILABLE = [
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'PROTOCOL_CONNECTION_LOST', 'PROTOCOL_SEQUENCE_TIMEOUT'
+];
+
+// Best-effort column name from the MySQL message, e.g. "Column 'name' cannot be null"
+const columnOf = (err) => {
+  const match = /(?:column|for key|FOREIGN KEY \()\s*['`]?([\w.]+)/i.exec(err.sqlMessage || '');
+  return match ? match[1].split('.').pop() : null;
+};
+
+/**
+ * Send a server-side failure without leaking its details. Database constraint
+ * violations become 400/409 with the usual `errors` list, an unreachable
+ * database 503; anything else is logged and answered with a plain 500.
+ */
+const sendServerError = (res, err) => {
+  const known = err && CLIENT_ERRORS[err.code];
+  if (known) {
+    const field = columnOf(err);
+    return res.status(known.status).json({
+      message: known.status === 409 ? 'Conflict' : 'Validation failed',
+      errors: [{ in: 'body', field, message: field ? known.message : `A value ${known.message}` }]
+    });
+  }
+  console.error(err);
+  if (res.headersSent) return res.end();
+  if (err && UNAVAILABLE.includes(err.code)) {
+    return res.status(503).set('Retry-After', '5').json({ message: 'Database is unavailable; try again shortly' });
+  }
+  res.status(500).json({ message: 'Internal server error' });
+};
+
+/**
+ * Final Express error handler (mounted last in server.js). Route handlers are
+ * async and simply throw, so this is where failed queries end up too. Bad JSON
+ * bodies and rejected uploads are the client's; anything else goes through
+ * sendServerError.
+ */
+const errorHandler = (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ in: 'body', field: null, message: 'Request body is not valid JSON' }]);
+  }
+  if (err instanceof multer.MulterError || (err.status === 400 && err.field)) {
+    return sendValidationError(res, [{ in: 'body', field: err.field || null, message: err.message }]);
+  }
+  sendServerError(res, err);
+};
+
+module.exports = { sendValidationError, sendServerError, errorHandler };
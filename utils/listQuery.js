@@ -0,0 +1,243 @@
+const db = require('../db');
+const { sendValidationError } = require('../middleware/validate');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 200;
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     limit:
+ *       in: query
+ *       name: limit
+ *       description: Page size (max 200)
+ *       schema: { type: integer, default: 25 }
+ *     offset:
+ *       in: query
+ *       name: offset
+ *       description: Rows to skip; ignored when a cursor is given
+ *       schema: { type: integer, default: 0 }
+ *     cursor:
+ *       in: query
+ *       name: cursor
+ *       description: Opaque next_cursor from the previous page, for stable paging through live data
+ *       schema: { type: string }
+ *     sort:
+ *       in: query
+ *       name: sort
+ *       description: Sort field, prefixed with "-" for descending (e.g. -created_at)
+ *       schema: { type: string }
+ *     q:
+ *       in: query
+ *       name: q
+ *       description: Free-text search on names, email and phone
+ *       schema: { type: string }
+ *     from:
+ *       in: query
+ *       name: from
+ *       description: Start of the date range (inclusive)
+ *       schema: { type: string, format: date }
+ *     to:
+ *       in: query
+ *       name: to
+ *       description: End of the date range (inclusive)
+ *       schema: { type: string, format: date }
+ *     deleted:
+ *       in: query
+ *       name: deleted
+ *       description: Soft-deleted rows are left out unless asked for
+ *       schema: { type: string, enum: [exclude, include, only], default: exclude }
+ *   schemas:
+ *     Pagination:
+ *       type: object
+ *       properties:
+ *         total: { type: integer, example: 1280 }
+ *         limit: { type: integer, example: 25 }
+ *         offset: { type: integer, nullable: true, example: 0 }
+ *         has_more: { type: boolean, example: true }
+ *         next_offset: { type: integer, nullable: true, example: 25 }
+ *         next_cursor: { type: string, nullable: true }
+ */
+
+// A malformed list parameter; `errors` is in the validation envelope (see middleware/validate.js)
+class ListQueryError extends Error {
+  constructor(field, message) {
+    super(`${field} ${message}`);
+    this.status = 400;
+    this.errors = [{ in: 'query', field, message }];
+  }
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const DELETED_MODES = ['exclude', 'include', 'only'];
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({
+  v: value instanceof Date ? value.toISOString() : value,
+  d: value instanceof Date,
+  id
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (id === undefined) throw new Error();
+    return { value: d ? new Date(v) : v, id };
+  } catch (err) {
+    throw new ListQueryError('cursor', 'is not a valid cursor');
+  }
+};
+
+const toInt = (value, fallback, name) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new ListQueryError(name, 'must be a non-negative integer');
+  return number;
+};
+
+const toDate = (value, name) => {
+  if (Number.isNaN(new Date(value).getTime())) throw new ListQueryError(name, 'must be a date');
+  return value;
+};
+
+/**
+ * Turn list query-string params into SQL pieces, using only the columns `spec`
+ * whitelists:
+ *   id        - unique column, the sort tie-breaker (e.g. 'v.id')
+ *   sortable  - { field: column }, and defaultSort such as '-created_at'
+ *   filters   - { param: column }; comma-separated values match any of them
+ *   date      - column the from/to range applies to
+ *   search    - columns `q` is matched against with LIKE
+ *   searchExact - optional q => { column: value } for exact matches ORed into
+ *               the search, e.g. keyed hashes of encrypted identifiers
+ *   scope     - optional { sql, values } appended to WHERE, e.g. a host scope
+ *   deleted   - soft-delete column; its rows are hidden unless ?deleted=include|only
+ * Throws ListQueryError for unknown sort fields or malformed values.
+ */
+const buildListQuery = (query, spec) => {
+  const where = ['1 = 1'];
+  const values = [];
+
+  Object.entries(spec.filters || {}).forEach(([param, column]) => {
+    if (query[param] === undefined || query[param] === '') return;
+    const wanted = String(query[param]).split(',').map(value => value.trim()).filter(Boolean);
+    where.push(`${column} IN (?)`);
+    values.push(wanted);
+  });
+
+  if (spec.date && query.from) {
+    where.push(`${spec.date} >= ?`);
+    values.push(toDate(query.from, 'from'));
+  }
+  if (spec.date && query.to) {
+    // A bare date means "until the end of that day"
+    where.push(DATE_ONLY.test(query.to) ? `${spec.date} < DATE_ADD(?, INTERVAL 1 DAY)` : `${spec.date} <= ?`);
+    values.push(toDate(query.to, 'to'));
+  }
+
+  if ((spec.search || spec.searchExact) && query.q) {
+    const term = `%${String(query.q).trim().replace(/[\\%_]/g, '\\$&')}%`;
+    const exact = Object.entries(spec.searchExact ? spec.searchExact(String(query.q)) : {}).filter(([, value]) => value);
+    const clauses = [
+      ...(spec.search || []).map(column => `${column} LIKE ?`),
+      ...exact.map(([column]) => `${column} = ?`)
+    ];
+    where.push(`(${clauses.join(' OR ')})`);
+    (spec.search || []).forEach(() => values.push(term));
+    exact.forEach(([, value]) => values.push(value));
+  }
+
+  if (spec.deleted) {
+    const mode = String(query.deleted || 'exclude');
+    if (!DELETED_MODES.includes(mode)) throw new ListQueryError('deleted', `must be one of: ${DELETED_MODES.join(', ')}`);
+    if (mode === 'exclude') where.push(`${spec.deleted} IS NULL`);
+    if (mode === 'only') where.push(`${spec.deleted} IS NOT NULL`);
+  }
+
+  if (spec.scope && spec.scope.sql) {
+    where.push(spec.scope.sql.replace(/^\s*AND\s+/i, ''));
+    values.push(...spec.scope.values);
+  }
+
+  const sort = String(query.sort || spec.defaultSort || 'id');
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  const sortColumn = field === 'id' ? spec.id : spec.sortable?.[field];
+  if (!sortColumn) {
+    throw new ListQueryError('sort', `must be one of: ${['id', ...Object.keys(spec.sortable || {})].join(', ')}`);
+  }
+  const direction = descending ? 'DESC' : 'ASC';
+
+  const limit = Math.min(toInt(query.limit, DEFAULT_LIMIT, 'limit') || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = toInt(query.offset, 0, 'offset');
+
+  // Keyset paging: rows strictly after the last one seen, in sort order.
+  // Rows whose sort column is NULL are skipped by the comparison, so cursor
+  // callers should sort on non-null columns.
+  const pageWhere = [...where];
+  const pageValues = [...values];
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    const op = descending ? '<' : '>';
+    pageWhere.push(`(${sortColumn} ${op} ? OR (${sortColumn} = ? AND ${spec.id} ${op} ?))`);
+    pageValues.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  return {
+    where: where.join(' AND '),
+    values,
+    pageWhere: pageWhere.join(' AND '),
+    pageValues,
+    orderBy: `${sortColumn} ${direction}, ${spec.id} ${direction}`,
+    sortColumn,
+    limit,
+    offset: query.cursor ? null : offset
+  };
+};
+
+/**
+ * Run a paged list and send `{ data, pagination }`. `spec.select` and `spec.from`
+ * hold the SELECT list and the FROM/JOIN clause, and `spec.mapRow` optionally
+ * reshapes each row on the way out; see buildListQuery for the rest.
+ */
+const sendList = async (req, res, spec) => {
+  let list;
+  try {
+    list = buildListQuery(req.query, spec);
+  } catch (err) {
+    if (err instanceof ListQueryError) return sendValidationError(res, err.errors);
+    throw err;
+  }
+
+  const [{ total }] = await db.query(`SELECT COUNT(*) AS total ${spec.from} WHERE ${list.where}`, list.values);
+
+  // One extra row tells us whether there is a next page
+  const sql = `
+    SELECT ${spec.select}, ${list.sortColumn} AS _sort_key, ${spec.id} AS _cursor_id
+    ${spec.from}
+    WHERE ${list.pageWhere}
+    ORDER BY ${list.orderBy}
+    LIMIT ? OFFSET ?
+  `;
+  const rows = await db.query(sql, [...list.pageValues, list.limit + 1, list.offset || 0]);
+
+  const hasMore = rows.length > list.limit;
+  const page = rows.slice(0, list.limit);
+  const last = page[page.length - 1];
+  const data = page.map(({ _sort_key, _cursor_id, ...row }) => (spec.mapRow ? spec.mapRow(row) : row));
+
+  res.json({
+    data,
+    pagination: {
+      total,
+      limit: list.limit,
+      offset: list.offset,
+      has_more: hasMore,
+      next_offset: hasMore && list.offset !== null ? list.offset + list.limit : null,
+      next_cursor: hasMore ? encodeCursor(last._sort_key, last._cursor_id) : null
+    }
+  });
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, ListQueryError, buildListQuery, sendList };
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned schema migrations. Each file in migrations/ is named
+ * <version>_<name>.js and exports { up, down }: arrays of SQL statements (or
+ * async functions given the connection) run in order. Applied versions are
+ * recorded in schema_migrations. MySQL cannot roll back DDL, so a migration that
+ * fails halfway has to be tidied up by hand before it is run again.
+ *
+ * `connection` is a mysql2/promise connection. migrationStatus also takes
+ * db.pool; the others hold a lock that belongs to one session, so they need a
+ * single connection (e.g. db.getConnection()).
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK = 'vms_schema_migrations';
+
+class MigrationError extends Error {}
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+  .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+  .sort()
+  .map(file => {
+    const [, version, name] = /^(\d+)_([\w-]+)\.js$/.exec(file);
+    const { up, down } = require(path.join(dir, file));
+    if (!Array.isArray(up) || !Array.isArray(down)) {
+      throw new MigrationError(`Migration ${file} must export up and down arrays`);
+    }
+    return { version, name, up, down };
+  });
+
+const ensureTable = (connection) => connection.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(32) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+`);
+
+// Nothing is applied yet on a fresh database, which has no schema_migrations table
+const appliedMigrations = async (connection) => {
+  try {
+    const [rows] = await connection.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows;
+  } catch (err) {
+    if (err.code === 'ER_NO_SUCH_TABLE') return [];
+    throw err;
+  }
+};
+
+const runSteps = async (connection, steps) => {
+  for (const step of steps) {
+    if (typeof step === 'function') await step(connection);
+    else await connection.query(step);
+  }
+};
+
+// Only one process migrates at a time (e.g. several instances deploying together)
+const withLock = async (connection, work) => {
+  const [[{ locked }]] = await connection.query('SELECT GET_LOCK(?, 30) AS locked', [LOCK]);
+  if (!locked) throw new MigrationError('Another process is running migrations; try again shortly');
+  try {
+    await ensureTable(connection);
+    return await work();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [LOCK]);
+  }
+};
+
+/**
+ * Every known migration with whether it is applied, plus applied versions this
+ * code does not know about (a newer release ran against the database).
+ */
+const migrationStatus = async (connection) => {
+  const applied = new Map((await appliedMigrations(connection)).map(row => [row.version, row]));
+  const migrations = loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: applied.get(migration.version)?.applied_at || null
+  }));
+  const known = new Set(migrations.map(migration => migration.version));
+  const unknown = [...applied.values()].filter(row => !known.has(row.version));
+  return { migrations, pending: migrations.filter(migration => !migration.applied_at), unknown };
+};
+
+// Apply pending migrations in order, up to and including `to`. Resolves to those applied.
+const migrateUp = (connection, { to } = {}) => withLock(connection, async () => {
+  const applied = new Set((await appliedMigrations(connection)).map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version) && (!to || Number(migration.version) <= Number(to)));
+  for (const migration of pending) {
+    try {
+      await runSteps(connection, migration.up);
+    } catch (err) {
+      throw new MigrationError(`Migration ${migration.version}_${migration.name} failed: ${err.message}`);
+    }
+    await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+  }
+  return pending;
+});
+
+// Roll back the latest `steps` applied migrations. Resolves to those rolled back.
+const migrateDown = (connection, { steps = 1 } = {}) => withLock(connection, async () => {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const latest = (await appliedMigrations(connection)).reverse().slice(0, steps);
+  const rolledBack = [];
+  for (const row of latest) {
+    const migration = migrations.get(row.version);
+    if (!migration) throw new MigrationError(`Migration ${row.version}_${row.name} is not in this release and cannot be rolled back`);
+    try {
+      await runSteps(connection, migration.down);
+    } catch (err) {
+      throw new MigrationError(`Rolling back ${migration.version}_${migration.name} failed: ${err.message}`);
+    }
+    await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    rolledBack.push(migration);
+  }
+  return rolledBack;
+});
+
+// Record migrations up to `version` as applied without running them, for a
+// database that was built by hand before migrations existed
+const baseline = (connection, version) => withLock(connection, async () => {
+  const migrations = loadMigrations().filter(migration => Number(migration.version) <= Number(version));
+  if (!migrations.length) throw new MigrationError(`No migration at or before ${version}`);
+  for (const migration of migrations) {
+    await connection.query('INSERT IGNORE INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+  }
+  return migrations;
+});
+
+module.exports = { MIGRATIONS_DIR, MigrationError, loadMigrations, migrationStatus, migrateUp, migrateDown, baseline };
@@ -0,0 +1,103 @@
+const PDFDocument = require('pdfkit');
+const { loadPhoto } = require('./badge');
+
+const PT_PER_MM = 72 / 25.4;
+const MARGIN = 12 * PT_PER_MM;
+const ROW = 16 * PT_PER_MM;
+const PHOTO = 13 * PT_PER_MM;
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString('en-IN', {
+  day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+}) : '-');
+
+/**
+ * Printable muster list: one section per department, hosts within it, and a row per
+ * visitor with photo, phone, check-in and an accounted-for box to tick by hand.
+ * `groups` is the shape groupOnSite builds. Resolves to the PDF buffer.
+ */
+const renderMusterPdf = async ({ title, generatedAt, summary, groups }) => {
+  // Photos are loaded up front; pdfkit draws synchronously
+  const photos = new Map();
+  for (const department of groups) {
+    for (const host of department.hosts) {
+      for (const visitor of host.visitors) {
+        photos.set(visitor.id, await loadPhoto(visitor.image));
+      }
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - MARGIN * 2;
+    const bottom = doc.page.height - MARGIN;
+    let y = MARGIN;
+    const ensure = (height) => {
+      if (y + height <= bottom) return;
+      doc.addPage();
+      y = MARGIN;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000').text(title, MARGIN, y);
+    y += 22;
+    doc.font('Helvetica').fontSize(9).fillColor('#444444')
+      .text(`Generated ${formatTime(generatedAt)}  |  On list: ${summary.total}  |  Accounted: ${summary.accounted}  |  Missing: ${summary.missing}`, MARGIN, y);
+    y += 20;
+
+    if (!groups.length) {
+      doc.font('Helvetica').fontSize(11).fillColor('#000000').text('Nobody is on site.', MARGIN, y);
+    }
+
+    groups.forEach(department => {
+      ensure(18 + 14 + ROW);
+      doc.rect(MARGIN, y, width, 16).fill('#1f4e79');
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#ffffff')
+        .text(`${department.department_name} (${department.count})`, MARGIN + 4, y + 4, { lineBreak: false });
+      y += 20;
+
+      department.hosts.forEach(host => {
+        ensure(14 + ROW);
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#1f4e79')
+          .text(`Host: ${host.host_name}${host.host_phone ? `  (${host.host_phone})` : ''}`, MARGIN, y, { lineBreak: false });
+        y += 14;
+
+        host.visitors.forEach(visitor => {
+          ensure(ROW);
+          const photo = photos.get(visitor.id);
+          if (photo) {
+            doc.image(photo, MARGIN, y, { fit: [PHOTO, PHOTO] });
+          } else {
+            doc.rect(MARGIN, y, PHOTO, PHOTO).fill('#d9d9d9');
+          }
+          const textX = MARGIN + PHOTO + 8;
+          doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000')
+            .text(visitor.name, textX, y + 2, { width: width * 0.45, lineBreak: false, ellipsis: true });
+          doc.font('Helvetica').fontSize(8).fillColor('#444444')
+            .text(`Phone: ${visitor.phone || '-'}`, textX, y + 16, { lineBreak: false })
+            .text(`In: ${formatTime(visitor.check_in_at)}${visitor.check_in_gate ? ` at ${visitor.check_in_gate}` : ''}`, textX + width * 0.28, y + 16, { lineBreak: false });
+
+          // Tick box, pre-ticked when the guard already marked them in the app
+          const boxX = MARGIN + width - 70;
+          doc.rect(boxX, y + 3, 10, 10).lineWidth(0.8).stroke('#000000');
+          if (visitor.accounted_at) {
+            doc.font('Helvetica-Bold').fontSize(9).fillColor('#000000').text('X', boxX + 2, y + 4, { lineBreak: false });
+          }
+          doc.font('Helvetica').fontSize(8).fillColor('#000000').text('Accounted', boxX + 14, y + 5, { lineBreak: false });
+
+          doc.moveTo(MARGIN, y + ROW - 2).lineTo(MARGIN + width, y + ROW - 2).lineWidth(0.3).stroke('#bbbbbb');
+          y += ROW;
+        });
+        y += 4;
+      });
+      y += 6;
+    });
+
+    doc.end();
+  });
+};
+
+module.exports = { renderMusterPdf };
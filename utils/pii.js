@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const db = require('../db');
+dotenv.config();
+
+// Visitor fields that are encrypted at rest and masked in responses
+const PII_FIELDS = ['aadhar_no', 'phone', 'email', 'address'];
+// Fields that also get a keyed hash column (`<field>_hash`) so they can be looked up
+const HASHED_FIELDS = ['aadhar_no', 'phone', 'email'];
+
+const PREFIX = 'enc';
+
+class PiiKeyError extends Error {}
+
+// Identifiers are compared normalised so "+91 98765-43210" and "9876543210" are the same person
+const normaliseIdentifiers = ({ phone, email, aadhar_no }) => ({
+  phone: String(phone || '').replace(/\D/g, '').slice(-10) || null,
+  email: String(email || '').trim().toLowerCase() || null,
+  aadhar_no: String(aadhar_no || '').replace(/\D/g, '') || null
+});
+
+// PII_KEYS is a keyring of "<id>:<base64 32-byte key>" pairs. New values are
+// written with PII_ACTIVE_KEY (default: the last one listed); older keys stay
+// listed so existing values can still be read until they are re-encrypted.
+const keyring = () => {
+  const keys = new Map();
+  String(process.env.PII_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [id, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!id || key.length !== 32) throw new PiiKeyError(`PII key "${id}" must be 32 bytes, base64 encoded`);
+    keys.set(id, key);
+  });
+  if (!keys.size) throw new PiiKeyError('PII_KEYS is not configured');
+  const activeId = process.env.PII_ACTIVE_KEY || [...keys.keys()].pop();
+  if (!keys.has(activeId)) throw new PiiKeyError(`PII_ACTIVE_KEY "${activeId}" is not in PII_KEYS`);
+  return { keys, activeId };
+};
+
+const hashKey = () => {
+  const key = Buffer.from(process.env.PII_HASH_KEY || '', 'base64');
+  if (key.length < 32) throw new PiiKeyError('PII_HASH_KEY must be at least 32 bytes, base64 encoded');
+  return key;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+// AES-256-GCM; stored as enc:<key id>:<iv>:<auth tag>:<ciphertext>
+const encrypt = (value) => {
+  if (value === null || value === undefined || value === '') return value ?? null;
+  const { keys, activeId } = keyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(activeId), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [PREFIX, activeId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+};
+
+// Values written before encryption was switched on are returned as they are
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+  const [, keyId, iv, tag, data] = value.split(':');
+  const key = keyring().keys.get(keyId);
+  if (!key) throw new PiiKeyError(`PII key "${keyId}" is not in PII_KEYS`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Encrypted with the active key already, i.e. nothing to rotate
+const isCurrent = (value) => !value || (isEncrypted(value) && value.split(':')[1] === keyring().activeId);
+
+// Keyed hash of a normalised identifier, for equality lookups without decrypting
+const blindIndex = (field, value) => {
+  const normalised = normaliseIdentifiers({ [field]: value })[field];
+  if (!normalised) return null;
+  return crypto.createHmac('sha256', hashKey()).update(`${field}:${normalised}`).digest('hex');
+};
+
+/**
+ * Column values to write for whichever PII fields `details` contains:
+ * the encrypted field plus its `<field>_hash` lookup column.
+ */
+const sealPii = (details) => {
+  const sealed = {};
+  PII_FIELDS.forEach(field => {
+    if (details[field] === undefined) return;
+    sealed[field] = encrypt(details[field]);
+    if (HASHED_FIELDS.includes(field)) sealed[`${field}_hash`] = blindIndex(field, details[field]);
+  });
+  return sealed;
+};
+
+// Fail fast at startup rather than on the first visitor write
+const checkPiiKeys = () => {
+  keyring();
+  hashKey();
+};
+
+/**
+ * Row with its PII decrypted and the hash columns dropped. A value that cannot
+ * be decrypted (unknown key, tampered data) is logged and returned as null,
+ * unless `strict` is set, in which case the error is thrown.
+ */
+const openPii = (row, { strict = false } = {}) => {
+  if (!row) return row;
+  const opened = { ...row };
+  PII_FIELDS.forEach(field => {
+    if (!(field in opened)) return;
+    try {
+      opened[field] = decrypt(opened[field]);
+    } catch (err) {
+      if (strict) throw err;
+      console.error(`Could not decrypt ${field} of row ${row.id}:`, err.message);
+      opened[field] = null;
+    }
+  });
+  HASHED_FIELDS.forEach(field => delete opened[`${field}_hash`]);
+  return opened;
+};
+
+const MASKS = {
+  aadhar_no: (value) => {
+    const digits = value.replace(/\D/g, '');
+    return `XXXX-XXXX-${digits.slice(-4)}`;
+  },
+  phone: (value) => {
+    const digits = value.replace(/\D/g, '');
+    return `${'X'.repeat(Math.max(digits.length - 4, 0))}${digits.slice(-4)}`;
+  },
+  email: (value) => {
+    const [local, domain] = value.split('@');
+    return domain ? `${local[0] || ''}***@${domain}` : 'XXXX';
+  },
+  address: () => 'XXXX'
+};
+
+// What MASKS produce, so a masked value sent back by a client is not stored as the real one
+const MASKED = {
+  aadhar_no: /^XXXX-XXXX-\d{0,4}$/,
+  phone: /^X+\d{0,4}$/,
+  email: /^(.?\*\*\*@.*|XXXX)$/,
+  address: /^XXXX$/
+};
+
+const isMasked = (field, value) => Boolean(MASKED[field]) && MASKED[field].test(String(value));
+
+// What API responses show by default: last digits of identifiers, nothing of the address
+const maskPii = (row) => {
+  if (!row) return row;
+  const masked = openPii(row);
+  PII_FIELDS.forEach(field => {
+    if (masked[field]) masked[field] = MASKS[field](String(masked[field]));
+  });
+  return masked;
+};
+
+/**
+ * Record in pii_reveals that `fields` of the `entity` rows `ids` are being shown
+ * in full to the caller, and why. Anything revealing PII outside sendReveal
+ * calls this first, so the access log stays complete.
+ */
+const logReveals = async (req, { entity, ids, fields, reason }) => {
+  if (!ids.length) return;
+  const revealedAt = new Date();
+  const rows = ids.map(id => [
+    entity, id, JSON.stringify(fields), String(reason).trim(), req.user?.id || null, req.ip, revealedAt
+  ]);
+  await db.query('INSERT INTO pii_reveals (entity, entity_id, fields, reason, revealed_by, ip, revealed_at) VALUES ?', [rows]);
+};
+
+/**
+ * Reveal handler: returns the requested PII fields of one row in full, after
+ * writing who asked, why, and for what to pii_reveals. Nothing is revealed if
+ * the log write fails. `scope` optionally narrows the row lookup. Mount it
+ * behind validate({ body: 'PiiRevealRequest' }), which vets fields and reason.
+ */
+const sendReveal = async (req, res, { table, entity, notFound, scope = { sql: '', values: [] } }) => {
+  const fields = req.body.fields || PII_FIELDS;
+  const { reason } = req.body;
+
+  const sql = `SELECT id, ${fields.join(', ')} FROM ${table} WHERE id = ?${scope.sql}`;
+  const [row] = await db.query(sql, [req.params.id, ...scope.values]);
+  if (!row) return res.status(404).json({ message: notFound });
+
+  await logReveals(req, { entity, ids: [row.id], fields, reason });
+  res.json(openPii(row, { strict: true }));
+};
+
+module.exports = {
+  PII_FIELDS,
+  HASHED_FIELDS,
+  PiiKeyError,
+  checkPiiKeys,
+  normaliseIdentifiers,
+  encrypt,
+  decrypt,
+  isCurrent,
+  blindIndex,
+  sealPii,
+  openPii,
+  maskPii,
+  isMasked,
+  logReveals,
+  sendReveal
+};
@@ -0,0 +1,10 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+// Absolute URL for links that leave the API (emails, QR codes, photo links)
+const publicUrl = (suffix) => {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  return `${baseUrl}${suffix}`;
+};
+
+module.exports = { publicUrl };
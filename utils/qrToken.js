@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const dotenv = require('dotenv');
+const db = require('../db');
+const { publicUrl } = require('./publicUrl');
+dotenv.config();
+
+const secret = () => process.env.QR_TOKEN_SECRET || process.env.JWT_SECRET;
+
+class QrTokenError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const QR_ERRORS = {
+  invalid: () => new QrTokenError(400, 'QR_TOKEN_INVALID', 'QR code is not valid for any visit'),
+  expired: () => new QrTokenError(410, 'QR_TOKEN_EXPIRED', 'QR code has expired'),
+  used: () => new QrTokenError(409, 'QR_TOKEN_USED', 'QR code has already been used'),
+  superseded: () => new QrTokenError(409, 'QR_TOKEN_SUPERSEDED', 'QR code has been replaced by a newer one')
+};
+
+const ttlMs = () => {
+  const hours = Number(process.env.QR_TOKEN_TTL_HOURS || 12);
+  return hours * 60 * 60 * 1000;
+};
+
+// Sign a token for a visit. Passing an existing jti/expiresAt re-renders the
+// same logical token (e.g. for a reprinted card) without extending its life.
+const issueQrToken = (visitorId, { jti = crypto.randomUUID(), expiresAt = new Date(Date.now() + ttlMs()) } = {}) => {
+  const token = jwt.sign(
+    { vid: Number(visitorId), exp: Math.floor(new Date(expiresAt).getTime() / 1000) },
+    secret(),
+    { jwtid: jti }
+  );
+  return { token, jti, expiresAt: new Date(expiresAt) };
+};
+
+// Returns { visitorId, jti } or throws a QrTokenError
+const verifyQrToken = (token) => {
+  try {
+    const payload = jwt.verify(token, secret());
+    if (!payload.vid || !payload.jti) throw QR_ERRORS.invalid();
+    return { visitorId: payload.vid, jti: payload.jti };
+  } catch (err) {
+    if (err instanceof QrTokenError) throw err;
+    if (err.name === 'TokenExpiredError') throw QR_ERRORS.expired();
+    throw QR_ERRORS.invalid();
+  }
+};
+
+const qrSignoutUrl = (token) => publicUrl(`/api/visitors/signout/${token}`);
+
+// The visit's stored token re-rendered, or null when it is missing, used or expired
+const liveToken = (visitor) => {
+  const live = visitor.qr_token_id && visitor.qr_status === 'active' && new Date(visitor.qr_expires_at) > new Date();
+  return live ? issueQrToken(visitor.id, { jti: visitor.qr_token_id, expiresAt: visitor.qr_expires_at }) : null;
+};
+
+// The visit's QR token while it is still live, otherwise a fresh one stored on the
+// visit. The new token only replaces the one `visitor` was read with: when another
+// request minted first, its token is read back and reused, so two cards printed at
+// once carry the same code. Resolves to { issued, minted }; run it in the
+// transaction that audits a minted token.
+const visitToken = async (visitor, conn = db) => {
+  const live = liveToken(visitor);
+  if (live) return { issued: live, minted: false };
+
+  const issued = issueQrToken(visitor.id);
+  const sql = "UPDATE visitors SET qr_token_id = ?, qr_expires_at = ?, qr_status = 'active' WHERE id = ? AND qr_token_id <=> ?";
+  const result = await conn.query(sql, [issued.jti, issued.expiresAt, visitor.id, visitor.qr_token_id ?? null]);
+  if (result.affectedRows) return { issued, minted: true };
+
+  // A locking read sees the winner's commit, which a plain read in this transaction would not
+  const [current] = await conn.query('SELECT id, qr_token_id, qr_expires_at, qr_status FROM visitors WHERE id = ? FOR UPDATE', [visitor.id]);
+  if (!current) throw QR_ERRORS.invalid();
+  return visitToken(current, conn);
+};
+
+const qrCard = async (issued) => {
+  const url = qrSignoutUrl(issued.token);
+  const qr = await QRCode.toDataURL(url);
+  return { qr, qr_url: url, qr_expires_at: issued.expiresAt };
+};
+
+// Card data for the visit's QR token, minting one when needed
+const visitQr = async (visitor, conn = db) => qrCard((await visitToken(visitor, conn)).issued);
+
+module.exports = { QrTokenError, QR_ERRORS, issueQrToken, verifyQrToken, qrSignoutUrl, visitToken, qrCard, visitQr };
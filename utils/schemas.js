@@ -0,0 +1,336 @@
+const { ROLES } = require('../middleware/rbac');
+const { RETENTION_ACTIONS } = require('../jobs/retention');
+const { DESK_TRANSITIONS } = require('./visitLifecycle');
+const { SEVERITIES } = require('./screening');
+const { PII_FIELDS } = require('./pii');
+const { BADGE_SIZES, BADGE_TEMPLATES } = require('./badge');
+const { EXPORT_FORMATS } = require('./tableExport');
+const { DUPLICATE_MODES, CREDENTIAL_MODES } = require('./employeeImport');
+
+/**
+ * Request schemas, in OpenAPI form. server.js publishes them under
+ * components.schemas for the Swagger docs, and middleware/validate.js checks
+ * requests against the same objects, so the two cannot drift apart.
+ *
+ * Integer ids carry x-references ({ table, parent? }) for the foreign-key
+ * checks described in validate.js. Bodies are named <Thing>Input or
+ * <Thing>Update, query strings <Thing>Query.
+ */
+
+const ref = (table, parent) => ({ type: 'integer', minimum: 1, 'x-references': parent ? { table, parent } : { table } });
+
+const TEXT = { type: 'string', minLength: 1 };
+const STATUS = { type: 'string', enum: ['Active', 'Inactive'] };
+const GENDER = { type: 'string', enum: ['Male', 'Female', 'Other'] };
+const EMAIL = { type: 'string', format: 'email', example: 'john.doe@example.com' };
+const PHONE = {
+  type: 'string',
+  pattern: '^\\+?[0-9][0-9 ()-]{5,19}$',
+  'x-pattern-message': 'must be a phone number',
+  example: '9876543210'
+};
+const AADHAR = {
+  type: 'string',
+  pattern: '^\\d{4}[ -]?\\d{4}[ -]?\\d{4}$',
+  'x-pattern-message': 'must be a 12-digit Aadhaar number',
+  example: '1234 5678 9012'
+};
+// Visitor, invitee and watchlist PII; the masked form responses show is refused (see validate.js)
+const pii = (field, schema) => ({ ...schema, 'x-pii': field });
+
+const PASSWORD = { type: 'string', minLength: 8, format: 'password' };
+const DATE = { type: 'string', format: 'date', example: '2025-06-01' };
+const TIME = { type: 'string', format: 'time', example: '10:00' };
+const PHOTO = { type: 'string', format: 'binary', description: 'JPEG, PNG, GIF or WebP; stored resized with a thumbnail' };
+
+const EMPLOYEE_FIELDS = {
+  first_name: TEXT,
+  last_name: { type: 'string' },
+  email: EMAIL,
+  phone: PHONE,
+  joining_date: DATE,
+  gender: GENDER,
+  company_id: ref('companies'),
+  department_id: ref('departments', 'company_id'),
+  designation_id: ref('designations', 'department_id'),
+  status: STATUS,
+  role: { type: 'string', enum: ROLES, default: 'host' },
+  password: PASSWORD,
+  confirm_password: { type: 'string', format: 'password' },
+  remarks: { type: 'string' },
+  image: PHOTO
+};
+
+const VISITOR_FIELDS = {
+  first_name: TEXT,
+  last_name: { type: 'string' },
+  email: pii('email', EMAIL),
+  phone: pii('phone', PHONE),
+  gender: GENDER,
+  company_id: ref('companies'),
+  department_id: ref('departments', 'company_id'),
+  designation_id: ref('designations', 'department_id'),
+  whom_to_meet: { ...ref('employees', 'company_id'), description: 'Employee ID of the host, who must work at company_id' },
+  purpose: { type: 'string' },
+  aadhar_no: pii('aadhar_no', AADHAR),
+  address: pii('address', { type: 'string' }),
+  image: PHOTO
+};
+
+const WATCHLIST_FIELDS = {
+  company_id: { ...ref('companies'), description: 'The company whose visits the entry screens; left out by a super admin, every company\'s' },
+  name: TEXT,
+  phone: pii('phone', PHONE),
+  email: pii('email', EMAIL),
+  aadhar_no: pii('aadhar_no', AADHAR),
+  reason: TEXT,
+  severity: { type: 'string', enum: SEVERITIES },
+  active: { type: 'boolean' }
+};
+
+const GATE = { type: 'object', properties: { gate: { type: 'string', example: 'Main Gate' } } };
+
+const SCHEMAS = {
+  ValidationError: {
+    type: 'object',
+    description: 'Every invalid field in the request, not just the first',
+    properties: {
+      message: { type: 'string', example: 'Validation failed' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            field: { type: 'string', nullable: true, example: 'department_id', description: 'Null when the problem is not one field' },
+            message: { type: 'string', example: 'department 7 does not belong to company_id 2' }
+          }
+        }
+      }
+    }
+  },
+
+  LoginInput: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: { email: { ...TEXT, example: EMAIL.example }, password: { ...TEXT, format: 'password' } }
+  },
+  AcceptInviteInput: {
+    type: 'object',
+    required: ['token', 'password', 'confirm_password'],
+    properties: {
+      token: { ...TEXT, description: 'Token from the invite link' },
+      password: PASSWORD,
+      confirm_password: { type: 'string', format: 'password' }
+    }
+  },
+
+  CompanyInput: {
+    type: 'object',
+    required: ['name', 'status'],
+    properties: { name: { ...TEXT, example: 'Acme Corp' }, status: STATUS }
+  },
+  RetentionPolicy: {
+    type: 'object',
+    properties: {
+      retention_days: { type: 'integer', minimum: 1, nullable: true, example: 180 },
+      retention_action: { type: 'string', enum: RETENTION_ACTIONS, nullable: true }
+    }
+  },
+  DepartmentInput: {
+    type: 'object',
+    required: ['company_id', 'name', 'status'],
+    properties: { company_id: ref('companies'), name: { ...TEXT, example: 'Engineering' }, status: STATUS }
+  },
+  DesignationInput: {
+    type: 'object',
+    required: ['company_id', 'department_id', 'name', 'status'],
+    properties: {
+      company_id: ref('companies'),
+      department_id: ref('departments', 'company_id'),
+      name: { ...TEXT, example: 'Team Lead' },
+      status: STATUS
+    }
+  },
+  ReassignQuery: {
+    type: 'object',
+    properties: { reassign_to: { type: 'integer', minimum: 1, description: 'Row that takes over the active children' } }
+  },
+
+  EmployeeInput: {
+    type: 'object',
+    required: [
+      'first_name', 'last_name', 'email', 'password', 'confirm_password',
+      'company_id', 'department_id', 'designation_id', 'status'
+    ],
+    properties: EMPLOYEE_FIELDS
+  },
+  EmployeeUpdate: {
+    type: 'object',
+    description: 'Only the fields sent are changed; a password needs a matching confirm_password',
+    properties: EMPLOYEE_FIELDS
+  },
+  EmployeeImportOptions: {
+    type: 'object',
+    properties: {
+      dry_run: { type: 'boolean', default: false, description: 'Validate and report only' },
+      duplicates: {
+        type: 'string',
+        enum: DUPLICATE_MODES,
+        default: 'skip',
+        description: 'What to do with rows whose email already belongs to an employee'
+      },
+      credentials: {
+        type: 'string',
+        enum: CREDENTIAL_MODES,
+        default: 'password',
+        description: 'Return a generated password for each new employee, or email them an invite link to set their own'
+      }
+    }
+  },
+
+  VisitorInput: {
+    type: 'object',
+    required: ['whom_to_meet'],
+    anyOf: [{ required: ['first_name'] }, { required: ['profile_id'] }],
+    properties: {
+      profile_id: {
+        ...ref('visitor_profiles'),
+        description: 'Existing visitor profile (from /api/visitor-profiles/lookup); omitted fields and photo are taken from it'
+      },
+      ...VISITOR_FIELDS
+    }
+  },
+  VisitorUpdate: {
+    type: 'object',
+    required: ['first_name', 'whom_to_meet'],
+    properties: VISITOR_FIELDS
+  },
+  GateInput: GATE,
+  VisitStatusChange: {
+    type: 'object',
+    required: ['status'],
+    properties: { status: { type: 'string', enum: DESK_TRANSITIONS }, ...GATE.properties }
+  },
+  DecisionInput: {
+    type: 'object',
+    properties: { note: { type: 'string' } }
+  },
+  BadgeQuery: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['json', 'pdf', 'png'], default: 'json' },
+      template: { type: 'string', enum: BADGE_TEMPLATES, default: 'standard' },
+      size: { type: 'string', enum: Object.keys(BADGE_SIZES), default: 'cr80' }
+    }
+  },
+  PiiRevealRequest: {
+    type: 'object',
+    required: ['reason'],
+    properties: {
+      fields: {
+        type: 'array',
+        description: 'Defaults to all of them',
+        minItems: 1,
+        items: { type: 'string', enum: PII_FIELDS }
+      },
+      reason: { ...TEXT, example: 'Identity check requested by police' }
+    }
+  },
+
+  VisitorProfileUpdate: {
+    type: 'object',
+    properties: {
+      first_name: TEXT,
+      last_name: { type: 'string' },
+      email: pii('email', EMAIL),
+      phone: pii('phone', PHONE),
+      gender: GENDER,
+      aadhar_no: pii('aadhar_no', AADHAR),
+      address: pii('address', { type: 'string' })
+    }
+  },
+  ProfileLookupQuery: {
+    type: 'object',
+    anyOf: [{ required: ['phone'] }, { required: ['email'] }, { required: ['aadhar_no'] }],
+    properties: { phone: PHONE, email: EMAIL, aadhar_no: AADHAR }
+  },
+
+  InvitationInput: {
+    type: 'object',
+    required: ['first_name', 'visit_date'],
+    properties: {
+      host_id: { ...ref('employees'), description: 'Receptionists and admins can invite on behalf of a host; defaults to the caller' },
+      first_name: TEXT,
+      last_name: { type: 'string' },
+      email: pii('email', EMAIL),
+      phone: pii('phone', PHONE),
+      visit_date: DATE,
+      window_start: TIME,
+      window_end: { ...TIME, example: '12:00' },
+      purpose: { type: 'string', example: 'Interview' }
+    }
+  },
+  InvitationQuery: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['pending', 'redeemed', 'cancelled'] },
+      date: DATE
+    }
+  },
+  RedeemInput: {
+    type: 'object',
+    required: ['invite_code'],
+    properties: { invite_code: { ...TEXT, example: 'K7QM2XPA' }, ...GATE.properties }
+  },
+
+  WatchlistInput: {
+    type: 'object',
+    required: ['name', 'reason', 'severity'],
+    properties: WATCHLIST_FIELDS
+  },
+  WatchlistUpdate: {
+    type: 'object',
+    properties: WATCHLIST_FIELDS
+  },
+
+  MusterStart: {
+    type: 'object',
+    properties: {
+      company_id: { ...ref('companies'), description: 'Limit the roll call to one company' },
+      note: { type: 'string', example: 'Fire alarm, block B' }
+    }
+  },
+  MusterQuery: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['json', 'pdf'], default: 'json' },
+      company_id: { type: 'integer', minimum: 1 }
+    }
+  },
+  AccountedInput: {
+    type: 'object',
+    properties: { assembly_point: { type: 'string', example: 'Car park A' } }
+  },
+
+  FileQuery: {
+    type: 'object',
+    properties: {
+      size: { type: 'string', enum: ['full', 'thumb'], default: 'full' },
+      expires: { type: 'integer', minimum: 0 },
+      signature: { type: 'string', pattern: '^[0-9a-f]{64}$', 'x-pattern-message': 'is not a valid signature' }
+    }
+  },
+
+  RegisterQuery: {
+    type: 'object',
+    required: ['from', 'to'],
+    properties: {
+      from: DATE,
+      to: DATE,
+      format: { type: 'string', enum: EXPORT_FORMATS, default: 'json' }
+    }
+  }
+};
+
+module.exports = { SCHEMAS };
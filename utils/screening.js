@@ -0,0 +1,96 @@
+const db = require('../db');
+const { blindIndex, decrypt } = require('./pii');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const SEVERITIES = ['block', 'flag'];
+// Identifiers that match a visitor to an entry outright, in the order matches are reported
+const IDENTIFIERS = ['phone', 'email', 'aadhar_no'];
+
+const normaliseName = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const levenshtein = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = temp;
+    }
+  }
+  return row[b.length];
+};
+
+// 1 for identical names, 0 for nothing in common. Word order is ignored.
+const nameSimilarity = (a, b) => {
+  const left = normaliseName(a);
+  const right = normaliseName(b);
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+const fuzzyThreshold = () => Number(process.env.WATCHLIST_FUZZY_THRESHOLD || 0.85);
+
+// An entry's lookup hash for `field`. Entries still plaintext from before their
+// identifiers were encrypted have none yet, so theirs is computed here.
+const entryHash = (entry, field) => entry[`${field}_hash`] || blindIndex(field, decrypt(entry[field]));
+
+// Compare one visitor against the watchlist entries. Identifier matches (phone, email,
+// Aadhaar) take the entry's severity; name-only matches, exact or fuzzy, are only
+// ever flagged, since two people can share a name. Identifiers are compared by
+// their keyed hashes (utils/pii), so sealed entries are never decrypted.
+const matchEntries = (visitor, entries) => {
+  const visitorName = [visitor.first_name, visitor.last_name].filter(Boolean).join(' ');
+  const hashes = Object.fromEntries(IDENTIFIERS.map(field => [field, blindIndex(field, visitor[field])]));
+  const matches = [];
+
+  entries.forEach(entry => {
+    const identifiers = IDENTIFIERS.filter(field => hashes[field] && hashes[field] === entryHash(entry, field));
+
+    if (identifiers.length) {
+      identifiers.forEach(field => matches.push({
+        watchlist_id: entry.id, field, match: 'exact', score: 1, severity: entry.severity
+      }));
+      return;
+    }
+
+    const score = nameSimilarity(visitorName, entry.name);
+    if (score >= fuzzyThreshold()) {
+      matches.push({
+        watchlist_id: entry.id,
+        field: 'name',
+        match: score === 1 ? 'exact' : 'fuzzy',
+        score: Math.round(score * 100) / 100,
+        severity: 'flag'
+      });
+    }
+  });
+
+  const result = matches.some(m => m.severity === 'block') ? 'blocked' : matches.length ? 'flagged' : 'clear';
+  return { result, matches };
+};
+
+// Entries for the whole deployment and for the visit's company: the one it names, or else its host's
+const ENTRIES_SQL = `
+  SELECT * FROM watchlist
+  WHERE active = 1 AND (
+    company_id IS NULL
+    OR company_id = COALESCE(?, (SELECT host.company_id FROM employees host WHERE host.id = ?))
+  )
+`;
+
+// Screen a visitor against every active watchlist entry that applies to their visit
+const screenVisitor = async (visitor, conn = db) => {
+  const entries = await conn.query(ENTRIES_SQL, [visitor.company_id || null, visitor.whom_to_meet || null]);
+  return matchEntries(visitor, entries);
+};
+
+module.exports = { SEVERITIES, nameSimilarity, matchEntries, screenVisitor };
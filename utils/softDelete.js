@@ -0,0 +1,123 @@
+const db = require('../db');
+const { OPEN_STATES } = require('./visitLifecycle');
+const { sendValidationError } = require('../middleware/validate');
+const { tableScope } = require('../middleware/tenant');
+
+// What counts as an active child: live master data, visits not over, unused invitations
+const LIVE = 'deleted_at IS NULL';
+const OPEN_VISITS = `status IN (${OPEN_STATES.map(state => `'${state}'`).join(', ')})`;
+const PENDING_INVITATIONS = "status = 'pending'";
+
+/**
+ * DELETE handler for master data. The row is only marked deleted (deleted_at,
+ * deleted_by), so visits and other history that point at it keep resolving.
+ *
+ * A row that still has active children cannot be deleted unless the caller
+ * passes `reassign_to` (query or body): another live row of the same table the
+ * children are moved to first, in the same transaction. Rows of another tenant
+ * are not found, as either the row or the target.
+ *
+ * spec:
+ *   table    - table being deleted from
+ *   entity   - name used in messages, e.g. 'Department'
+ *   children - [{ table, column, label, where }] rows that must not be orphaned;
+ *              `where` narrows them to the active ones (e.g. visits not yet over)
+ *   sameAs   - columns the reassignment target must share with the row, e.g. a
+ *              department's employees can only move within the same company
+ */
+const sendSoftDelete = async (req, res, { table, entity, children = [], sameAs = [] }) => {
+  const reassignIn = req.query.reassign_to !== undefined ? 'query' : 'body';
+  const reassignTo = req.query.reassign_to ?? req.body?.reassign_to;
+  const badTarget = (message) => sendValidationError(res, [{ in: reassignIn, field: 'reassign_to', message }]);
+
+  const scope = tableScope(req, table);
+  const [row] = await db.query(`SELECT * FROM ${table} WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!row) return res.status(404).json({ message: `${entity} not found` });
+  if (row.deleted_at) return res.status(409).json({ message: `${entity} is already deleted` });
+
+  const counts = children.map(child => `
+    (SELECT COUNT(*) FROM ${child.table} WHERE ${child.column} = ? AND ${child.where}) AS ${child.label}
+  `);
+  const countSql = children.length ? `SELECT ${counts.join(', ')}` : 'SELECT 1';
+  const [results] = await db.query(countSql, children.map(() => row.id));
+  const active = {};
+  children.forEach(child => {
+    const count = Number(results[child.label]);
+    if (count) active[child.label] = count;
+  });
+
+  if (!Object.keys(active).length) return markDeleted(req, res, { table, entity, row, children: [] });
+  if (reassignTo === undefined || reassignTo === '') {
+    return res.status(409).json({
+      message: `${entity} still has active ${Object.keys(active).join(', ')}; pass reassign_to to move them first`,
+      children: active
+    });
+  }
+
+  const [target] = await db.query(`SELECT * FROM ${table} WHERE id = ? AND deleted_at IS NULL${scope.sql}`, [reassignTo, ...scope.values]);
+  if (!target || target.id === row.id) {
+    return badTarget(`must be another ${entity.toLowerCase()} that is not deleted`);
+  }
+  const mismatch = sameAs.find(column => target[column] !== row[column]);
+  if (mismatch) return badTarget(`must have the same ${mismatch}`);
+
+  const moves = children.filter(child => active[child.label]);
+  return markDeleted(req, res, { table, entity, row, children: moves, target, reassigned: active });
+};
+
+// Thrown inside the transaction so the reassignments roll back with it
+class AlreadyDeleted extends Error {}
+
+const markDeleted = async (req, res, { table, entity, row, children, target, reassigned }) => {
+  const deleted = await db.transaction(async (tx) => {
+    for (const child of children) {
+      await tx.query(
+        `UPDATE ${child.table} SET ${child.column} = ? WHERE ${child.column} = ? AND ${child.where}`,
+        [target.id, row.id]
+      );
+    }
+    // The guard stops two concurrent deletes from both reassigning
+    const result = await tx.query(
+      `UPDATE ${table} SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL`,
+      [req.user?.id || null, row.id]
+    );
+    if (!result.affectedRows) throw new AlreadyDeleted();
+    return true;
+  }).catch(err => {
+    if (err instanceof AlreadyDeleted) return false;
+    throw err;
+  });
+
+  if (!deleted) return res.status(409).json({ message: `${entity} is already deleted` });
+  res.json({
+    message: `${entity} deleted`,
+    ...(target ? { reassigned_to: target.id, reassigned } : {})
+  });
+};
+
+/**
+ * POST /:id/restore handler. `parents` ([{ table, column, entity }]) are checked
+ * first: a row is not brought back under a parent that is itself deleted.
+ */
+const sendRestore = async (req, res, { table, entity, parents = [] }) => {
+  const scope = tableScope(req, table);
+  const [row] = await db.query(`SELECT * FROM ${table} WHERE id = ?${scope.sql}`, [req.params.id, ...scope.values]);
+  if (!row) return res.status(404).json({ message: `${entity} not found` });
+  if (!row.deleted_at) return res.status(409).json({ message: `${entity} is not deleted` });
+
+  const linked = parents.filter(parent => row[parent.column]);
+  const checks = linked.map(parent => `
+    (SELECT deleted_at IS NOT NULL FROM ${parent.table} WHERE id = ?) AS ${parent.column}
+  `);
+  const checkSql = linked.length ? `SELECT ${checks.join(', ')}` : 'SELECT 1';
+  const [results] = await db.query(checkSql, linked.map(parent => row[parent.column]));
+  const deletedParent = linked.find(parent => Number(results[parent.column]));
+  if (deletedParent) {
+    return res.status(409).json({ message: `Restore the ${deletedParent.entity.toLowerCase()} first; it is deleted` });
+  }
+
+  await db.query(`UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`, [row.id]);
+  res.json({ message: `${entity} restored` });
+};
+
+module.exports = { LIVE, OPEN_VISITS, PENDING_INVITATIONS, sendSoftDelete, sendRestore };
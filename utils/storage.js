@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const db = require('../db');
+const { createDriver } = require('./storageDrivers');
+const { publicUrl } = require('./publicUrl');
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Image storage for visitor and employee photos.
+ *
+ * Files are kept by the STORAGE_DRIVER (see utils/storageDrivers), one folder
+ * per kind, and the database stores the key: "visitors/3f9c….jpg". Each upload
+ * is sniffed by decoding it (the name and Content-Type are ignored), re-encoded
+ * as a JPEG no larger than IMAGE_MAX_PX (which also drops EXIF data such as GPS
+ * position) and gets a square thumbnail next to it. Names are random and never
+ * reused, so a stored file never changes and can be cached for good.
+ *
+ * Rows written before this module keep working: visitor photos were stored as a
+ * bare name under uploads/, employee photos as "uploads/employees/<name>".
+ */
+
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 5);
+const IMAGE_MAX_PX = 1600;
+const THUMB_PX = 200;
+// Refuse decompression bombs before sharp allocates the pixels
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+
+// Kind -> permission needed to see its files (null: any signed-in user)
+const KINDS = {
+  visitors: 'visitors:read',
+  employees: null
+};
+
+let driver;
+const storageDriver = () => {
+  if (!driver) driver = createDriver();
+  return driver;
+};
+
+const KEY_PATTERN = /^(?:([a-z]+)\/)?([\w-][\w.-]*)$/;
+
+// Storage key for a stored image value, or null when it is not one of ours
+const imageKey = (image) => {
+  if (!image) return null;
+  const key = String(image).replace(/\\/g, '/').replace(/^\/?uploads\//, '');
+  const match = KEY_PATTERN.exec(key);
+  if (!match || (match[1] && !(match[1] in KINDS))) return null;
+  return key;
+};
+
+// Legacy bare names are visitor photos
+const imageKind = (key) => KEY_PATTERN.exec(key)[1] || 'visitors';
+
+const thumbKey = (key) => key.replace(/(\.[^./]+)?$/, '.thumb.jpg');
+
+const uploadError = (field, message) => Object.assign(new Error(message), { status: 400, field });
+
+/**
+ * Decode, resize and store one image. Resolves to its key; rejects with a 400
+ * error (see utils/errors errorHandler) when the bytes are not a supported image.
+ */
+const storeImage = async (buffer, kind, field = 'image') => {
+  let image;
+  try {
+    image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    const { format } = await image.metadata();
+    if (!IMAGE_FORMATS.includes(format)) throw new Error(`Unsupported format ${format}`);
+  } catch (err) {
+    throw uploadError(field, 'must be a JPEG, PNG, GIF or WebP image');
+  }
+
+  const [full, thumb] = await Promise.all([
+    image.clone().resize(IMAGE_MAX_PX, IMAGE_MAX_PX, { fit: 'inside', withoutEnlargement: true }).jpeg({ quality: 85 }).toBuffer(),
+    image.clone().resize(THUMB_PX, THUMB_PX, { fit: 'cover' }).jpeg({ quality: 80 }).toBuffer()
+  ]);
+  const key = `${kind}/${crypto.randomBytes(16).toString('hex')}.jpg`;
+  await storageDriver().put(key, full, 'image/jpeg');
+  await storageDriver().put(thumbKey(key), thumb, 'image/jpeg');
+  return key;
+};
+
+const removeQuietly = async (key) => {
+  try {
+    await storageDriver().remove(key);
+  } catch (err) {
+    console.error(`Could not delete ${key}:`, err.message);
+  }
+};
+
+/**
+ * Delete stored images nothing points at any more. Visits share their profile's
+ * photo, so a file only goes once no visit, profile or employee refers to it.
+ * Resolves to the number of images removed.
+ */
+const discardImages = async (images) => {
+  let removed = 0;
+  for (const image of new Set(images)) {
+    const key = imageKey(image);
+    if (!key) continue;
+    const [refs] = await db.query(`
+      SELECT (SELECT COUNT(*) FROM visitors WHERE image = ?)
+        + (SELECT COUNT(*) FROM visitor_profiles WHERE image = ?)
+        + (SELECT COUNT(*) FROM employees WHERE image = ?) AS refs
+    `, [image, image, image]);
+    if (Number(refs.refs)) continue;
+    removed += 1;
+    await removeQuietly(key);
+    await removeQuietly(thumbKey(key));
+  }
+  return removed;
+};
+
+// Fire-and-forget discardImages for request handlers
+const discardLater = (...images) => {
+  discardImages(images.filter(Boolean)).catch(err => console.error('Image cleanup failed:', err.message));
+};
+
+const receive = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: 1 } });
+
+/**
+ * Middleware for a multipart form with one optional image in `field`. The stored
+ * key ends up in req.file.key. If the request then fails (validation, database
+ * error) the new file is dropped again, unless something already refers to it.
+ */
+const imageUpload = (field, kind) => [
+  (req, res, next) => receive.single(field)(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') return next(uploadError(field, `must be at most ${UPLOAD_MAX_MB} MB`));
+    next(err);
+  }),
+  async (req, res, next) => {
+    if (!req.file) return next();
+    try {
+      req.file.key = await storeImage(req.file.buffer, kind, field);
+    } catch (err) {
+      return next(err);
+    }
+    delete req.file.buffer;
+    res.on('finish', () => {
+      if (res.statusCode >= 400) discardLater(req.file.key);
+    });
+    next();
+  }
+];
+
+// Stored image as a buffer, or null when it is missing
+const readImage = async (image) => {
+  const key = imageKey(image);
+  return key ? storageDriver().get(key) : null;
+};
+
+const urlSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+const urlSignature = (key, expires) => crypto.createHmac('sha256', urlSecret()).update(`${key}\n${expires}`).digest('hex');
+
+// True while a signed /api/files link is unexpired and untampered
+const verifyImageUrl = (key, expires, signature) => {
+  if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 < Date.now()) return false;
+  const expected = Buffer.from(urlSignature(key, String(expires)));
+  const given = Buffer.from(String(signature || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Time-limited download URL for a stored image, or '' when there is none.
+ * Object stores sign their own URLs; the local driver links to /api/files with
+ * an HMAC instead. Links are issued per FILE_URL_TTL_MINUTES window and stay
+ * valid for between one and two windows, so the URL (and the browser's cached
+ * copy) is the same for every response within a window.
+ */
+const photoUrl = (image) => {
+  const key = imageKey(image);
+  if (!key) return '';
+  const ttl = Number(process.env.FILE_URL_TTL_MINUTES || 60) * 60 * 1000;
+  const window = Math.floor(Date.now() / ttl) * ttl;
+  const expiresAt = new Date(window + 2 * ttl);
+
+  const signed = storageDriver().signedUrl(key, expiresAt, new Date(window));
+  if (signed) return signed;
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  return publicUrl(`/api/files/${key}?expires=${expires}&signature=${urlSignature(key, String(expires))}`);
+};
+
+// Add photo_url next to a row's image
+const withPhotoUrl = (row) => (row ? { ...row, photo_url: photoUrl(row.image) } : row);
+
+module.exports = {
+  KINDS,
+  storageDriver,
+  imageKey,
+  imageKind,
+  thumbKey,
+  storeImage,
+  discardImages,
+  discardLater,
+  imageUpload,
+  readImage,
+  verifyImageUrl,
+  photoUrl,
+  withPhotoUrl
+};
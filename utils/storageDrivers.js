@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage drivers. Each keeps blobs under a key like "visitors/3f9c….jpg":
+ *
+ *   put(key, buffer, contentType)  resolves once stored
+ *   get(key)                       resolves to a Buffer, or null when missing
+ *   remove(key)                    resolves whether or not the key existed
+ *   exists(key)                    resolves to a boolean
+ *   list()                         async iterator over every key
+ *   signedUrl(key, expiresAt, signedAt)
+ *                                  URL to download the key until expiresAt, or null
+ *                                  when the driver has none of its own (see utils/storage)
+ */
+
+// Local filesystem under `dir`; one instance only, or a shared mount
+const createLocalDriver = (dir) => {
+  const file = (key) => path.join(dir, key);
+  return {
+    name: 'local',
+    dir,
+    put: async (key, buffer) => {
+      await fs.promises.mkdir(path.dirname(file(key)), { recursive: true });
+      await fs.promises.writeFile(file(key), buffer);
+    },
+    get: async (key) => {
+      try {
+        return await fs.promises.readFile(file(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(file(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+    exists: async (key) => {
+      try {
+        return (await fs.promises.stat(file(key))).isFile();
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+    list: async function* () {
+      const walk = async function* (prefix) {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const entry of entries) {
+          const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+          if (entry.isDirectory()) yield* walk(key);
+          else if (entry.isFile()) yield key;
+        }
+      };
+      yield* walk('');
+    },
+    signedUrl: () => null
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 expects; "/" stays in object paths
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodePath = (key) => key.split('/').map(encode).join('/');
+const queryString = (query) => Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+/**
+ * AWS Signature Version 4 for S3. `url` is the already-encoded object URL,
+ * `headers` must include host and `query` holds any query parameters.
+ * Returns the signature plus the pieces callers put on the wire.
+ */
+const signV4 = ({ method, url, headers = {}, query = {}, payloadHash, date, region, accessKeyId, secretAccessKey }) => {
+  const stamp = amzDate(date);
+  const day = stamp.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    queryString(query),
+    names.map(name => `${name}:${lower[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', stamp, scope, sha256(canonicalRequest)].join('\n');
+  const key = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+  return { signature, stamp, scope, signedHeaders, credential: `${accessKeyId}/${scope}` };
+};
+
+// Longest lifetime S3 accepts for a presigned URL
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, …) over its REST API.
+ * With `endpoint` set (e.g. http://localhost:9000 for MinIO) the bucket goes in
+ * the path; without it, AWS virtual-hosted style is used.
+ */
+const createS3Driver = ({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const credentials = { region, accessKeyId, secretAccessKey };
+  const objectUrl = (key = '') => (endpoint
+    ? new URL(`${endpoint.replace(/\/+$/, '')}/${encode(bucket)}/${encodePath(key)}`)
+    : new URL(`https://${bucket}.s3.${region}.amazonaws.com/${encodePath(key)}`));
+
+  const request = async (method, key, { body, contentType, query = {} } = {}) => {
+    const url = objectUrl(key);
+    url.search = queryString(query);
+    const date = new Date();
+    const payloadHash = sha256(body || '');
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate(date) };
+    if (contentType) headers['content-type'] = contentType;
+    const signed = signV4({ method, url, headers, query, payloadHash, date, ...credentials });
+    const { host, ...sent } = headers;
+    const res = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sent,
+        authorization: `AWS4-HMAC-SHA256 Credential=${signed.credential}, SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`
+      }
+    });
+    if (res.ok || res.status === 404) return res;
+    const detail = (await res.text()).match(/<Code>(\w+)<\/Code>/)?.[1] || res.statusText;
+    throw new Error(`S3 ${method} ${key || bucket} failed: ${res.status} ${detail}`);
+  };
+
+  return {
+    name: 's3',
+    bucket,
+    put: async (key, buffer, contentType) => {
+      await request('PUT', key, { body: buffer, contentType });
+    },
+    get: async (key) => {
+      const res = await request('GET', key);
+      return res.status === 404 ? null : Buffer.from(await res.arrayBuffer());
+    },
+    remove: async (key) => {
+      await request('DELETE', key);
+    },
+    exists: async (key) => (await request('HEAD', key)).status !== 404,
+    list: async function* () {
+      let token;
+      do {
+        const query = { 'list-type': '2', ...(token ? { 'continuation-token': token } : {}) };
+        const xml = await (await request('GET', '', { query })).text();
+        for (const [, key] of xml.matchAll(/<Key>([^<]+)<\/Key>/g)) yield key.replace(/&amp;/g, '&');
+        token = xml.includes('<IsTruncated>true</IsTruncated>')
+          ? xml.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/)?.[1]
+          : null;
+      } while (token);
+    },
+    signedUrl: (key, expiresAt, date = new Date()) => {
+      const url = objectUrl(key);
+      const seconds = Math.min(MAX_PRESIGN_SECONDS, Math.max(1, Math.round((expiresAt - date) / 1000)));
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${amzDate(date).slice(0, 8)}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate(date),
+        'X-Amz-Expires': String(seconds),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const { signature } = signV4({ method: 'GET', url, headers: { host: url.host }, query, payloadHash: 'UNSIGNED-PAYLOAD', date, ...credentials });
+      url.search = `${queryString(query)}&X-Amz-Signature=${signature}`;
+      return url.toString();
+    }
+  };
+};
+
+// STORAGE_DRIVER=local | s3
+const createDriver = (kind = process.env.STORAGE_DRIVER || 'local') => {
+  switch (kind) {
+    case 'local':
+      return createLocalDriver(process.env.UPLOAD_DIR || 'uploads');
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${kind}`);
+  }
+};
+
+module.exports = { createDriver, createLocalDriver, createS3Driver, signV4 };
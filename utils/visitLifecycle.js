@@ -0,0 +1,88 @@
+const db = require('../db');
+
+const VISIT_STATES = [
+  'pending_approval', 'expected', 'checked_in', 'checked_out', 'cancelled', 'rejected', 'expired'
+];
+
+// Allowed moves: target state -> states a visit may be in beforehand.
+// Entering `expected` from `pending_approval` is the host approving a walk-in.
+const TRANSITIONS = {
+  expected: ['pending_approval'],
+  rejected: ['pending_approval'],
+  expired: ['pending_approval'],
+  checked_in: ['expected'],
+  checked_out: ['checked_in'],
+  cancelled: ['pending_approval', 'expected']
+};
+
+// Moves the front desk may make directly through PUT /:id/status
+const DESK_TRANSITIONS = ['checked_in', 'checked_out', 'cancelled'];
+
+// Visits that are not over yet
+const OPEN_STATES = ['pending_approval', 'expected', 'checked_in'];
+
+// States in which a badge/QR may be issued
+const BADGE_STATES = ['expected', 'checked_in'];
+
+// Columns stamped when a visit enters a state
+const STAMPS = {
+  expected: { at: 'decided_at', by: 'decided_by' },
+  rejected: { at: 'decided_at', by: 'decided_by' },
+  expired: { at: 'decided_at' },
+  checked_in: { at: 'check_in_at', by: 'checked_in_by', gate: 'check_in_gate' },
+  checked_out: { at: 'check_out_at', by: 'checked_out_by', gate: 'check_out_gate' },
+  cancelled: { at: 'cancelled_at', by: 'cancelled_by' }
+};
+
+class TransitionError extends Error {
+  constructor(status, message, current) {
+    super(message);
+    this.status = status;
+    this.current = current;
+  }
+}
+
+// Move a visit into `to`, recording who (employee id) and where (gate) it happened.
+// The UPDATE only matches rows in an allowed source state, so a double check-out
+// or two concurrent check-ins cannot both succeed. `match` adds extra column guards
+// and `scope` ({ sql, values }, e.g. the caller's tenant) hides visits outside it.
+// Resolves to { id, status }; a move that is not allowed throws a TransitionError.
+const transitionVisit = async (id, to, { actorId = null, gate = null, set = {}, match = {}, scope = { sql: '', values: [] } } = {}, conn = db) => {
+  const from = TRANSITIONS[to];
+  if (!from) throw new TransitionError(400, `Unknown visit status: ${to}`);
+
+  const stamp = STAMPS[to];
+  const updates = ['status = ?', `${stamp.at} = NOW()`];
+  const values = [to];
+  if (stamp.by) {
+    updates.push(`${stamp.by} = ?`);
+    values.push(actorId);
+  }
+  if (stamp.gate) {
+    updates.push(`${stamp.gate} = ?`);
+    values.push(gate);
+  }
+  Object.keys(set).forEach(column => {
+    updates.push(`${column} = ?`);
+    values.push(set[column]);
+  });
+
+  const guards = Object.keys(match).map(column => ` AND ${column} = ?`).join('');
+  const sql = `UPDATE visitors SET ${updates.join(', ')} WHERE id = ? AND status IN (?)${guards}${scope.sql}`;
+  const result = await conn.query(sql, [...values, id, from, ...Object.values(match), ...scope.values]);
+  if (result.affectedRows) return { id: Number(id), status: to };
+
+  const [visit] = await conn.query(`SELECT status FROM visitors WHERE id = ?${scope.sql}`, [id, ...scope.values]);
+  if (!visit) throw new TransitionError(404, 'Visitor not found');
+  throw new TransitionError(409, `Cannot move visit from ${visit.status} to ${to}`, visit.status);
+};
+
+module.exports = {
+  VISIT_STATES,
+  TRANSITIONS,
+  DESK_TRANSITIONS,
+  OPEN_STATES,
+  BADGE_STATES,
+  TransitionError,
+  transitionVisit
+};
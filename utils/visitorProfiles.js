@@ -0,0 +1,83 @@
+const db = require('../db');
+const { normaliseIdentifiers, blindIndex, sealPii, openPii } = require('./pii');
+
+const PROFILE_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'gender', 'aadhar_no', 'address', 'image'];
+
+// Column names and values for writing profile fields: identifiers normalised, PII sealed
+const profileColumns = (fields) => {
+  const ids = normaliseIdentifiers(fields);
+  const plain = { ...fields };
+  Object.keys(ids).forEach(field => {
+    if (field in plain) plain[field] = ids[field];
+  });
+  const columns = { ...plain, ...sealPii(plain) };
+  return { names: Object.keys(columns), values: Object.values(columns) };
+};
+
+// Profiles matching any identifier, strongest identifier first (Aadhaar, then phone, then email).
+// Identifiers are encrypted, so the match is on their keyed hashes. Rows come back decrypted.
+// `scope` ({ sql, values }) narrows the search, e.g. to the caller's tenant.
+const findProfiles = async (details, conn = db, scope = { sql: '', values: [] }) => {
+  const hashes = {};
+  ['aadhar_no', 'phone', 'email'].forEach(field => {
+    hashes[field] = blindIndex(field, details[field]);
+  });
+  const fields = Object.keys(hashes).filter(field => hashes[field]);
+  if (!fields.length) return [];
+
+  const sql = `
+    SELECT * FROM visitor_profiles
+    WHERE (${fields.map(field => `${field}_hash = ?`).join(' OR ')})${scope.sql}
+    ORDER BY (aadhar_no_hash = ?) DESC, (phone_hash = ?) DESC, last_visit_at DESC
+  `;
+  const values = [...fields.map(field => hashes[field]), ...scope.values, hashes.aadhar_no, hashes.phone];
+  const profiles = await conn.query(sql, values);
+  return profiles.map(openPii);
+};
+
+// Copy anything the desk typed onto the profile, and anything they left out from it.
+// `profile` is a decrypted row. A replaced photo comes back as `replacedImage`, for
+// the caller to discard once its transaction has committed.
+const mergeIntoProfile = async (profile, details, conn) => {
+  const ids = normaliseIdentifiers(details);
+  const incoming = { ...details, ...Object.fromEntries(Object.entries(ids).filter(([, value]) => value)) };
+  const changed = PROFILE_FIELDS.filter(field => incoming[field] && incoming[field] !== profile[field]);
+  const merged = { ...details };
+  PROFILE_FIELDS.forEach(field => {
+    if (!merged[field]) merged[field] = profile[field];
+  });
+
+  if (!changed.length) return { profileId: profile.id, details: merged };
+  const { names, values } = profileColumns(Object.fromEntries(changed.map(field => [field, incoming[field]])));
+  const sql = `UPDATE visitor_profiles SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`;
+  await conn.query(sql, [...values, profile.id]);
+  return {
+    profileId: profile.id,
+    details: merged,
+    replacedImage: changed.includes('image') ? profile.image : null
+  };
+};
+
+// Find or create the profile for a visit to `details.company_id`; only that
+// company's profiles are considered. With `profile_id` the caller has already
+// picked the person (e.g. via lookup); otherwise identifiers decide, and a new
+// profile is created when nobody matches. Resolves to null for an unknown profile_id.
+const resolveProfile = async (details, conn = db) => {
+  const company = { sql: ' AND company_id = ?', values: [details.company_id] };
+  if (details.profile_id) {
+    const [profile] = await conn.query(`SELECT * FROM visitor_profiles WHERE id = ?${company.sql}`, [details.profile_id, ...company.values]);
+    return profile ? mergeIntoProfile(openPii(profile), details, conn) : null;
+  }
+
+  const [match] = await findProfiles(details, conn, company);
+  if (match) return mergeIntoProfile(match, details, conn);
+
+  const fields = Object.fromEntries(PROFILE_FIELDS.map(field => [field, details[field] || null]));
+  const { names, values } = profileColumns({ company_id: details.company_id, ...fields });
+  const result = await conn.query(`INSERT INTO visitor_profiles (${names.join(', ')}) VALUES (?)`, [values]);
+  return { profileId: result.insertId, details: { ...details } };
+};
+
+const touchProfile = (profileId, conn = db) => conn.query('UPDATE visitor_profiles SET last_visit_at = NOW() WHERE id = ?', [profileId]);
+
+module.exports = { PROFILE_FIELDS, normaliseIdentifiers, profileColumns, findProfiles, resolveProfile, touchProfile };